@@ -20,6 +20,9 @@
 //------------------------------------------------------------------
 
 const netUtils = require('./utils/network_utils.js');
+const namespaceUtils = require('./utils/namespace_utils.js');
+const RemapUtils = require('./utils/remapping_utils.js');
+const SPECIAL_KEYS = RemapUtils.SPECIAL_KEYS;
 const msgUtils = require('./utils/message_utils.js');
 const messages = require('./utils/messageGeneration/messages.js');
 const util = require('util');
@@ -31,36 +34,43 @@ const NodeHandle = require('./lib/NodeHandle.js');
 const Logging = require('./lib/Logging.js');
 const ActionClient = require('./lib/ActionClient.js');
 const Time = require('./lib/Time.js');
+const RosMaster = require('./lib/master/RosMaster.js');
 const packages = require('./utils/messageGeneration/packages.js');
 
 const MsgLoader = require('./utils/messageGeneration/MessageLoader.js');
 
 // will be initialized through call to initNode
 let log = Logging.getLogger();
+// the first node initialized - used by rosnodejs.nh, logging and ros time
 let rosNode = null;
-let pingMasterTimeout = null;
+// name initNode was called with for the default node, before any __name remapping
+let rosNodeRequestedName = null;
+// every node in this process by name
+const rosNodes = new Map();
+// pending master checks by node
+const pingMasterTimeouts = new Map();
 
 //------------------------------------------------------------------
 
-function _checkMasterHelper(timeout=100) {
+function _checkMasterHelper(node, timeout=100) {
   const localHelper = (resolve) => {
-    pingMasterTimeout = setTimeout(() => {
+    pingMasterTimeouts.set(node, setTimeout(() => {
       // also check that the slave api server is set up
-      if (!rosNode.slaveApiSetupComplete()) {
+      if (!node.slaveApiSetupComplete()) {
         localHelper(resolve);
         return;
       }
-      rosNode.getMasterUri({ maxAttempts: 1 })
+      node.getMasterUri({ maxAttempts: 1 })
       .then(() => {
-        log.infoOnce(`Connected to master at ${rosNode.getRosMasterUri()}!`);
-        pingMasterTimeout = null;
+        log.infoOnce(`Connected to master at ${node.getRosMasterUri()}!`);
+        pingMasterTimeouts.delete(node);
         resolve();
       })
       .catch((err, resp) => {
-        log.warnThrottle(60000, `Unable to register with master node [${rosNode.getRosMasterUri()}]: master may not be running yet. Will keep trying.`);
+        log.warnThrottle(60000, `Unable to register with master node [${node.getRosMasterUri()}]: master may not be running yet. Will keep trying.`);
         localHelper(resolve);
       });
-    }, timeout);
+    }, timeout));
   };
 
   return new Promise((resolve, reject) => {
@@ -69,15 +79,59 @@ function _checkMasterHelper(timeout=100) {
 }
 
 /**
- * Very basic validation of node name - needs to start with a '/'
- * TODO: more
- * @return {string} name of node after validation
+ * Validates the node name and pushes it into the provided namespace
+ *   e.g. ('my_node', '/robot') => /robot/my_node
+ * A leading '/' on the node name is ignored.
+ * @param nodeName {string}
+ * @param [namespace] {string} namespace to push the node into (e.g. from __ns:= or ROS_NAMESPACE)
+ * @return {string} fully resolved name of node after validation
  */
-function _validateNodeName(nodeName) {
-  if (!nodeName.startsWith('/')) {
-    nodeName = '/' + nodeName;
+function _validateNodeName(nodeName, namespace) {
+  const name = namespaceUtils.stripLeadingSlash(nodeName || '');
+  const baseName = name.substr(name.lastIndexOf('/') + 1);
+  if (!namespaceUtils.validate(name) || !namespaceUtils.validateBaseName(baseName)) {
+    throw new Error(`Invalid node name [${nodeName}]`);
+  }
+
+  if (!namespace) {
+    namespace = '/';
+  }
+  else if (!namespace.startsWith('/')) {
+    namespace = '/' + namespace;
+  }
+
+  if (!namespaceUtils.validate(namespace)) {
+    throw new Error(`Invalid namespace [${namespace}] for node [${nodeName}]`);
+  }
+
+  return namespaceUtils.resolve(name, namespaceUtils.clean(namespace));
+}
+
+/**
+ * Sets any private parameters that were provided on the command line
+ * (e.g. _param:=value) on the parameter server.
+ * @param node {RosNode}
+ * @param params {object} map of private parameter name to value
+ * @return {Promise}
+ */
+function _setPrivateParams(node, params) {
+  return Promise.all(Object.keys(params).map((key) => {
+    const paramName = namespaceUtils.resolve('~' + key, null, node.getNodeName());
+    return node.setParam(paramName, params[key]);
+  }));
+}
+
+function _removeNode(node) {
+  clearTimeout(pingMasterTimeouts.get(node));
+  pingMasterTimeouts.delete(node);
+
+  if (rosNodes.get(node.getNodeName()) === node) {
+    rosNodes.delete(node.getNodeName());
+  }
+
+  if (rosNodes.size === 0) {
+    Logging.stopLogCleanup();
   }
-  return nodeName;
 }
 
 /**
@@ -92,43 +146,86 @@ function _anonymizeNodeName(nodeName) {
 
 let Rosnodejs = {
   /**
-   * Initializes a ros node for this process. Only one ros node can exist per process
-   * If called a second time with the same nodeName, returns a handle to that node.
+   * Initializes a ros node in this process. If called a second time with the same nodeName,
+   * returns a handle to that node. Calling it with a different nodeName creates another,
+   * independent node with its own slave API and TCPROS servers and spinner.
+   * The first node initialized is the default node used by rosnodejs.nh, ROS logging and ros time.
+   * Remapping arguments (foo:=bar, __ns:=, __master:=, __ip:=, __hostname:=) and private
+   * parameters (_param:=value) are parsed from the command line and applied to every node.
+   * __name:= only applies to the default node. Other nodes log to ros.rosnodejs.<node name>
+   * so that their messages can be told apart.
    * @param nodeName {string} name of the node to initialize
    * @param options {object} overrides for this node
+   * @param [options.argv] {Array} arguments to parse remappings from - defaults to process.argv
+   * @param [options.namespace] {string} namespace to push this node into. Defaults to __ns:= from
+   *                                     the command line or the ROS_NAMESPACE environment variable.
+   * @param [options.node] {object} options for the underlying RosNode
+   * @param [options.node.masterMonitorMs] {number} how often to check that the master is still up (and
+   *                                                hasn't been restarted). Defaults to 5000. Set <= 0
+   *                                                to disable.
    * @return {Promise} resolved when connection to master is established
    */
   initNode(nodeName, options) {
     options = options || {};
-    if (options.anonymous) {
+
+    const remappings = RemapUtils.processRemapping(options.argv || process.argv);
+    const specialKeys = remappings.special;
+
+    const isDefaultNode = (rosNode === null || nodeName === rosNodeRequestedName);
+    const requestedName = nodeName;
+    if (isDefaultNode && specialKeys[SPECIAL_KEYS.name]) {
+      nodeName = specialKeys[SPECIAL_KEYS.name];
+    }
+    else if (options.anonymous) {
       nodeName = _anonymizeNodeName(nodeName);
     }
 
-    nodeName = _validateNodeName(nodeName);
+    const namespace = options.namespace || specialKeys[SPECIAL_KEYS.ns] || process.env.ROS_NAMESPACE;
+    nodeName = _validateNodeName(nodeName, namespace);
 
-    if (rosNode !== null) {
-      if (nodeName === rosNode.getNodeName()) {
-        return Promise.resolve(this.getNodeHandle());
-      }
-      // else
-      throw new Error('Unable to initialize node [' + nodeName + '] - node ['
-                      + rosNode.getNodeName() + '] already exists');
+    if (rosNodes.has(nodeName)) {
+      return Promise.resolve(new NodeHandle(rosNodes.get(nodeName)));
     }
 
     let rosMasterUri = process.env.ROS_MASTER_URI;
     if (options.rosMasterUri) {
       rosMasterUri = options.rosMasterUri;
     }
-
-    Logging.initializeNodeLogger(nodeName, options.logging);
+    else if (specialKeys[SPECIAL_KEYS.master]) {
+      rosMasterUri = specialKeys[SPECIAL_KEYS.master];
+    }
 
     // create the ros node. Return a promise that will
     // resolve when connection to master is established
-    const nodeOpts = options.node || {};
+    const nodeOpts = Object.assign({remappings: remappings.names}, options.node);
+
+    if (rosNode !== null) {
+      const loggerName = 'ros.rosnodejs' + nodeName.replace(/\//g, '.');
+      const node = new RosNode(nodeName, rosMasterUri, Object.assign({loggerName}, nodeOpts));
+      rosNodes.set(nodeName, node);
+      node.once('shutdown', _removeNode.bind(null, node));
+
+      return this._loadOnTheFlyMessages(options)
+        .then(_checkMasterHelper.bind(null, node))
+        .then(_setPrivateParams.bind(null, node, remappings.params))
+        .then(() => { return new NodeHandle(node); })
+        .catch((err) => {
+          log.error('Error during initialization: ' + err);
+        });
+    }
+    // else
+    netUtils.init(specialKeys);
+
+    Logging.initializeNodeLogger(nodeName, options.logging);
+
     rosNode = new RosNode(nodeName, rosMasterUri, nodeOpts);
+    rosNodeRequestedName = requestedName;
+    rosNodes.set(nodeName, rosNode);
+    rosNode.once('shutdown', _removeNode.bind(null, rosNode));
 
     return this._loadOnTheFlyMessages(options)
-      .then(_checkMasterHelper)
+      .then(_checkMasterHelper.bind(null, rosNode))
+      .then(_setPrivateParams.bind(null, rosNode, remappings.params))
       .then(Logging.initializeRosOptions.bind(Logging, this, options.logging))
       .then(Time._initializeRosTime.bind(Time, this))
       .then(() => { return this.getNodeHandle(); })
@@ -139,17 +236,62 @@ let Rosnodejs = {
 
   reset() {
     rosNode = null;
+    rosNodeRequestedName = null;
+    rosNodes.clear();
+  },
+
+  /**
+   * Starts a ROS master and parameter server in this process. Nodes in this
+   * or any other process (including roscpp and rospy nodes) can connect to it
+   * through master.getUri().
+   * @param [options] {object}
+   * @param [options.port] {number} port to listen on - defaults to 11311. 0 picks any open port.
+   * @param [options.host] {string} address to listen on - defaults to all interfaces
+   * @return {Promise} resolves with the RosMaster once it's listening
+   */
+  startMaster(options) {
+    const master = new RosMaster(options);
+    return master.start();
   },
 
+  /**
+   * Shuts down every node in this process
+   * @return {Promise}
+   */
   shutdown() {
-    clearTimeout(pingMasterTimeout);
-    if (this.ok()) {
-      return rosNode.shutdown();
+    const nodes = Array.from(rosNodes.values());
+    return Promise.all(nodes.map((node) => {
+      _removeNode(node);
+      if (!node.isShutdown()) {
+        return node.shutdown();
+      }
+    }));
+  },
+
+  /**
+   * Shuts down a single node in this process
+   * @param nodeName {string} fully resolved name of the node
+   * @return {Promise}
+   */
+  shutdownNode(nodeName) {
+    const node = rosNodes.get(nodeName);
+    if (node) {
+      _removeNode(node);
+      if (!node.isShutdown()) {
+        return node.shutdown();
+      }
     }
     // else
     return Promise.resolve();
   },
 
+  /**
+   * @return {Array} names of the nodes running in this process
+   */
+  getNodeNames() {
+    return Array.from(rosNodes.keys());
+  },
+
   ok() {
     return rosNode && !rosNode.isShutdown();
   },
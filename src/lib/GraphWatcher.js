@@ -0,0 +1,179 @@
+/*
+ *    Copyright 2017 Rethink Robotics
+ *
+ *    Copyright 2017 Chris Smith
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const Logging = require('./Logging.js');
+
+const DEFAULT_POLL_MS = 1000;
+
+function byName(list) {
+  const map = new Map();
+  list.forEach((item) => map.set(item.name, item));
+  return map;
+}
+
+function added(current, previous) {
+  return current.filter((item) => !previous.includes(item));
+}
+
+//-----------------------------------------------------------------------
+
+/**
+ * @class GraphWatcher
+ * Polls the master for the state of the ROS graph and emits events as it changes.
+ *
+ * Events:
+ *   'topicAdded' (topic) / 'topicRemoved' (topic) - topic is {name, type, publishers, subscribers}
+ *   'serviceAdded' (service) / 'serviceRemoved' (service) - service is {name, providers}
+ *   'nodeAdded' (nodeName) / 'nodeRemoved' (nodeName)
+ *   'publisherAdded' (topicName, nodeName) / 'publisherRemoved' (topicName, nodeName)
+ *   'subscriberAdded' (topicName, nodeName) / 'subscriberRemoved' (topicName, nodeName)
+ *   'change' (graph) - after any of the above, with the latest result of NodeHandle.getGraph()
+ *
+ * Everything in the graph when the watcher starts is reported as added on the first poll.
+ */
+class GraphWatcher extends EventEmitter {
+  /**
+   * @param nh {NodeHandle}
+   * @param [options] {object}
+   * @param [options.pollMs] {number} how often to poll the master, defaults to 1000ms
+   */
+  constructor(nh, options={}) {
+    super();
+
+    this._log = Logging.getLogger(Logging.DEFAULT_LOGGER_NAME + '.graph');
+
+    this._nh = nh;
+    this._pollMs = typeof options.pollMs === 'number' ? options.pollMs : DEFAULT_POLL_MS;
+
+    this._graph = {topics: [], services: [], nodes: []};
+    this._timeout = null;
+    this._running = false;
+  }
+
+  start() {
+    if (!this._running) {
+      this._running = true;
+      this._poll();
+    }
+  }
+
+  stop() {
+    this._running = false;
+    clearTimeout(this._timeout);
+    this._timeout = null;
+  }
+
+  isRunning() {
+    return this._running;
+  }
+
+  /**
+   * @returns {object} graph from the most recent poll
+   */
+  getGraph() {
+    return this._graph;
+  }
+
+  _poll() {
+    if (!this._running) {
+      return;
+    }
+    // else
+    if (this._nh.isShutdown()) {
+      this.stop();
+      return;
+    }
+    // else
+    this._nh.getGraph()
+    .then((graph) => {
+      if (this._running) {
+        this._update(graph);
+      }
+    })
+    .catch((err) => {
+      this._log.warnThrottle(60000, 'Unable to get graph from master: %s', err);
+    })
+    .then(() => {
+      if (this._running) {
+        this._timeout = setTimeout(this._poll.bind(this), this._pollMs);
+      }
+    });
+  }
+
+  _update(graph) {
+    const previous = this._graph;
+    this._graph = graph;
+
+    let changed = false;
+    const emit = (...args) => {
+      changed = true;
+      this.emit(...args);
+    };
+
+    const previousTopics = byName(previous.topics);
+    const currentTopics = byName(graph.topics);
+
+    added(graph.nodes, previous.nodes).forEach((node) => emit('nodeAdded', node));
+
+    currentTopics.forEach((topic, name) => {
+      const previousTopic = previousTopics.get(name);
+      if (!previousTopic) {
+        emit('topicAdded', topic);
+      }
+      const previousPublishers = previousTopic ? previousTopic.publishers : [];
+      const previousSubscribers = previousTopic ? previousTopic.subscribers : [];
+      added(topic.publishers, previousPublishers).forEach((node) => emit('publisherAdded', name, node));
+      added(topic.subscribers, previousSubscribers).forEach((node) => emit('subscriberAdded', name, node));
+      added(previousPublishers, topic.publishers).forEach((node) => emit('publisherRemoved', name, node));
+      added(previousSubscribers, topic.subscribers).forEach((node) => emit('subscriberRemoved', name, node));
+    });
+
+    previousTopics.forEach((topic, name) => {
+      if (!currentTopics.has(name)) {
+        topic.publishers.forEach((node) => emit('publisherRemoved', name, node));
+        topic.subscribers.forEach((node) => emit('subscriberRemoved', name, node));
+        emit('topicRemoved', topic);
+      }
+    });
+
+    const previousServices = byName(previous.services);
+    const currentServices = byName(graph.services);
+    currentServices.forEach((service, name) => {
+      if (!previousServices.has(name)) {
+        emit('serviceAdded', service);
+      }
+    });
+    previousServices.forEach((service, name) => {
+      if (!currentServices.has(name)) {
+        emit('serviceRemoved', service);
+      }
+    });
+
+    added(previous.nodes, graph.nodes).forEach((node) => emit('nodeRemoved', node));
+
+    if (changed) {
+      this.emit('change', graph);
+    }
+  }
+}
+
+//-----------------------------------------------------------------------
+
+module.exports = GraphWatcher;
@@ -118,12 +118,37 @@ class MasterApiClient {
     });
   }
 
-  getPublishedTopics(callerId, subgraph) {
-    throw new Error('NOT SUPPORTED');
+  /** return a list of {name, type} for topics that have publishers,
+      optionally restricted to a namespace */
+  getPublishedTopics(callerId, subgraph='', options) {
+    let data = [callerId, subgraph];
+    return new Promise((resolve, reject) => {
+      this._call(
+        'getPublishedTopics',
+        data,
+        function(data) {
+          return resolve(data[2].map(([name, type]) => ({name, type})));
+        },
+        reject,
+        options
+      );
+    });
   }
 
-  getTopicTypes(callerId) {
-    throw new Error('NOT SUPPORTED');
+  /** return a list of {name, type} for all topics known to the master */
+  getTopicTypes(callerId, options) {
+    let data = [callerId];
+    return new Promise((resolve, reject) => {
+      this._call(
+        'getTopicTypes',
+        data,
+        function(data) {
+          return resolve(data[2].map(([name, type]) => ({name, type})));
+        },
+        reject,
+        options
+      );
+    });
   }
 
   /** return an object containing all current publishers (by topic),
@@ -159,6 +184,27 @@ class MasterApiClient {
     });
   }
 
+  /**
+   * Get the process id of the master. Unlike the other calls, this skips the call
+   * queue and only makes a single attempt so that it can be used to check whether
+   * the master is up while other calls are waiting on it.
+   * @param callerId {string}
+   * @returns {Promise} resolves with the pid of the master
+   */
+  getPid(callerId) {
+    let data = [callerId];
+    return new Promise((resolve, reject) => {
+      this._xmlrpcClient.getClient().methodCall('getPid', data, (err, resp) => {
+        if (err || resp[0] !== 1) {
+          reject(err, resp);
+        }
+        else {
+          resolve(resp[2]);
+        }
+      });
+    });
+  }
+
   lookupService(callerId, service, options) {
     let data = [callerId, service];
     return new Promise((resolve, reject) => {
@@ -20,21 +20,54 @@
 let RosNode = require('./RosNode.js');
 const messageUtils = require('../utils/message_utils.js');
 const namespaceUtils = require('../utils/namespace_utils.js');
+const paramUtils = require('../utils/param_utils.js');
 const ActionClient = require('./ActionClient');
+const GraphWatcher = require('./GraphWatcher.js');
 
 class NodeHandle {
+  /**
+   * @param node {RosNode}
+   * @param [namespace] {string} namespace to resolve relative names in. Relative namespaces
+   *                             are resolved in the node's namespace and private namespaces (~)
+   *                             in the node's name. Defaults to the node's namespace.
+   */
   constructor(node, namespace=null) {
     this._node = node;
 
-    this._namespace = namespace;
+    this._namespace = '/';
+    this.setNamespace(namespace);
   }
 
   setNamespace(namespace) {
-    this._namespace = namespace;
+    const nodeNamespace = this._node ? this._node.getNamespace() : '/';
+    if (namespace === null || namespace === undefined || namespace === '') {
+      this._namespace = nodeNamespace;
+    }
+    else {
+      this._namespace = this._resolve(namespace, nodeNamespace);
+    }
+  }
+
+  /**
+   * Get the fully resolved namespace for this NodeHandle
+   * @returns {string}
+   */
+  getNamespace() {
+    return this._namespace;
+  }
+
+  /**
+   * Creates a NodeHandle in a namespace relative to this one
+   *   e.g. nh.getNodeHandle('arm').getNodeHandle('gripper') => /arm/gripper
+   * @param namespace {string} namespace resolved against this NodeHandle's namespace
+   * @returns {NodeHandle}
+   */
+  getNodeHandle(namespace) {
+    return new NodeHandle(this._node, this._resolve(namespace));
   }
 
   getNodeName() {
-    return this._node.getNodeName();
+    return this._node ? this._node.getNodeName() : null;
   }
 
   isShutdown() {
@@ -53,6 +86,24 @@ class NodeHandle {
    * @param [options.tpcNoDelay] {boolean} set TCP no delay option on Socket
    * @param [options.queueSize] {number} number of messages to queue when publishing
    * @param [options.throttleMs] {number} milliseconds to throttle when publishing
+   * @param [options.intraProcess] {boolean} pass messages directly to subscribers in this node
+   *                                         instead of serializing them - defaults to false
+   * @param [options.intraProcessCopy] {string} what those subscribers receive - 'none' (the published
+   *                                            object), 'copy' (a deep copy) or 'freeze' (a deep frozen
+   *                                            copy). Defaults to 'none'.
+   * @param [options.onConnect] {function} called with a SingleSubscriberPublisher for each subscriber
+   *                                       that connects - e.g. to send it an initial message. Called for
+   *                                       subscribers that are already connected to the topic too.
+   * @param [options.onDisconnect] {function} called with a SingleSubscriberPublisher for each subscriber
+   *                                          that disconnects. Together with getNumSubscribers() these
+   *                                          let expensive work only run while anyone is listening.
+   * @param [options.headers] {object} extra key/value fields to send in the TCPROS connection header.
+   *                                   Each subscriber's full header is passed to 'connection' listeners.
+   * @param [options.maxBufferedBytes] {number} how much data can wait to be sent to each subscriber before
+   *                                            dropPolicy applies - defaults to no limit
+   * @param [options.dropPolicy] {string} 'dropOldest' (default), 'dropNewest' or 'disconnect'. The publisher
+   *                                      emits 'drop' with the subscriber's client name and the reason for
+   *                                      each dropped message - drops are also counted in getStats().
    * @return {Publisher}
    */
   advertise(topic, type, options={}) {
@@ -84,11 +135,26 @@ class NodeHandle {
   /**
    * Creates a ros subscriber with the provided options
    * @param topic {string}
-   * @param type {string|Object} string representing message type or instance
+   * @param type {string|Object} string representing message type or instance. '*' subscribes to
+   *                             any type - messages are decoded using the definition each publisher
+   *                             sends in its connection header, or passed on as Buffers if that fails.
    * @param callback {function} function to call when message is received
    * @param [options] {object}
    * @param [options.queueSize] {number} number of messages to queue when subscribing
    * @param [options.throttleMs] {number} milliseconds to throttle when subscribing
+   * @param [options.transport] {string} 'tcp' (default) or 'udp'. UDPROS subscribers fall back
+   *                                     to TCPROS for publishers that don't support UDPROS.
+   * @param [options.maxDatagramSize] {number} largest UDPROS datagram to accept - defaults to 1500
+   * @param [options.headers] {object} extra key/value fields to send in the TCPROS connection header.
+   *                                   Each publisher's full header is passed to 'connection' listeners.
+   * @param [options.reconnectMinMs] {number} delay before retrying a failed or dropped connection to a
+   *                                          publisher the master still lists - defaults to 100
+   * @param [options.reconnectMaxMs] {number} the delay doubles with each failed attempt up to this
+   *                                          - defaults to 10000. The subscriber emits 'reconnect' with
+   *                                          the publisher's uri and attempt number for each retry.
+   * @param [options.raw] {boolean} skip deserialization - callback is called with each serialized message
+   *                                Buffer and {publisher, connection, header} for the connection it came on.
+   *                                Pair with Publisher.publishRaw to relay messages.
    * @return {Subscriber}
    */
   subscribe(topic, type, callback, options={}) {
@@ -101,7 +167,11 @@ class NodeHandle {
 
     try {
       options.topic = this._resolve(topic);
-      if (typeof type === 'string' || type instanceof String) {
+      if (type === '*') {
+        options.type = type;
+        options.typeClass = null;
+      }
+      else if (typeof type === 'string' || type instanceof String) {
         options.type = type;
         options.typeClass = messageUtils.getHandlerForMsgType(type, true);
       }
@@ -127,6 +197,9 @@ class NodeHandle {
    *       response.data = !request.data;
    *       return true;
    *     }
+   *   or return a Promise for the success flag (e.g. an async function). If the callback throws or
+   *   the Promise rejects, the caller gets a failed response with the error's message. Requests
+   *   from each persistent client are handled one at a time, in order.
    * @return {ServiceServer}
    */
   advertiseService(service, type, callback) {
@@ -161,6 +234,21 @@ class NodeHandle {
    * @param service {string}
    * @param type {string|Object} string representing service type or instance
    * @param options {Object} extra options to pass to service client
+   * @param [options.persist] {boolean} keep the connection to the service open between calls
+   * @param [options.queueLength] {number} max number of calls to queue - older calls are rejected
+   * @param [options.headers] {object} extra key/value fields to send in the TCPROS connection header.
+   *                                   The service's header is passed to 'connection' listeners.
+   * @param [options.timeout] {number} ms before calls are rejected with E_ROSSERVICETIMEOUT - defaults
+   *                                   to no limit. Each call can override it and take an AbortSignal.
+   * @param [options.maxConcurrency] {number} max number of calls in progress at once, each on its own
+   *                                          connection - defaults to 1 so calls are made in order.
+   *                                          Persistent clients keep a pool of up to this many connections.
+   * @param [options.waitForService] {number|boolean} ms calls wait for the service to be registered and
+   *                                                  reachable (true for no limit) instead of failing right
+   *                                                  away. The client emits 'available' and 'unavailable'
+   *                                                  as the service comes and goes. Calls the service rejects
+   *                                                  the connection for fail with E_ROSSERVICEHANDSHAKEFAILED
+   *                                                  without waiting.
    * @return {ServiceClient}
    */
   serviceClient(service, type, options={}) {
@@ -272,6 +360,141 @@ class NodeHandle {
     return this._node.getMasterUri();
   }
 
+  /**
+   * @returns {string} uri of the master this node was configured with
+   */
+  getRosMasterUri() {
+    return this._node.getRosMasterUri();
+  }
+
+//------------------------------------------------------------------
+// Graph Introspection
+//------------------------------------------------------------------
+  /**
+   * Get a snapshot of the ROS graph from the master
+   * @returns {Promise} resolves with {topics, services, nodes}
+   *   topics: [{name, type, publishers, subscribers}] - type is null if the master doesn't know it
+   *   services: [{name, providers}]
+   *   nodes: [name]
+   */
+  getGraph() {
+    return Promise.all([this._node.getSystemState(), this._node.getTopicTypes()])
+    .then(([state, topicTypes]) => {
+      const types = {};
+      topicTypes.forEach(({name, type}) => {
+        types[name] = type;
+      });
+
+      // the master remembers topic types after everything has unregistered,
+      // so only include topics that something is registered for
+      const topicNames = new Set(Object.keys(state.publishers).concat(Object.keys(state.subscribers)));
+      const topics = Array.from(topicNames).sort().map((name) => {
+        return {
+          name,
+          type: types[name] || null,
+          publishers: state.publishers[name] || [],
+          subscribers: state.subscribers[name] || []
+        };
+      });
+
+      const services = Object.keys(state.services).sort().map((name) => {
+        return {
+          name,
+          providers: state.services[name]
+        };
+      });
+
+      const nodes = new Set();
+      [state.publishers, state.subscribers, state.services].forEach((registrations) => {
+        Object.keys(registrations).forEach((name) => {
+          registrations[name].forEach((node) => nodes.add(node));
+        });
+      });
+
+      return {
+        topics,
+        services,
+        nodes: Array.from(nodes).sort()
+      };
+    });
+  }
+
+  /**
+   * @returns {Promise} resolves with [{name, type, publishers, subscribers}] for all topics
+   */
+  getTopics() {
+    return this.getGraph().then((graph) => graph.topics);
+  }
+
+  /**
+   * @returns {Promise} resolves with [{name, providers}] for all services
+   */
+  getServices() {
+    return this.getGraph().then((graph) => graph.services);
+  }
+
+  /**
+   * @param service {string}
+   * @returns {Promise} resolves with the rosrpc uri of the service's provider.
+   *                    Rejects if the service isn't registered.
+   */
+  lookupService(service) {
+    return this._node.lookupService(this._resolve(service))
+    .then((resp) => resp[2]);
+  }
+
+  /**
+   * @returns {Promise} resolves with the names of all nodes with any registrations on the master
+   */
+  getNodes() {
+    return this.getGraph().then((graph) => graph.nodes);
+  }
+
+  /**
+   * Get the topics and services a node is registered for
+   * @param nodeName {string}
+   * @returns {Promise} resolves with {name, uri, publications, subscriptions, services}.
+   *   uri is null if the master doesn't know about the node.
+   */
+  getNodeInfo(nodeName) {
+    nodeName = this._resolve(nodeName);
+    const uriPromise = this._node.lookupNode(nodeName)
+    .then((resp) => resp[2])
+    .catch((err) => {
+      if (err && err.code === 'EROSAPIERROR') {
+        return null;
+      }
+      // else
+      throw err;
+    });
+
+    return Promise.all([uriPromise, this.getGraph()])
+    .then(([uri, graph]) => {
+      return {
+        name: nodeName,
+        uri,
+        publications: graph.topics.filter((topic) => topic.publishers.includes(nodeName))
+          .map(({name, type}) => ({name, type})),
+        subscriptions: graph.topics.filter((topic) => topic.subscribers.includes(nodeName))
+          .map(({name, type}) => ({name, type})),
+        services: graph.services.filter((service) => service.providers.includes(nodeName))
+          .map((service) => service.name)
+      };
+    });
+  }
+
+  /**
+   * Creates a GraphWatcher that polls the master and emits events as the graph changes
+   * @param [options] {object}
+   * @param [options.pollMs] {number} how often to poll the master
+   * @returns {GraphWatcher} started watcher - call stop() when you're done with it
+   */
+  watchGraph(options) {
+    const watcher = new GraphWatcher(this, options);
+    watcher.start();
+    return watcher;
+  }
+
 //------------------------------------------------------------------
 // Param Interface
 //------------------------------------------------------------------
@@ -283,18 +506,134 @@ class NodeHandle {
     return this._node.setParam(this._resolve(key), value);
   }
 
-  getParam(key) {
-    return this._node.getParam(this._resolve(key));
+  /**
+   * Get a parameter from the parameter server
+   *   e.g. nh.getParam('rate', 10, 'number')
+   * @param key {string}
+   * @param [defaultValue] {*} resolved instead of rejecting if the parameter isn't set
+   * @param [type] {string|function} type to validate and convert the value to - one of
+   *                                 'string', 'number', 'int', 'boolean', 'array', 'object',
+   *                                 or a function that returns the converted value and throws
+   *                                 if it's invalid. The default value is never converted.
+   * @returns {Promise} resolves with the value - rejects if the parameter isn't set and there
+   *                    is no default value, or with code EPARAMTYPE if it isn't of the requested type
+   */
+  getParam(key, defaultValue, type) {
+    const hasDefault = arguments.length > 1;
+    return this._node.getParam(this._resolve(key))
+    .then((value) => {
+      if (type) {
+        return paramUtils.coerce(key, value, type);
+      }
+      // else
+      return value;
+    }, (err) => {
+      if (hasDefault && paramUtils.isNotSetError(err)) {
+        return defaultValue;
+      }
+      // else
+      throw err;
+    });
+  }
+
+  /**
+   * Get several parameters at once
+   *   e.g. nh.getParams({rate: 10, frame_id: 'base'}) => {rate: 5, frame_id: 'base'}
+   * @param defaults {object} map of parameter name to the default value to use if it isn't set
+   * @param [types] {object} map of parameter name to type to validate it as (see getParam)
+   * @returns {Promise} resolves with a map of parameter name to value
+   */
+  getParams(defaults, types={}) {
+    const keys = Object.keys(defaults);
+    return Promise.all(keys.map((key) => {
+      return this.getParam(key, defaults[key], types[key]);
+    }))
+    .then((values) => {
+      const params = {};
+      keys.forEach((key, index) => {
+        params[key] = values[index];
+      });
+      return params;
+    });
   }
 
   hasParam(key) {
     return this._node.hasParam(this._resolve(key));
   }
+
+  /**
+   * Search for a parameter starting in this NodeHandle's namespace and moving
+   * up towards the global namespace.
+   *   e.g. from /robot/arm, searching for 'frame' checks /robot/arm/frame, /robot/frame, /frame
+   * @param key {string} relative parameter name
+   * @returns {Promise} resolves with the resolved name of the closest match or null if none was found
+   */
+  searchParam(key) {
+    if (!namespaceUtils.validate(key) || key.startsWith('~')) {
+      return Promise.reject(new Error(`Unable to search for invalid name [${key}]`));
+    }
+    // else
+    return this._node.searchParam(this._namespace, key);
+  }
+
+  /**
+   * @returns {Promise} resolves with the names of all parameters on the parameter server
+   */
+  getParamNames() {
+    return this._node.getParamNames();
+  }
+
+  /**
+   * Get a parameter from this node's local cache. The first call for a key subscribes
+   * to it on the master so that the cache stays up to date without polling.
+   * @param key {string}
+   * @returns {Promise} resolves with the value - rejects if the parameter isn't set
+   */
+  getParamCached(key) {
+    return this._node.getParamCached(this._resolve(key));
+  }
+
+  /**
+   * Listen for changes to a parameter
+   * @param key {string}
+   * @param callback {function} called with (value, key) whenever the parameter changes.
+   *                            value is undefined if the parameter was deleted.
+   * @returns {Promise} resolves with the current value of the parameter (undefined if unset)
+   */
+  onParamChange(key, callback) {
+    return this._node.onParamChange(this._resolve(key), callback);
+  }
+
+  removeParamChangeListener(key, callback) {
+    this._node.removeParamChangeListener(this._resolve(key), callback);
+  }
 //------------------------------------------------------------------
 // Namespacing
 //------------------------------------------------------------------
-  _resolve(name) {
-    return namespaceUtils.resolve(name, this._namespace, this.getNodeName());
+  /**
+   * Resolves a name in this handle's namespace and applies the node's remappings
+   *   e.g. 'chatter' => '/ns/chatter', '~rate' => '/node/rate'
+   * @param name {string}
+   * @returns {string} resolved name
+   */
+  resolveName(name) {
+    return this._resolve(name);
+  }
+
+  _resolve(name, namespace=this._namespace) {
+    if (!namespaceUtils.validate(name)) {
+      throw new Error(`Unable to resolve invalid name [${name}]`);
+    }
+    // else
+    return namespaceUtils.resolve(name, namespace, this.getNodeName(), this._getRemappings());
+  }
+
+  _getRemappings() {
+    if (this._node) {
+      return this._node.getRemappings();
+    }
+    // else
+    return null;
   }
 }
 
@@ -28,8 +28,8 @@ class ParamServerApiClient {
     this._xmlrpcClient = xmlrpcClient;
   }
 
-  _call(method, data, resolve, reject) {
-    this._xmlrpcClient.call(method, data, resolve, reject);
+  _call(method, data, resolve, reject, options) {
+    this._xmlrpcClient.call(method, data, resolve, reject, options);
   }
 
   deleteParam(callerId, key) {
@@ -69,16 +69,63 @@ class ParamServerApiClient {
     });
   }
 
+  /**
+   * Search for a parameter key starting in the namespace of callerId and
+   * working up to the global namespace.
+   * @param callerId {string} namespace to start the search from
+   * @param key {string} unresolved parameter name
+   * @returns {Promise} resolves with the fully resolved key that was found - rejects
+   *                    with statusCode -1 if there was no match
+   */
   searchParam(callerId, key) {
-    throw new Error('NOT IMPLEMENTED');
+    let data = [
+      callerId,
+      key
+    ];
+
+    return new Promise((resolve, reject) => {
+      this._call('searchParam', data, (resp) => {
+        // resp[2] is the resolved key
+        resolve(resp[2]);
+      }, reject);
+    });
   }
 
-  subscribeParam(callerId, key) {
-    throw new Error('NOT IMPLEMENTED');
+  /**
+   * Subscribe to updates for a parameter. The master will send paramUpdate
+   * calls to callerApi whenever the parameter changes.
+   * @param callerId {string}
+   * @param callerApi {string} xmlrpc uri of the subscribing node
+   * @param key {string}
+   * @returns {Promise} resolves with the current value of the parameter ({} if unset)
+   */
+  subscribeParam(callerId, callerApi, key) {
+    let data = [
+      callerId,
+      callerApi,
+      key
+    ];
+
+    return new Promise((resolve, reject) => {
+      this._call('subscribeParam', data, (resp) => {
+        resolve(resp[2]);
+      }, reject);
+    });
   }
 
-  unsubscribeParam(callerId, key) {
-    throw new Error('NOT IMPLEMENTED');
+  unsubscribeParam(callerId, callerApi, key, options) {
+    let data = [
+      callerId,
+      callerApi,
+      key
+    ];
+
+    return new Promise((resolve, reject) => {
+      this._call('unsubscribeParam', data, (resp) => {
+        // resp[2] is the number of subscriptions removed
+        resolve(resp[2]);
+      }, reject, options);
+    });
   }
 
   hasParam(callerId, key) {
@@ -88,15 +135,10 @@ class ParamServerApiClient {
     ];
 
     return new Promise((resolve, reject) => {
-      this._xmlrpcClient.methodCall('hasParam', data, (err, resp) => {
-        if (err || resp[0] !== 1) {
-          reject(err, resp);
-        }
-        else {
-          // resp[2] is whether it actually has param and presumably all anyone  cares about
-          resolve(resp[2]);
-        }
-      });
+      this._call('hasParam', data, (resp) => {
+        // resp[2] is whether it actually has param and presumably all anyone cares about
+        resolve(resp[2]);
+      }, reject);
     });
   }
 
@@ -106,15 +148,10 @@ class ParamServerApiClient {
     ];
 
     return new Promise((resolve, reject) => {
-      this._xmlrpcClient.methodCall('getParamNames', data, (err, resp) => {
-        if (err || resp[0] !== 1) {
-          reject(err, resp);
-        }
-        else {
-          // resp[2] is parameter name list and presumably all anyone cares about
-          resolve(resp[2]);
-        }
-      });
+      this._call('getParamNames', data, (resp) => {
+        // resp[2] is parameter name list and presumably all anyone cares about
+        resolve(resp[2]);
+      }, reject);
     });
   }
 }
@@ -27,19 +27,32 @@ const {rebroadcast} = require('../utils/event_utils.js');
  * on a given topic.
  */
 class Publisher extends EventEmitter {
-  constructor(impl) {
+  /**
+   * @param impl {PublisherImpl}
+   * @param [options] {object}
+   * @param [options.onConnect] {function} called with a SingleSubscriberPublisher when a subscriber connects
+   * @param [options.onDisconnect] {function} called with a SingleSubscriberPublisher when a subscriber disconnects
+   */
+  constructor(impl, options={}) {
     super();
 
     ++impl.count;
     this._impl = impl;
     this._ultron = new Ultron(impl);
 
+    this._subscriberListener = null;
+    if (typeof options.onConnect === 'function' || typeof options.onDisconnect === 'function') {
+      this._subscriberListener = {onConnect: options.onConnect, onDisconnect: options.onDisconnect};
+      impl.addSubscriberListener(this._subscriberListener);
+    }
+
     this._topic = impl.getTopic();
     this._type = impl.getType();
 
     rebroadcast('registered', this._ultron, this);
     rebroadcast('connection', this._ultron, this);
     rebroadcast('disconnect', this._ultron, this);
+    rebroadcast('drop', this._ultron, this);
     rebroadcast('error', this._ultron, this);
   }
 
@@ -84,6 +97,19 @@ class Publisher extends EventEmitter {
     return 0;
   }
 
+  /**
+   * Get traffic statistics for this publisher and each subscriber connected to it
+   *   {messageDataSent, connections: [{id, destination, bytesSent, messagesSent, drops, connected}]}
+   * @returns {object}
+   */
+  getStats() {
+    if (this._impl) {
+      return this._impl.getStats();
+    }
+    // else
+    return {messageDataSent: 0, connections: []};
+  }
+
   /**
    * Shuts down this publisher. If this is the last publisher on this topic
    * for this node, closes the publisher and unregisters the topic from Master
@@ -97,6 +123,11 @@ class Publisher extends EventEmitter {
       this._ultron.destroy();
       this._ultron = null;
 
+      if (this._subscriberListener) {
+        impl.removeSubscriberListener(this._subscriberListener);
+        this._subscriberListener = null;
+      }
+
       --impl.count;
       if (impl.count <= 0) {
         return impl.getNode().unadvertise(impl.getTopic());
@@ -125,6 +156,16 @@ class Publisher extends EventEmitter {
   publish(msg, throttleMs) {
     this._impl.publish(msg, throttleMs);
   }
+
+  /**
+   * Schedule an already serialized message for publishing, skipping serialization.
+   * Useful for relaying messages from raw subscribers.
+   * @param buffer {Buffer} serialized message without its length
+   * @param [throttleMs] {number} optional override for publisher setting
+   */
+  publishRaw(buffer, throttleMs) {
+    this._impl.publishRaw(buffer, throttleMs);
+  }
 }
 
 module.exports = Publisher;
@@ -38,11 +38,36 @@ let Deserialize = SerializationUtils.Deserialize;
 let Serialize = SerializationUtils.Serialize;
 let EventEmitter = require('events');
 let Logging = require('./Logging.js');
+const namespaceUtils = require('../utils/namespace_utils.js');
+const ParamCache = require('../utils/ParamCache.js');
+const paramUtils = require('../utils/param_utils.js');
+const TopicStatistics = require('../utils/TopicStatistics.js');
+
+const DEFAULT_MASTER_MONITOR_MS = 5000;
+
+// nodes that haven't shut down yet. They all need to unregister from
+// the master before the process exits on SIGINT.
+const activeNodes = new Set();
+
+function handleSigInt() {
+  const exit = () => { process.exit(); };
+  Promise.all(Array.from(activeNodes).map((node) => node._exit()))
+  .then(exit, exit);
+}
 
 /**
  * Create a ros node interface to the master
  * @param name {string} name of the node
  * @param rosMaster {string} full uri of ros maxter (http://localhost:11311)
+ * @param [options] {object}
+ * @param [options.remappings] {object} name remappings (e.g. from the command line) to apply
+ *                                      when resolving names for this node
+ * @param [options.loggerName] {string} logger for this node's messages - defaults to ros.rosnodejs
+ * @param [options.masterMonitorMs] {number} how often to check that the master is still up (and
+ *                                           hasn't been restarted). Defaults to 5000. Set <= 0 to disable.
+ * Emits 'masterDisconnected' when the master can no longer be reached and 'masterReconnected'
+ * when it is back (or was restarted). All publishers, subscribers and services are re-registered
+ * when the master comes back.
  */
 class RosNode extends EventEmitter {
 
@@ -50,6 +75,9 @@ class RosNode extends EventEmitter {
     super();
 
     this._log = Logging.getLogger('ros.rosnodejs');
+    if (options.loggerName) {
+      this._log = Logging.getLogger(options.loggerName, {level: this._log.getLevel()});
+    }
     this._debugLog = Logging.getLogger('ros.superdebug');
 
     this._slaveApiServer = null;
@@ -60,6 +88,10 @@ class RosNode extends EventEmitter {
 
     this._nodeName = nodeName;
 
+    this._namespace = namespaceUtils.parentNamespace(nodeName);
+
+    this._remappings = namespaceUtils.resolveRemappings(options.remappings || {}, this._namespace, nodeName);
+
     this._rosMasterAddress = rosMaster;
 
     this._masterApi = new MasterApiClient(this._rosMasterAddress);
@@ -73,6 +105,16 @@ class RosNode extends EventEmitter {
 
     this._services = {};
 
+    this._paramCache = new ParamCache();
+
+    // in-flight subscribeParam calls by key
+    this._pendingParamSubscriptions = {};
+
+    // topic statistics settings shared by this node's subscribers and the
+    // publisher for /statistics - both created the first time they're needed
+    this._statisticsSettings = null;
+    this._statisticsPub = null;
+
     this._setupTcprosServer(options.tcprosPort)
     .then(this._setupSlaveApi.bind(this, options.xmlrpcPort));
 
@@ -81,6 +123,11 @@ class RosNode extends EventEmitter {
     this._setupSpinner(options.spinner);
 
     this._shutdown = false;
+
+    this._masterPid = null;
+    this._masterConnected = false;
+    this._masterMonitorTimeout = null;
+    this._setupMasterMonitor(options.masterMonitorMs);
   }
 
   getLogger() {
@@ -103,7 +150,7 @@ class RosNode extends EventEmitter {
       this._publishers[topic] = pubImpl;
     }
 
-    return new Publisher(pubImpl);
+    return new Publisher(pubImpl, options);
   }
 
   subscribe(options, callback) {
@@ -181,10 +228,106 @@ class RosNode extends EventEmitter {
     return this._services.hasOwnProperty(service);
   }
 
+  /**
+   * @param topic {string}
+   * @returns {PublisherImpl|undefined} this node's publisher for the topic
+   */
+  getPublisherImpl(topic) {
+    return this._publishers[topic];
+  }
+
   getNodeName() {
     return this._nodeName;
   }
 
+  /**
+   * Get the topic statistics settings for this node's subscribers. They are read from
+   * the param server the first time they're needed and kept up to date after that.
+   * Only /enable_statistics is watched until statistics are enabled.
+   * @returns {object} see TopicStatistics.DEFAULT_SETTINGS
+   */
+  getStatisticsSettings() {
+    if (this._statisticsSettings === null) {
+      const settings = Object.assign({}, TopicStatistics.DEFAULT_SETTINGS);
+      this._statisticsSettings = settings;
+
+      const watchSetting = (setting, onUpdate) => {
+        const param = TopicStatistics.PARAMS[setting];
+        const update = (value) => {
+          settings[setting] = (value === undefined) ? TopicStatistics.DEFAULT_SETTINGS[setting] : value;
+          if (onUpdate) {
+            onUpdate();
+          }
+        };
+
+        this.onParamChange(param, update)
+        .then(update)
+        .catch((err) => {
+          this._log.debug('Unable to get statistics param %s: %s', param, err);
+        });
+      };
+
+      let watchingWindow = false;
+      watchSetting('enabled', () => {
+        if (settings.enabled && !watchingWindow) {
+          watchingWindow = true;
+          Object.keys(TopicStatistics.PARAMS).forEach((setting) => {
+            if (setting !== 'enabled') {
+              watchSetting(setting);
+            }
+          });
+        }
+      });
+    }
+    return this._statisticsSettings;
+  }
+
+  /**
+   * Publishes statistics for one of this node's subscriber connections on /statistics
+   * @param msg {object} fields of a rosgraph_msgs/TopicStatistics message
+   */
+  publishStatistics(msg) {
+    if (this.isShutdown()) {
+      return;
+    }
+    // else
+    if (this._statisticsPub === null) {
+      const type = 'rosgraph_msgs/TopicStatistics';
+      try {
+        const typeClass = messageUtils.getHandlerForMsgType(type, true);
+        if (!typeClass) {
+          throw new Error(`Unable to find message ${type}`);
+        }
+        // several connections can finish their windows at once
+        this._statisticsPub = this.advertise({topic: '/statistics', type, typeClass, queueSize: 10});
+      }
+      catch (err) {
+        this._log.warn('Unable to publish topic statistics: %s', err);
+        this._statisticsPub = false;
+      }
+    }
+
+    if (this._statisticsPub) {
+      this._statisticsPub.publish(msg);
+    }
+  }
+
+  /**
+   * Get the namespace this node lives in (e.g. /foo for node /foo/bar)
+   * @returns {string}
+   */
+  getNamespace() {
+    return this._namespace;
+  }
+
+  /**
+   * Get the resolved name remappings for this node
+   * @returns {object}
+   */
+  getRemappings() {
+    return this._remappings;
+  }
+
 //------------------------------------------------------------------
 // Master API
 //------------------------------------------------------------------
@@ -268,6 +411,18 @@ class RosNode extends EventEmitter {
     return this._masterApi.lookupNode(this._nodeName, nodeName, options);
   }
 
+  getSystemState(options) {
+    return this._masterApi.getSystemState(this._nodeName, options);
+  }
+
+  getPublishedTopics(subgraph, options) {
+    return this._masterApi.getPublishedTopics(this._nodeName, subgraph, options);
+  }
+
+  getTopicTypes(options) {
+    return this._masterApi.getTopicTypes(this._nodeName, options);
+  }
+
   lookupService(service, options) {
     return this._masterApi.lookupService(this._nodeName, service, options);
   }
@@ -305,11 +460,19 @@ class RosNode extends EventEmitter {
 //------------------------------------------------------------------
 
   deleteParam(key) {
-    return this._paramServerApi.deleteParam(this._nodeName, key);
+    return this._paramServerApi.deleteParam(this._nodeName, key)
+    .then((resp) => {
+      this._paramCache.applyChange(key, undefined);
+      return resp;
+    });
   }
 
   setParam(key, value) {
-    return this._paramServerApi.setParam(this._nodeName, key, value);
+    return this._paramServerApi.setParam(this._nodeName, key, value)
+    .then((resp) => {
+      this._paramCache.applyChange(key, value);
+      return resp;
+    });
   }
 
   getParam(key) {
@@ -319,6 +482,107 @@ class RosNode extends EventEmitter {
   hasParam(key) {
     return this._paramServerApi.hasParam(this._nodeName, key);
   }
+
+  /**
+   * Search for a parameter starting in the provided namespace and moving up
+   * towards the global namespace.
+   * @param namespace {string} resolved namespace to start searching from
+   * @param key {string} unresolved parameter name
+   * @returns {Promise} resolves with the resolved name of the closest match or null if none was found
+   */
+  searchParam(namespace, key) {
+    return this._paramServerApi.searchParam(namespace, key)
+    .catch((err) => {
+      if (paramUtils.isNotSetError(err)) {
+        return null;
+      }
+      // else
+      throw err;
+    });
+  }
+
+  getParamNames() {
+    return this._paramServerApi.getParamNames(this._nodeName);
+  }
+
+  /**
+   * Get a parameter from the local cache. The first call for a key subscribes to it
+   * on the master, after which the cache is kept up to date through paramUpdate calls.
+   * @param key {string} resolved parameter name
+   * @returns {Promise} resolves with the value - rejects if the parameter isn't set
+   */
+  getParamCached(key) {
+    let valuePromise;
+    if (this._paramCache.has(key)) {
+      valuePromise = Promise.resolve();
+    }
+    else {
+      valuePromise = this._subscribeParam(key);
+    }
+
+    return valuePromise.then(() => {
+      const value = this._paramCache.get(key);
+      if (value === undefined) {
+        const error = new Error(`Parameter [${key}] is not set`);
+        error.code = 'EROSAPIERROR';
+        throw error;
+      }
+      // else
+      return value;
+    });
+  }
+
+  /**
+   * Listen for changes to a parameter. Subscribes to the parameter on the master if needed.
+   * @param key {string} resolved parameter name
+   * @param callback {function} called with (value, key) - value is undefined if the param was deleted
+   * @returns {Promise} resolves with the current value of the parameter (undefined if unset)
+   */
+  onParamChange(key, callback) {
+    key = namespaceUtils.clean(key);
+    this._paramCache.on(key, callback);
+
+    let subscribePromise = Promise.resolve();
+    if (!this._paramCache.isSubscribed(key)) {
+      subscribePromise = this._subscribeParam(key);
+    }
+
+    return subscribePromise.then(() => {
+      return this._paramCache.get(key);
+    });
+  }
+
+  removeParamChangeListener(key, callback) {
+    this._paramCache.removeListener(namespaceUtils.clean(key), callback);
+  }
+
+  /**
+   * Subscribes to the parameter on the master and caches its current value
+   * @param key {string} resolved parameter name
+   * @returns {Promise} resolves with the value returned by the master
+   */
+  _subscribeParam(key) {
+    key = namespaceUtils.clean(key);
+    if (!this._pendingParamSubscriptions.hasOwnProperty(key)) {
+      this._pendingParamSubscriptions[key] = this._whenReady()
+      .then(() => {
+        return this._paramServerApi.subscribeParam(this._nodeName, this._getXmlrpcUri(), key);
+      })
+      .then((value) => {
+        delete this._pendingParamSubscriptions[key];
+        if (!this._paramCache.isSubscribed(key)) {
+          this._paramCache.set(key, value);
+        }
+        return value;
+      })
+      .catch((err) => {
+        delete this._pendingParamSubscriptions[key];
+        throw err;
+      });
+    }
+
+    return this._pendingParamSubscriptions[key];
+  }
 //------------------------------------------------------------------
 // Slave API
 //------------------------------------------------------------------
@@ -350,6 +614,95 @@ class RosNode extends EventEmitter {
     return this._shutdown;
   }
 
+  /**
+   * @returns {boolean} true if the master responded to the last check
+   */
+  isMasterConnected() {
+    return this._masterConnected;
+  }
+
+  _setupMasterMonitor(masterMonitorMs) {
+    if (typeof masterMonitorMs !== 'number') {
+      masterMonitorMs = DEFAULT_MASTER_MONITOR_MS;
+    }
+
+    if (masterMonitorMs > 0) {
+      this._masterMonitorMs = masterMonitorMs;
+      this._checkMaster();
+    }
+  }
+
+  /**
+   * Checks the master's pid. If we couldn't reach the master last time or its
+   * pid changed, the master was restarted and we need to register everything again.
+   */
+  _checkMaster() {
+    this._masterMonitorTimeout = null;
+
+    this._masterApi.getPid(this._nodeName)
+    .then((pid) => {
+      if (this.isShutdown()) {
+        return;
+      }
+
+      const firstContact = this._masterPid === null;
+      const reconnected = !firstContact && (!this._masterConnected || pid !== this._masterPid);
+
+      this._masterPid = pid;
+      this._masterConnected = true;
+
+      if (reconnected) {
+        this._log.warn('Reconnected to master at %s - re-registering', this._rosMasterAddress);
+        this.emit('masterReconnected', pid);
+        this._reregister();
+      }
+    })
+    .catch((err) => {
+      if (this.isShutdown()) {
+        return;
+      }
+
+      if (this._masterConnected) {
+        this._masterConnected = false;
+        this._log.warn('Lost connection to master at %s: %s', this._rosMasterAddress, err);
+        this.emit('masterDisconnected', err);
+      }
+    })
+    .then(() => {
+      if (!this.isShutdown()) {
+        this._masterMonitorTimeout = setTimeout(this._checkMaster.bind(this), this._masterMonitorMs);
+      }
+    });
+  }
+
+  /**
+   * Registers all of this node's publishers, subscribers and services with the master again.
+   */
+  _reregister() {
+    Object.keys(this._publishers).forEach((topic) => {
+      this._publishers[topic]._register();
+    });
+
+    Object.keys(this._subscribers).forEach((topic) => {
+      this._subscribers[topic]._register();
+    });
+
+    Object.keys(this._services).forEach((service) => {
+      this._services[service]._register();
+    });
+
+    this._paramCache.getSubscribedKeys().forEach((key) => {
+      this._subscribeParam(key)
+      .then((value) => {
+        // the value may have changed while the master was down
+        this._paramCache.update(key, value);
+      })
+      .catch((err) => {
+        this._log.warn('Error re-subscribing to param %s: %s', key, err);
+      });
+    });
+  }
+
   _setupSlaveApi(xmlrpcPort=null) {
     if (xmlrpcPort === null) {
       xmlrpcPort = 0;
@@ -465,32 +818,50 @@ class RosNode extends EventEmitter {
 
   _handleTopicRequest(err, params, callback) {
     this._debugLog.info('Got topic request ' + JSON.stringify(params));
-    if (!err) {
-      let topic = params[1];
-      let pub = this._publishers[topic];
-      if (pub) {
-        let port = this._tcprosPort;
-        let resp = [
-          1,
-          'Allocated topic connection on port ' + port,
-          [
-            'TCPROS',
-            NetworkUtils.getHost(),
-            port
-          ]
-        ];
-        callback(null, resp);
-      }
+    if (err) {
+      this._log.error('Error during topic request: %s, %j', err, params);
+      callback(err, [0, 'Unable to allocate topic connection', []]);
+      return;
+    }
+    // else
+    const topic = params[1];
+    const protocols = params[2] || [];
+    const pub = this._publishers[topic];
+    if (!pub) {
+      callback(null, [0, 'Not a publisher of [' + topic + ']', []]);
+      return;
+    }
+
+    // use the first protocol we support - subscribers list them in order of preference
+    const protocol = protocols.find((protocol) => {
+      return Array.isArray(protocol) && (protocol[0] === 'TCPROS' || protocol[0] === 'UDPROS');
+    });
+
+    if (!protocol) {
+      callback(null, [0, 'No supported protocols for topic ' + topic, []]);
+    }
+    else if (protocol[0] === 'UDPROS') {
+      const [, header, host, port, maxDatagramSize] = protocol;
+      pub.handleUdprosRequest(header, host, port, maxDatagramSize)
+      .then((udprosParams) => {
+        callback(null, [1, 'Allocated UDPROS connection ' + udprosParams[3], udprosParams]);
+      })
+      .catch((err) => {
+        callback(null, [0, 'Unable to allocate UDPROS connection: ' + err.message, []]);
+      });
     }
     else {
-      this._log.error('Error during topic request: %s, %j', err, params);
+      let port = this._tcprosPort;
       let resp = [
-        0,
-        'Unable to allocate topic connection for ' + topic,
-        []
+        1,
+        'Allocated topic connection on port ' + port,
+        [
+          'TCPROS',
+          NetworkUtils.getHost(),
+          port
+        ]
       ];
-      let err = 'Error: Unknown topic ' + topic;
-      callback(err, resp);
+      callback(null, resp);
     }
   }
 
@@ -527,8 +898,25 @@ class RosNode extends EventEmitter {
     }
   }
 
+  /**
+   * Handle param update message from master for a param we've subscribed to.
+   * The updated key may be nested inside the subscribed key.
+   * @param err was there an error
+   * @param params {Array} [caller_id, parameter_key, parameter_value]
+   * @param callback function(err, resp) call when done handling message
+   */
   _handleParamUpdate(err, params, callback) {
-    this._log.info('Got param update! Not really doing anything with it...' + params);
+    this._debugLog.info('Param update ' + err + ' params: ' + JSON.stringify(params));
+    // the master sends keys with a trailing slash
+    const key = namespaceUtils.clean(params[1]);
+    this._paramCache.applyChange(key, params[2]);
+
+    const resp = [
+      1,
+      'Handled param update for ' + key,
+      0
+    ];
+    callback(null, resp);
   }
 
   _handleGetPublications(err, params, callback) {
@@ -567,6 +955,7 @@ class RosNode extends EventEmitter {
   _handleShutdown(err, params, callback) {
     let caller = params[0];
     this._log.warn('Received shutdown command from ' + caller);
+    callback(null, [1, 'Shutting down', 0]);
     return this.shutdown();
   }
 
@@ -581,31 +970,30 @@ class RosNode extends EventEmitter {
 
   _handleGetBusInfo(err, params, callback) {
     const busInfo = [];
-    let count = 0;
     Object.keys(this._subscribers).forEach((topic) => {
       const sub = this._subscribers[topic];
-      sub.getClientUris().forEach((clientUri) => {
+      sub.getStats().connections.forEach((connection) => {
         busInfo.push([
-          ++count,
-          clientUri,
+          connection.id,
+          connection.destination,
           'i',
-          'TCPROS',
+          connection.transport,
           sub.getTopic(),
-          true
+          connection.connected
         ]);
       });
     });
 
     Object.keys(this._publishers).forEach((topic) => {
       const pub = this._publishers[topic];
-      pub.getClientUris().forEach((clientUri) => {
+      pub.getStats().connections.forEach((connection) => {
         busInfo.push([
-          ++count,
-          clientUri,
+          connection.id,
+          connection.destination,
           'o',
-          'TCPROS',
+          connection.transport,
           pub.getTopic(),
-          true
+          connection.connected
         ]);
       });
     });
@@ -618,8 +1006,47 @@ class RosNode extends EventEmitter {
     callback(null, resp);
   }
 
+  /**
+   * Returns stats in the form [publishStats, subscribeStats, serviceStats]
+   *   publishStats: [[topic, messageDataSent, [[connectionId, bytesSent, numSent, connected]*]]*]
+   *   subscribeStats: [[topic, [[connectionId, bytesReceived, numReceived, drops, connected]*]]*]
+   *   serviceStats: [[service, numRequests, bytesReceived, bytesSent]*]
+   * http://wiki.ros.org/ROS/Slave_API
+   */
   _handleGetBusStats(err, params, callback) {
-    this._log.error('Not implemented');
+    const publishStats = Object.keys(this._publishers).map((topic) => {
+      const stats = this._publishers[topic].getStats();
+      return [
+        topic,
+        stats.messageDataSent,
+        stats.connections.map((connection) => {
+          return [connection.id, connection.bytesSent, connection.messagesSent, connection.connected];
+        })
+      ];
+    });
+
+    const subscribeStats = Object.keys(this._subscribers).map((topic) => {
+      const stats = this._subscribers[topic].getStats();
+      return [
+        topic,
+        stats.connections.map((connection) => {
+          return [connection.id, connection.bytesReceived, connection.messagesReceived,
+                  connection.drops, connection.connected];
+        })
+      ];
+    });
+
+    const serviceStats = Object.keys(this._services).map((service) => {
+      const stats = this._services[service].getStats();
+      return [service, stats.numRequests, stats.bytesReceived, stats.bytesSent];
+    });
+
+    const resp = [
+      1,
+      'Returning bus stats for node ' + this._nodeName,
+      [publishStats, subscribeStats, serviceStats]
+    ];
+    callback(null, resp);
   }
 
   /**
@@ -651,7 +1078,6 @@ class RosNode extends EventEmitter {
     // publishers, subscribers, and services
 
     let exitHandler;
-    let sigIntHandler;
 
     let exitImpl = function(killProcess=false) {
       this._shutdown = true;
@@ -710,6 +1136,11 @@ class RosNode extends EventEmitter {
         unregisterPromises.push(this.unadvertiseService(service, { maxAttempts: 1 }));
       });
 
+      this._paramCache.getSubscribedKeys().forEach((key) => {
+        unregisterPromises.push(this._paramServerApi.unsubscribeParam(
+          this._nodeName, this._getXmlrpcUri(), key, { maxAttempts: 1 }));
+      });
+
       // catch any errors while unregistering
       // and don't bother external callers about it.
       promises.push(
@@ -729,10 +1160,16 @@ class RosNode extends EventEmitter {
       );
 
       this._spinner.clear();
-      Logging.stopLogCleanup();
+      this._paramCache.clear();
+
+      clearTimeout(this._masterMonitorTimeout);
+      this._masterMonitorTimeout = null;
 
       process.removeListener('exit', exitHandler);
-      process.removeListener('SIGINT', sigIntHandler);
+      activeNodes.delete(this);
+      if (activeNodes.size === 0) {
+        process.removeListener('SIGINT', handleSigInt);
+      }
 
       if (killProcess) {
         // we can't really block the exit process, just have to hope it worked...
@@ -750,10 +1187,13 @@ class RosNode extends EventEmitter {
     this._exit = exitImpl;
 
     exitHandler = exitImpl.bind(this);
-    sigIntHandler = exitImpl.bind(this, true);
 
     process.once('exit', exitHandler );
-    process.once('SIGINT', sigIntHandler );
+
+    if (activeNodes.size === 0) {
+      process.once('SIGINT', handleSigInt);
+    }
+    activeNodes.add(this);
   }
 }
 
@@ -30,18 +30,58 @@ let EventEmitter = require('events');
 let Logging = require('./Logging.js');
 const {REGISTERED, SHUTDOWN} = require('../utils/ClientStates.js');
 
+// codes for the errors service calls are rejected with
+const LOOKUP_FAILED = 'E_ROSSERVICELOOKUPFAILED';
+const CONNECTION_FAILED = 'E_ROSSERVICECONNECTIONFAILED';
+const HANDSHAKE_FAILED = 'E_ROSSERVICEHANDSHAKEFAILED';
+const TIMED_OUT = 'E_ROSSERVICETIMEOUT';
+const ABORTED = 'E_ROSSERVICEABORTED';
+const SERVICE_FAILED = 'E_ROSSERVICEFAILED';
+
+// delays between attempts to reach the service for clients that wait for it
+const WAIT_RETRY_MIN_MS = 100;
+const WAIT_RETRY_MAX_MS = 2000;
+
+function createCallError(message, code, cause=null) {
+  const error = new Error(message);
+  error.code = code;
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+}
+
 /**
  * @class ServiceCall
  * A small utility class for ServiceClient...
- * basically just a struct.
+ * basically just a struct. Only the first resolve/reject takes effect, and
+ * settling the call clears its timeout and abort listener.
  */
 class ServiceCall {
   constructor(request, resolve, reject) {
     this.request = request;
-    this.resolve = resolve;
-    this.reject = reject;
+    this.resolve = this._settle.bind(this, resolve);
+    this.reject = this._settle.bind(this, reject);
+    this.settled = false;
 
     this.serviceClient = null;
+
+    this.timer = null;
+    this.signal = null;
+    this.onAbort = null;
+  }
+
+  _settle(callback, value) {
+    if (this.settled) {
+      return;
+    }
+    // else
+    this.settled = true;
+    clearTimeout(this.timer);
+    if (this.signal) {
+      this.signal.removeEventListener('abort', this.onAbort);
+    }
+    callback(value);
   }
 }
 
@@ -51,7 +91,8 @@ class ServiceCall {
  * Typically ROS service calls are blocking. This isn't an option for JS though.
  * To accommodate multiple successive service calls, calls are queued along with
  * resolve/reject handlers created for that specific call. When a call completes, the
- * next call in the queue is handled
+ * next call in the queue is handled. With maxConcurrency > 1, that many calls can be in
+ * progress at once, each on its own connection.
  */
 class ServiceClient extends EventEmitter {
   constructor(options, nodeHandle) {
@@ -66,7 +107,32 @@ class ServiceClient extends EventEmitter {
 
     this._resolve = !!options.resolve;
 
-    this._calling = false;
+    // default time limit for calls in milliseconds (<= 0 for none)
+    this._timeoutMs = options.timeout || 0;
+
+    // extra fields to include in the connection header sent to the service
+    this._headers = options.headers || {};
+    TcprosUtils.validateExtraFields(this._headers);
+
+    /**
+     * how long calls wait for the service to be registered and reachable (ms) - until then,
+     * failed lookups and connections are retried with backoff. null to fail right away.
+     */
+    if (options.waitForService === true) {
+      this._waitForServiceMs = Infinity;
+    }
+    else if (options.waitForService > 0) {
+      this._waitForServiceMs = options.waitForService;
+    }
+    else {
+      this._waitForServiceMs = null;
+    }
+
+    // whether the service was reachable the last time we tried - null until we've tried
+    this._available = null;
+
+    // number of calls that can be in progress at once
+    this._maxConcurrency = Math.max(options.maxConcurrency || 1, 1);
 
     this._log = Logging.getLogger('ros.rosnodejs');
 
@@ -74,11 +140,12 @@ class ServiceClient extends EventEmitter {
 
     this._messageHandler = options.typeClass;
 
-    this._serviceClient = null;
+    // open connections for persistent clients that aren't being used by a call
+    this._idleConnections = [];
 
     this._callQueue = [];
 
-    this._currentCall = null;
+    this._activeCalls = new Set();
 
     // ServiceClients aren't "registered" anywhere but it's not
     // waiting to get registered either so REGISTERING doesn't make sense...
@@ -99,21 +166,25 @@ class ServiceClient extends EventEmitter {
   }
 
   isCallInProgress() {
-    return this._calling;
+    return this._activeCalls.size > 0;
+  }
+
+  getMaxConcurrency() {
+    return this._maxConcurrency;
   }
 
   close() {
     // don't remove service client if call is in progress
     if (!this.isCallInProgress()) {
-      this._serviceClient = null;
+      this._idleConnections.forEach((socket) => socket.end());
+      this._idleConnections = [];
     }
   }
 
   shutdown() {
     this._state = SHUTDOWN;
-    if (this._currentCall) {
-      this._currentCall.reject('SHUTDOWN');
-    }
+    this._activeCalls.forEach((call) => call.reject('SHUTDOWN'));
+    this._activeCalls.clear();
   }
 
   isShutdown() {
@@ -121,12 +192,42 @@ class ServiceClient extends EventEmitter {
   }
 
   /**
-   * Call the service - if a current call is in progress, nothing will be done
+   * Call the service - calls are queued and made one at a time. Rejected calls have an
+   * error code - E_ROSSERVICELOOKUPFAILED, E_ROSSERVICECONNECTIONFAILED,
+   * E_ROSSERVICEHANDSHAKEFAILED (the service rejected our connection header, e.g. an md5sum mismatch),
+   * E_ROSSERVICETIMEOUT, E_ROSSERVICEABORTED, E_ROSSERVICEFAILED (the service reported failure)
+   * or E_ROSSERVICEQUEUEFULL.
+   * @param request {object}
+   * @param [options] {object}
+   * @param [options.timeout] {number} ms to wait for the call, including time spent queued,
+   *                                   overriding the client's timeout option
+   * @param [options.signal] {AbortSignal} aborts the call - if it's in progress, its connection is closed
    * @return {Promise}
    */
-  call(request) {
+  call(request, options={}) {
     return new Promise((resolve, reject) => {
       const newCall = new ServiceCall(request, resolve, reject);
+
+      const signal = options.signal;
+      if (signal) {
+        if (signal.aborted) {
+          newCall.reject(this._createAbortError());
+          return;
+        }
+        // else
+        newCall.signal = signal;
+        newCall.onAbort = () => this._cancelCall(newCall, this._createAbortError());
+        signal.addEventListener('abort', newCall.onAbort);
+      }
+
+      const timeoutMs = options.hasOwnProperty('timeout') ? options.timeout : this._timeoutMs;
+      if (timeoutMs > 0) {
+        newCall.timer = setTimeout(() => {
+          const err = createCallError(`Service ${this.getService()} call timed out after ${timeoutMs}ms`, TIMED_OUT);
+          this._cancelCall(newCall, err);
+        }, timeoutMs);
+      }
+
       this._callQueue.push(newCall);
 
       // shift off old calls if user specified a max queue length
@@ -137,14 +238,47 @@ class ServiceClient extends EventEmitter {
         oldCall.reject(err);
       }
 
-      // if there weren't any other calls in the queue, execute this new call
+      // if there's room for another call in progress, execute this new call
       // otherwise new call will be handled in order when others complete
-      if (this._callQueue.length === 1) {
+      if (this._activeCalls.size < this._maxConcurrency) {
         this._executeCall();
       }
     });
   }
 
+  _createAbortError() {
+    return createCallError(`Service ${this.getService()} call aborted`, ABORTED);
+  }
+
+  /**
+   * Rejects a call that timed out or was aborted. If it was in progress, its connection
+   * is closed since a late response would be mistaken for the next call's.
+   * @param call {ServiceCall}
+   * @param err {Error}
+   */
+  _cancelCall(call, err) {
+    if (call.settled) {
+      return;
+    }
+    // else
+    if (this._activeCalls.has(call)) {
+      if (call.serviceClient) {
+        call.serviceClient.destroy();
+      }
+
+      this._activeCalls.delete(call);
+      this._scheduleNextCall();
+    }
+    else {
+      const index = this._callQueue.indexOf(call);
+      if (index !== -1) {
+        this._callQueue.splice(index, 1);
+      }
+    }
+
+    call.reject(err);
+  }
+
   _executeCall() {
     if (this.isShutdown()) {
       return;
@@ -155,8 +289,7 @@ class ServiceClient extends EventEmitter {
     }
     // else
     const call = this._callQueue.shift();
-    this._currentCall = call;
-    this._calling = true;
+    this._activeCalls.add(call);
 
     this._initiateServiceConnection(call)
     .then(() => {
@@ -167,60 +300,139 @@ class ServiceClient extends EventEmitter {
     .then((msg) => {
       this._throwIfShutdown();
 
-      this._calling = false;
-      this._currentCall = null;
-
-      this._scheduleNextCall();
+      // the call may have been cancelled while we were waiting
+      if (!this._activeCalls.has(call)) {
+        return;
+      }
+      // else
+      this._finishCall(call);
 
       call.resolve(msg);
     })
     .catch((err) => {
-      if (!this.isShutdown()) {
+      if (!this.isShutdown() && this._activeCalls.has(call)) {
         // this probably just means the service didn't exist yet - don't complain about it
         // We should still reject the call
-        if (err.code !== 'EROSAPIERROR') {
+        if (err.code !== LOOKUP_FAILED) {
           this._log.error(`Error during service ${this.getService()} call ${err}`);
         }
 
-        this._calling = false;
-        this._currentCall = null;
-
-        this._scheduleNextCall();
+        this._finishCall(call);
 
         call.reject(err);
       }
     });
   }
 
+  /**
+   * Makes room for the next call once a call is done. Persistent connections that are
+   * still open can be used by later calls.
+   * @param call {ServiceCall}
+   */
+  _finishCall(call) {
+    this._activeCalls.delete(call);
+
+    const socket = call.serviceClient;
+    if (this.getPersist() && socket && socket.$initialized && !socket.destroyed) {
+      this._idleConnections.push(socket);
+    }
+
+    this._scheduleNextCall();
+  }
+
   _scheduleNextCall() {
     if (this._callQueue.length > 0 && !this.isShutdown()) {
-      process.nextTick(this._executeCall.bind(this));
+      process.nextTick(() => {
+        // other calls may have started in the meantime
+        if (this._callQueue.length > 0 && this._activeCalls.size < this._maxConcurrency) {
+          this._executeCall();
+        }
+      });
     }
   }
 
   _initiateServiceConnection(call) {
     // if we haven't connected to the service yet, create the connection
     // this will always be the case unless this is persistent service client
-    // calling for a second time.
-    if (!this.getPersist() || this._serviceClient === null) {
-      return this._nodeHandle.lookupService(this.getService())
-      .then((resp) => {
-        this._throwIfShutdown();
-
-        const serviceUri = resp[2];
-        const serviceHost = NetworkUtils.getAddressAndPortFromUri(serviceUri);
-
-        // connect to the service's tcpros server
-        return this._connectToService(serviceHost, call);
-      })
+    // with an open connection that isn't being used.
+    if (!this.getPersist() || this._idleConnections.length === 0) {
+      if (this._waitForServiceMs === null) {
+        return this._lookupAndConnect(call);
+      }
+      // else
+      return this._waitForService(call, Date.now() + this._waitForServiceMs, WAIT_RETRY_MIN_MS);
     }
     else {
       // this is a persistent service that we've already set up
-      call.serviceClient = this._serviceClient;
+      call.serviceClient = this._idleConnections.pop();
       return Promise.resolve();
     }
   }
 
+  /**
+   * Retries looking up and connecting to the service until it succeeds or the deadline passes.
+   * The service rejecting our connection header won't change by retrying, so that fails right away.
+   * @param call {ServiceCall}
+   * @param deadline {number} time to give up at (ms since epoch)
+   * @param retryMs {number} delay before the next attempt - doubles with each attempt
+   * @returns {Promise}
+   */
+  _waitForService(call, deadline, retryMs) {
+    return this._lookupAndConnect(call)
+    .catch((err) => {
+      const remainingMs = deadline - Date.now();
+      if ((err.code !== LOOKUP_FAILED && err.code !== CONNECTION_FAILED) || remainingMs <= 0) {
+        throw err;
+      }
+      // else
+      this._log.debug('Waiting %dms for service %s', Math.min(retryMs, remainingMs), this.getService());
+      return new Promise((resolve) => setTimeout(resolve, Math.min(retryMs, remainingMs)))
+      .then(() => {
+        this._throwIfShutdown();
+        this._throwIfCancelled(call);
+
+        return this._waitForService(call, deadline, Math.min(retryMs * 2, WAIT_RETRY_MAX_MS));
+      });
+    });
+  }
+
+  _lookupAndConnect(call) {
+    return this._nodeHandle.lookupService(this.getService())
+    .catch((err) => {
+      this._setAvailable(false);
+      throw createCallError(`Unable to look up service ${this.getService()}: ${err.message}`, LOOKUP_FAILED, err);
+    })
+    .then((resp) => {
+      this._throwIfShutdown();
+      this._throwIfCancelled(call);
+
+      const serviceUri = resp[2];
+      const serviceHost = NetworkUtils.getAddressAndPortFromUri(serviceUri);
+
+      // connect to the service's tcpros server
+      return this._connectToService(serviceHost, call);
+    })
+    .then(() => {
+      this._setAvailable(true);
+    }, (err) => {
+      if (err.code === CONNECTION_FAILED) {
+        this._setAvailable(false);
+      }
+      throw err;
+    });
+  }
+
+  /**
+   * Emits 'available' or 'unavailable' when we find the service has become reachable or not
+   * @param available {boolean}
+   */
+  _setAvailable(available) {
+    if (this._available !== available) {
+      this._available = available;
+      this.emit(available ? 'available' : 'unavailable');
+    }
+  }
+
   _sendRequest(call) {
     if (this._resolve) {
       call.request = this._messageHandler.Request.Resolve(call.request);
@@ -229,17 +441,23 @@ class ServiceClient extends EventEmitter {
     // serialize request
     const serializedRequest = TcprosUtils.serializeMessage(this._messageHandler.Request, call.request);
 
-    call.serviceClient.write(serializedRequest);
+    const socket = call.serviceClient;
+    socket.write(serializedRequest);
 
     return new Promise((resolve, reject) => {
-      call.serviceClient.$deserializeStream.once('message', (msg, success) => {
+      const onClose = () => {
+        reject(createCallError(`Service ${this.getService()} closed the connection before responding`,
+                               CONNECTION_FAILED));
+      };
+      socket.once('close', onClose);
+
+      socket.$deserializeStream.once('message', (msg, success) => {
+        socket.removeListener('close', onClose);
         if (success) {
           resolve(this._messageHandler.Response.deserialize(msg));
         }
         else {
-          const error = new Error(msg);
-          error.code = 'E_ROSSERVICEFAILED';
-          reject(error);
+          reject(createCallError(msg.toString(), SERVICE_FAILED));
         }
       });
     });
@@ -251,9 +469,6 @@ class ServiceClient extends EventEmitter {
 
       this._createCallSocketAndHandlers(serviceHost, call, reject);
 
-      this._cacheSocketIfPersistent(call);
-
-
       let deserializer = new DeserializeStream();
       call.serviceClient.$deserializeStream = deserializer;
       call.serviceClient.pipe(deserializer);
@@ -262,13 +477,15 @@ class ServiceClient extends EventEmitter {
         if (!call.serviceClient.$initialized) {
           let header = TcprosUtils.parseTcpRosHeader(msg);
           if (header.error) {
-            reject(new Error(header.error));
+            reject(createCallError(header.error, HANDSHAKE_FAILED));
             return;
           }
 
           // stream deserialization for service response is different - set that up for next message
           deserializer.setServiceRespDeserialize();
           call.serviceClient.$initialized = true;
+
+          this.emit('connection', header, call.serviceClient.remoteAddress + ':' + call.serviceClient.remotePort);
           resolve();
         }
       });
@@ -283,42 +500,45 @@ class ServiceClient extends EventEmitter {
       this._log.debug('Sending service client %s connection header', this.getService());
 
       let serviceClientHeader = TcprosUtils.createServiceClientHeader(this._nodeHandle.getNodeName(),
-        this.getService(), this._messageHandler.md5sum(), this.getType(), this.getPersist());
+        this.getService(), this._messageHandler.md5sum(), this.getType(), this.getPersist(), this._headers);
 
       call.serviceClient.write(serviceClientHeader);
     });
 
     // bind a close handling function
-    call.serviceClient.on('close', () => {
-      call.serviceClient = null;
-      // we could probably just always reset this._serviceClient to null here but...
-      if (this.getPersist()) {
-        this._serviceClient = null;
+    const socket = call.serviceClient;
+    socket.on('close', () => {
+      if (call.serviceClient === socket) {
+        call.serviceClient = null;
+      }
+      // an idle persistent connection closing means the service went away
+      const index = this._idleConnections.indexOf(socket);
+      if (index !== -1) {
+        this._idleConnections.splice(index, 1);
+        this._setAvailable(false);
       }
     });
 
     // bind an error function - any errors connecting to the service
     // will cause the call to be rejected (in this._executeCall)
-    call.serviceClient.on('error', (err) => {
+    socket.on('error', (err) => {
       this._log.info(`Service Client ${this.getService()} error: ${err}`);
-      reject(err);
+      reject(createCallError(`Unable to connect to service ${this.getService()}: ${err.message}`,
+                             CONNECTION_FAILED, err));
     });
   }
 
-  _cacheSocketIfPersistent(call) {
-    // If this is a persistent service client, we're here because we haven't connected to this service before.
-    // Cache the service client for later use. Future calls won't need to lookup the service with the ROS master
-    // or deal with the connection header.
-    if (this.getPersist()) {
-      this._serviceClient = call.serviceClient;
-    }
-  }
-
   _throwIfShutdown() {
     if (this.isShutdown()) {
       throw new Error('SHUTDOWN');
     }
   }
+
+  _throwIfCancelled(call) {
+    if (call.settled) {
+      throw new Error('Service call cancelled');
+    }
+  }
 }
 
 module.exports = ServiceClient;
@@ -28,6 +28,7 @@ const Serialize = SerializationUtils.Serialize;
 const TcprosUtils = require('../utils/tcpros_utils.js');
 const EventEmitter = require('events');
 const Logging = require('./Logging.js');
+const ConnectionStats = require('../utils/ConnectionStats.js');
 const {REGISTERING, REGISTERED, SHUTDOWN} = require('../utils/ClientStates.js');
 
 class ServiceServer extends EventEmitter {
@@ -49,6 +50,12 @@ class ServiceServer extends EventEmitter {
 
     this._clients = {};
 
+    // totals across all connections - most service clients
+    // only connect for a single call
+    this._numRequests = 0;
+    this._bytesReceived = 0;
+    this._bytesSent = 0;
+
     this._state = REGISTERING;
 
     this._register();
@@ -78,6 +85,22 @@ class ServiceServer extends EventEmitter {
     return Object.keys(this._clients);
   }
 
+  /**
+   * Get traffic statistics for this service and each of its current client connections.
+   * Used for getBusStats Slave API calls
+   * @returns {{numRequests: number, bytesReceived: number, bytesSent: number, connections: Array}}
+   */
+  getStats() {
+    return {
+      numRequests: this._numRequests,
+      bytesReceived: this._bytesReceived,
+      bytesSent: this._bytesSent,
+      connections: Object.keys(this._clients).map((clientId) => {
+        return this._clients[clientId].$stats.snapshot();
+      })
+    };
+  }
+
   /**
    * The ROS client shutdown code is a little noodly. Users can close a client through
    * the ROS node or the client itself and both are correct. Either through a node.unadvertise()
@@ -129,13 +152,23 @@ class ServiceServer extends EventEmitter {
         this.getType());
     client.write(respHeader);
 
+    // probes (e.g. from rosservice type) only want our connection header
+    if (header.probe === '1') {
+      client.end();
+      return;
+    }
+
     client.$persist = (header['persistent'] === '1');
+    // requests are handled one at a time per connection so responses go out in order
+    client.$pendingResponse = Promise.resolve();
+    client.$stats = new ConnectionStats(header.callerid || client.name);
 
     // bind to message handler
     client.$messageHandler = this._handleMessage.bind(this, client);
     client.$deserializeStream.on('message', client.$messageHandler);
 
     client.on('close', () => {
+      client.$stats.connected = false;
       delete this._clients[client.name];
       this._log.debug('Service client %s disconnected!', client.name);
     });
@@ -146,27 +179,55 @@ class ServiceServer extends EventEmitter {
 
   _handleMessage(client, data) {
     this._log.trace('Service  ' + this.getService() + ' got message! ' + data.toString('hex'));
-    // deserialize msg
-    const req = this._messageHandler.Request.deserialize(data);
-
-    // call service callback
-    let resp = new this._messageHandler.Response();
-    let success = this._requestCallback(req, resp);
-
-    const serializeResponse = TcprosUtils.serializeServiceResponse(
-      this._messageHandler.Response,
-      resp,
-      success
-    );
+    ++this._numRequests;
+    this._bytesReceived += data.length;
+    client.$stats.recordReceived(data.length);
 
-    // send service response
-    client.write(serializeResponse);
+    client.$pendingResponse = client.$pendingResponse.then(() => {
+      return this._respond(client, data);
+    });
+  }
 
-    if (!client.$persist) {
-      this._log.debug('Closing non-persistent client');
-      client.end();
-      delete this._clients[client.name];
-    }
+  /**
+   * Calls the service callback for a request and sends its response. The callback can
+   * return its success or a Promise for it - if it throws or the Promise rejects, the
+   * client gets a failure response with the error's message.
+   * @param client {Socket}
+   * @param data {Buffer} serialized request
+   * @returns {Promise} resolves once the response has been sent
+   */
+  _respond(client, data) {
+    const resp = new this._messageHandler.Response();
+
+    return new Promise((resolve) => {
+      // deserialize msg and call service callback
+      const req = this._messageHandler.Request.deserialize(data);
+      resolve(this._requestCallback(req, resp));
+    })
+    .then((success) => {
+      return TcprosUtils.serializeServiceResponse(this._messageHandler.Response, resp, success);
+    })
+    .catch((err) => {
+      this._log.error('Error while handling service %s request: %s', this.getService(), err);
+      return TcprosUtils.serializeServiceError((err && err.message) || String(err));
+    })
+    .then((serializeResponse) => {
+      // the client may have gone away while we were handling its request
+      if (this.isShutdown() || !client.writable) {
+        return;
+      }
+      // else
+      // send service response
+      client.write(serializeResponse);
+      this._bytesSent += serializeResponse.length;
+      client.$stats.recordSent(serializeResponse.length);
+
+      if (!client.$persist) {
+        this._log.debug('Closing non-persistent client');
+        client.end();
+        delete this._clients[client.name];
+      }
+    });
   }
 
   _register() {
@@ -179,6 +240,9 @@ class ServiceServer extends EventEmitter {
 
       this._state = REGISTERED;
       this.emit('registered');
+    })
+    .catch((err) => {
+      this._log.error('Error while registering service %s: %s', this.getService(), err);
     });
   }
 }
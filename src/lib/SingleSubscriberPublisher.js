@@ -0,0 +1,80 @@
+/*
+ *    Copyright 2017 Rethink Robotics
+ *
+ *    Copyright 2017 Chris Smith
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @class SingleSubscriberPublisher
+ * Handle for one of the subscribers connected to a publisher. Given to the onConnect and
+ * onDisconnect callbacks of the publisher. Messages published through it only go to that
+ * subscriber, e.g. to send a subscriber that just connected an initial snapshot.
+ */
+class SingleSubscriberPublisher {
+  /**
+   * @param impl {PublisherImpl}
+   * @param client {Socket|DatagramSender|SubscriberImpl} the subscriber's connection
+   * @param header {object} the subscriber's connection header
+   */
+  constructor(impl, client, header) {
+    this._impl = impl;
+    this._client = client;
+    this._header = header;
+  }
+
+  /**
+   * Get the topic of the publisher
+   * @returns {string}
+   */
+  getTopic() {
+    return this._impl.getTopic();
+  }
+
+  /**
+   * Get the name of the subscriber's node
+   * @returns {string}
+   */
+  getSubscriberName() {
+    return this._header.callerid;
+  }
+
+  /**
+   * Get the connection header the subscriber sent
+   * @returns {object}
+   */
+  getConnectionHeader() {
+    return this._header;
+  }
+
+  /**
+   * Check if the subscriber is still connected to the publisher
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this._impl.hasSubscriberClient(this._client);
+  }
+
+  /**
+   * Send a message to just this subscriber. Messages are sent immediately, without
+   * going through the publisher's queue, and aren't latched.
+   * @param msg {object|Buffer} object type matching the publisher's type or an already serialized message
+   */
+  publish(msg) {
+    this._impl.publishToSubscriber(this._client, msg);
+  }
+}
+
+module.exports = SingleSubscriberPublisher;
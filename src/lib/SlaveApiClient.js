@@ -40,6 +40,96 @@ class SlaveApiClient {
       });
     });
   };
+
+  /**
+   * Tell a subscriber about the current set of publishers for a topic
+   * @param callerId {string}
+   * @param topic {string}
+   * @param publishers {Array} xmlrpc uris of all publishers of the topic
+   */
+  publisherUpdate(callerId, topic, publishers) {
+    return this._call('publisherUpdate', [callerId, topic, publishers]);
+  };
+
+  /**
+   * Tell a node about a change to a parameter it's subscribed to
+   * @param callerId {string}
+   * @param key {string}
+   * @param value {*} new value of the parameter - {} if it was deleted
+   */
+  paramUpdate(callerId, key, value) {
+    return this._call('paramUpdate', [callerId, key, value]);
+  };
+
+  /**
+   * Ask a node to shut down
+   * @param callerId {string}
+   * @param [msg] {string} reason for the shutdown
+   */
+  shutdown(callerId, msg='') {
+    return this._call('shutdown', [callerId, msg]);
+  };
+
+  /**
+   * @param callerId {string}
+   * @returns {Promise} resolves with [code, msg, pid]
+   */
+  getPid(callerId) {
+    return this._call('getPid', [callerId]);
+  };
+
+  /**
+   * @param callerId {string}
+   * @returns {Promise} resolves with [code, msg, masterUri]
+   */
+  getMasterUri(callerId) {
+    return this._call('getMasterUri', [callerId]);
+  };
+
+  /**
+   * @param callerId {string}
+   * @returns {Promise} resolves with [code, msg, [[topic, type]*]]
+   */
+  getPublications(callerId) {
+    return this._call('getPublications', [callerId]);
+  };
+
+  /**
+   * @param callerId {string}
+   * @returns {Promise} resolves with [code, msg, [[topic, type]*]]
+   */
+  getSubscriptions(callerId) {
+    return this._call('getSubscriptions', [callerId]);
+  };
+
+  /**
+   * @param callerId {string}
+   * @returns {Promise} resolves with [code, msg, [[connectionId, destination, direction, transport, topic, connected]*]]
+   */
+  getBusInfo(callerId) {
+    return this._call('getBusInfo', [callerId]);
+  };
+
+  /**
+   * @param callerId {string}
+   * @returns {Promise} resolves with [code, msg, [publishStats, subscribeStats, serviceStats]]
+   */
+  getBusStats(callerId) {
+    return this._call('getBusStats', [callerId]);
+  };
+
+  _call(method, data) {
+    return new Promise((resolve, reject) => {
+      this._xmlrpcClient.methodCall(method, data, (err, resp) => {
+        if (err || resp[0] !== 1) {
+          reject(err, resp);
+        }
+        else {
+          resolve(resp);
+        }
+      });
+    });
+  };
 };
 
 //-----------------------------------------------------------------------
@@ -42,6 +42,7 @@ class Subscriber extends EventEmitter {
     rebroadcast('registered', this._ultron, this);
     rebroadcast('connection', this._ultron, this);
     rebroadcast('disconnect', this._ultron, this);
+    rebroadcast('reconnect', this._ultron, this);
     rebroadcast('error', this._ultron, this);
     rebroadcast('message', this._ultron, this);
   }
@@ -75,6 +76,32 @@ class Subscriber extends EventEmitter {
     return 0;
   }
 
+  /**
+   * Get the state of the connection to each publisher of this topic, keyed by publisher uri
+   *   {[uri]: {state: 'connecting'|'connected'|'reconnecting'|'disconnected', attempts}}
+   * @returns {object}
+   */
+  getPublisherStates() {
+    if (this._impl) {
+      return this._impl.getPublisherStates();
+    }
+    // else
+    return {};
+  }
+
+  /**
+   * Get traffic statistics for each publisher connected to this subscriber
+   *   {connections: [{id, destination, bytesReceived, messagesReceived, drops, connected}]}
+   * @returns {object}
+   */
+  getStats() {
+    if (this._impl) {
+      return this._impl.getStats();
+    }
+    // else
+    return {connections: []};
+  }
+
   /**
    * Shuts down this subscriber. If this is the last subscriber on this topic
    * for this node, closes the subscriber and unregisters the topic from Master
@@ -37,6 +37,8 @@ const Time = {
 
   rosTimeToDate: timeUtils.rosTimeToDate,
   dateToRosTime: timeUtils.dateToRosTime,
+  rosTimeToSecs: timeUtils.rosTimeToSecs,
+  secsToRosTime: timeUtils.secsToRosTime,
 };
 
 module.exports = Time;
@@ -20,10 +20,18 @@
 const SerializationUtils = require('../../utils/serialization_utils.js');
 const Serialize = SerializationUtils.Serialize;
 const TcprosUtils = require('../../utils/tcpros_utils.js');
+const UdprosUtils = require('../../utils/udpros_utils.js');
+const messageUtils = require('../../utils/message_utils.js');
 const EventEmitter = require('events');
+const NetworkUtils = require('../../utils/network_utils.js');
 const Logging = require('../Logging.js');
+const ConnectionStats = require('../../utils/ConnectionStats.js');
+const SingleSubscriberPublisher = require('../SingleSubscriberPublisher.js');
 const {REGISTERING, REGISTERED, SHUTDOWN} = require('../../utils/ClientStates.js');
 
+const INTRA_PROCESS_COPY_MODES = ['none', 'copy', 'freeze'];
+const DROP_POLICIES = ['dropOldest', 'dropNewest', 'disconnect'];
+
 /**
  * Implementation class for a Publisher. Handles registration, connecting to
  * subscribers, etc. Public-facing publisher classes will be given an instance
@@ -65,13 +73,43 @@ class PublisherImpl extends EventEmitter {
       this._throttleMs = 0;
     }
 
-    // OPTIONS STILL NOT HANDLED:
-    //  headers: extra headers to include
-    //  subscriber_listener: callback for new subscribers connect/disconnect
+    /**
+     * maxBufferedBytes limits how much data can wait to be sent to each subscriber so that
+     * a slow subscriber can't make this process' memory grow without bound (<= 0 for no limit).
+     * Once a subscriber's socket has that much buffered, dropPolicy determines what happens
+     *   'dropOldest' : new messages are held until the socket drains, dropping the oldest held
+     *                  messages to keep them under the limit too
+     *   'dropNewest' : new messages are dropped until the socket drains
+     *   'disconnect' : the subscriber is disconnected
+     */
+    this._maxBufferedBytes = options.maxBufferedBytes || 0;
+    this._dropPolicy = options.dropPolicy || 'dropOldest';
+    if (!DROP_POLICIES.includes(this._dropPolicy)) {
+      throw new Error(`Invalid dropPolicy option [${this._dropPolicy}] for publisher ${this._topic}`);
+    }
+
+    // extra fields to include in the connection header sent to subscribers
+    this._headers = options.headers || {};
+    TcprosUtils.validateExtraFields(this._headers);
 
     this._resolve = !!options.resolve;
 
+    /**
+     * If intraProcess is set, subscribers to this topic in the same node receive message objects
+     * directly instead of going through a loopback TCPROS connection.
+     * intraProcessCopy determines what they receive
+     *   'none'   : the published object itself - subscribers must not modify it
+     *   'copy'   : a deep copy of the published object
+     *   'freeze' : a deep frozen copy of the published object, shared between subscribers
+     */
+    this._intraProcess = !!options.intraProcess;
+    this._intraProcessCopy = options.intraProcessCopy || 'none';
+    if (!INTRA_PROCESS_COPY_MODES.includes(this._intraProcessCopy)) {
+      throw new Error(`Invalid intraProcessCopy option [${this._intraProcessCopy}] for publisher ${this._topic}`);
+    }
+
     this._lastSentMsg = null;
+    this._lastSentMsgObject = null;
 
     this._nodeHandle = nodeHandle;
     this._nodeHandle.getSpinner().addClient(this, this._getSpinnerId(), this._queueSize, this._throttleMs);
@@ -80,6 +118,18 @@ class PublisherImpl extends EventEmitter {
 
     this._subClients = {};
 
+    // subscribers in this node => stats for their intra-process connection
+    this._localSubscribers = new Map();
+
+    // {onConnect, onDisconnect} callbacks from each Publisher for this topic
+    this._subscriberListeners = [];
+
+    // subscriber client (socket or local SubscriberImpl) => SingleSubscriberPublisher
+    this._subscriberHandles = new Map();
+
+    // total bytes of message data published, regardless of subscribers
+    this._messageDataSent = 0;
+
     this._messageHandler = options.typeClass;
 
     this._state = REGISTERING;
@@ -119,12 +169,20 @@ class PublisherImpl extends EventEmitter {
     return this._latching;
   }
 
+  /**
+   * Get the extra fields this publisher adds to its connection header
+   * @returns {object}
+   */
+  getHeaders() {
+    return this._headers;
+  }
+
   /**
    * Get the count of subscribers connected to this publisher
    * @returns {number}
    */
   getNumSubscribers() {
-    return Object.keys(this._subClients).length;
+    return Object.keys(this._subClients).length + this._localSubscribers.size;
   }
 
   /**
@@ -136,6 +194,20 @@ class PublisherImpl extends EventEmitter {
     return Object.keys(this._subClients);
   }
 
+  /**
+   * Get traffic statistics for this publisher and each of its subscriber connections.
+   * Used for getBusStats Slave API calls
+   * @returns {{messageDataSent: number, connections: Array}}
+   */
+  getStats() {
+    return {
+      messageDataSent: this._messageDataSent,
+      connections: Object.keys(this._subClients).map((clientId) => {
+        return this._subClients[clientId].$stats.snapshot();
+      }).concat(Array.from(this._localSubscribers.values()).map((stats) => stats.snapshot()))
+    };
+  }
+
   /**
    * Get the ros node this subscriber belongs to
    * @returns {RosNode}
@@ -151,15 +223,24 @@ class PublisherImpl extends EventEmitter {
     this._state = SHUTDOWN;
     this._log.debug('Shutting down publisher %s', this.getTopic());
 
+    // subscriber callbacks aren't called for connections closed while shutting down
+    this._subscriberListeners = [];
+    this._subscriberHandles.clear();
+
     Object.keys(this._subClients).forEach((clientId) => {
       const client = this._subClients[clientId];
       client.end();
       client.destroy();
     });
 
+    Array.from(this._localSubscribers.keys()).forEach((subscriber) => {
+      subscriber.disconnectLocalPublisher(this);
+    });
+
     // disconnect from the spinner in case we have any pending callbacks
     this._nodeHandle.getSpinner().disconnect(this._getSpinnerId());
     this._subClients = {};
+    this._localSubscribers.clear();
   }
 
   /**
@@ -194,9 +275,134 @@ class PublisherImpl extends EventEmitter {
     }
   }
 
+  /**
+   * Schedules an already serialized message for publishing. The buffer isn't checked against
+   * this publisher's type - subscribers only validate its md5sum when they connect.
+   * @param buffer {Buffer} serialized message without its length
+   * @param [throttleMs] {number} optional override for publisher setting
+   */
+  publishRaw(buffer, throttleMs) {
+    if (!Buffer.isBuffer(buffer)) {
+      throw new Error(`publishRaw on ${this.getTopic()} requires a Buffer`);
+    }
+    // else
+    this.publish(buffer, throttleMs);
+  }
+
+  /**
+   * Get the class this publisher serializes messages with
+   * @returns {function}
+   */
+  getMessageHandler() {
+    return this._messageHandler;
+  }
+
+  /**
+   * Publishes a message to a single subscriber immediately
+   * @param client {Socket|DatagramSender|SubscriberImpl} the subscriber's connection
+   * @param msg {object|Buffer} object type matching this._type or an already serialized message
+   */
+  publishToSubscriber(client, msg) {
+    if (this.isShutdown() || !this.hasSubscriberClient(client)) {
+      return;
+    }
+
+    try {
+      if (this._resolve && !Buffer.isBuffer(msg)) {
+        msg = this._messageHandler.Resolve(msg);
+      }
+
+      const localStats = this._localSubscribers.get(client);
+      if (localStats) {
+        this._sendToLocalSubscriber(client, localStats, this._prepareLocalMessage(msg));
+      }
+      else {
+        this._writeToClient(client, this._serializeMessage(msg));
+      }
+    }
+    catch (err) {
+      this._log.error('Error when publishing message on topic %s: %s', this.getTopic(), err.stack);
+      this.emit('error', err);
+    }
+  }
+
+  /**
+   * @param client {Socket|DatagramSender|SubscriberImpl}
+   * @returns {boolean} true if the client is a subscriber currently connected to this publisher
+   */
+  hasSubscriberClient(client) {
+    return this._localSubscribers.has(client) || this._subClients[client.name] === client;
+  }
+
+  /**
+   * Adds callbacks for subscribers connecting to and disconnecting from this publisher.
+   * onConnect is called (on the next tick) for subscribers that are already connected.
+   * @param listener {object} {onConnect, onDisconnect} - each is called with a SingleSubscriberPublisher
+   */
+  addSubscriberListener(listener) {
+    this._subscriberListeners.push(listener);
+
+    const handles = Array.from(this._subscriberHandles.values());
+    if (handles.length > 0) {
+      setImmediate(() => {
+        handles.forEach((handle) => {
+          if (this._subscriberListeners.includes(listener) && handle.isConnected()) {
+            this._callSubscriberListener(listener, 'onConnect', handle);
+          }
+        });
+      });
+    }
+  }
+
+  /**
+   * @param listener {object} listener passed to addSubscriberListener
+   */
+  removeSubscriberListener(listener) {
+    const index = this._subscriberListeners.indexOf(listener);
+    if (index !== -1) {
+      this._subscriberListeners.splice(index, 1);
+    }
+  }
+
+  _notifySubscriberConnected(client, header) {
+    const handle = new SingleSubscriberPublisher(this, client, header);
+    this._subscriberHandles.set(client, handle);
+
+    this._subscriberListeners.slice().forEach((listener) => {
+      this._callSubscriberListener(listener, 'onConnect', handle);
+    });
+  }
+
+  _notifySubscriberDisconnected(client) {
+    const handle = this._subscriberHandles.get(client);
+    if (!handle) {
+      return;
+    }
+    // else
+    this._subscriberHandles.delete(client);
+
+    this._subscriberListeners.slice().forEach((listener) => {
+      this._callSubscriberListener(listener, 'onDisconnect', handle);
+    });
+  }
+
+  _callSubscriberListener(listener, callbackName, handle) {
+    if (typeof listener[callbackName] !== 'function') {
+      return;
+    }
+    // else
+    try {
+      listener[callbackName](handle);
+    }
+    catch (err) {
+      this._log.error('Error in %s callback for publisher %s: %s', callbackName, this.getTopic(), err.stack);
+    }
+  }
+
   /**
    * Pulls all msgs off queue, serializes, and publishes them to all clients.
    * @param msgQueue {Array} Array of messages. Type of each message matches this._type
+   *                         or it's a Buffer from publishRaw
    */
   _handleMsgQueue(msgQueue) {
 
@@ -213,21 +419,41 @@ class PublisherImpl extends EventEmitter {
 
     try {
       msgQueue.forEach((msg) => {
-        if (this._resolve) {
+        const raw = Buffer.isBuffer(msg);
+        if (this._resolve && !raw) {
           msg = this._messageHandler.Resolve(msg);
         }
 
-        const serializedMsg = TcprosUtils.serializeMessage(this._messageHandler, msg);
+        // only pay for serialization if someone needs the serialized message
+        const clientIds = Object.keys(this._subClients);
+        if (clientIds.length > 0 || this.getLatching()) {
+          const serializedMsg = this._serializeMessage(msg);
+          this._messageDataSent += serializedMsg.length;
+
+          clientIds.forEach((clientId) => {
+            this._writeToClient(this._subClients[clientId], serializedMsg);
+          });
+
+          // if this publisher is supposed to latch,
+          // save the last message. Any subscribers that connects
+          // before another call to publish() will receive this message
+          if (this.getLatching()) {
+            this._lastSentMsg = serializedMsg;
+          }
+        }
+        else {
+          this._messageDataSent += (raw ? msg.length : this._messageHandler.getMessageSize(msg)) + 4;
+        }
 
-        Object.keys(this._subClients).forEach((client) => {
-          this._subClients[client].write(serializedMsg);
-        });
+        if (this._localSubscribers.size > 0) {
+          const localMsg = this._prepareLocalMessage(msg);
+          this._localSubscribers.forEach((stats, subscriber) => {
+            this._sendToLocalSubscriber(subscriber, stats, localMsg);
+          });
+        }
 
-        // if this publisher is supposed to latch,
-        // save the last message. Any subscribers that connects
-        // before another call to publish() will receive this message
         if (this.getLatching()) {
-          this._lastSentMsg = serializedMsg;
+          this._lastSentMsgObject = msg;
         }
       });
     }
@@ -237,6 +463,186 @@ class PublisherImpl extends EventEmitter {
     }
   }
 
+  /**
+   * Serializes a message and prepends its length, unless it's already serialized
+   * @param msg {object|Buffer}
+   * @returns {Buffer}
+   */
+  _serializeMessage(msg) {
+    if (Buffer.isBuffer(msg)) {
+      return TcprosUtils.frameMessage(msg);
+    }
+    // else
+    return TcprosUtils.serializeMessage(this._messageHandler, msg);
+  }
+
+  /**
+   * Writes a serialized message to a subscriber unless too much is already buffered for it,
+   * in which case the drop policy applies
+   * @param client {Socket|DatagramSender}
+   * @param serializedMsg {Buffer}
+   */
+  _writeToClient(client, serializedMsg) {
+    if (!client.writable) {
+      this._dropMessage(client, 'notWritable');
+    }
+    else if (this._maxBufferedBytes <= 0
+             || (client.$outbox.length === 0 && this._getBufferedBytes(client) < this._maxBufferedBytes)) {
+      this._sendToClient(client, serializedMsg);
+    }
+    else if (this._dropPolicy === 'dropNewest') {
+      this._dropMessage(client, 'dropNewest');
+    }
+    else if (this._dropPolicy === 'disconnect') {
+      this._log.warn('Disconnecting slow subscriber %s from %s', client.name, this.getTopic());
+      this._dropMessage(client, 'disconnect');
+      client.destroy();
+    }
+    else {
+      // dropOldest
+      client.$outbox.push(serializedMsg);
+      client.$outboxBytes += serializedMsg.length;
+      while (client.$outbox.length > 1 && client.$outboxBytes > this._maxBufferedBytes) {
+        client.$outboxBytes -= client.$outbox.shift().length;
+        this._dropMessage(client, 'dropOldest');
+      }
+    }
+  }
+
+  /**
+   * Writes a serialized message to a subscriber and updates its connection stats
+   * @param client {Socket|DatagramSender}
+   * @param serializedMsg {Buffer}
+   */
+  _sendToClient(client, serializedMsg) {
+    client.write(serializedMsg, () => {
+      if (client.$outbox.length > 0) {
+        this._flushClient(client);
+      }
+    });
+    client.$stats.recordSent(serializedMsg.length);
+  }
+
+  /**
+   * Sends messages held for a subscriber while there's room in its socket's buffer
+   * @param client {Socket}
+   */
+  _flushClient(client) {
+    while (client.writable && client.$outbox.length > 0
+           && this._getBufferedBytes(client) < this._maxBufferedBytes) {
+      const serializedMsg = client.$outbox.shift();
+      client.$outboxBytes -= serializedMsg.length;
+      this._sendToClient(client, serializedMsg);
+    }
+  }
+
+  /**
+   * @param client {Socket|DatagramSender}
+   * @returns {number} bytes written to the client that haven't been sent yet
+   */
+  _getBufferedBytes(client) {
+    // bufferSize rather than writableLength so this works on older versions of node
+    return client.bufferSize || 0;
+  }
+
+  /**
+   * Counts a message that wasn't sent to a subscriber and emits 'drop' with the
+   * subscriber's client name and the reason
+   * @param client {Socket|DatagramSender}
+   * @param reason {string} 'notWritable' or the drop policy
+   */
+  _dropMessage(client, reason) {
+    client.$stats.recordDrop();
+    this.emit('drop', client.name, reason);
+  }
+
+  /**
+   * Freezes a copy of a message to share between subscribers in this node
+   * so that the caller's object is left alone.
+   * @param msg {object|Buffer}
+   * @returns {object|Buffer}
+   */
+  _prepareLocalMessage(msg) {
+    if (this._intraProcessCopy === 'freeze') {
+      return messageUtils.freezeMessage(messageUtils.copyMessage(msg));
+    }
+    // else
+    return msg;
+  }
+
+  /**
+   * Hands a message object to a subscriber in this node
+   * @param subscriber {SubscriberImpl}
+   * @param stats {ConnectionStats}
+   * @param msg {object}
+   */
+  _sendToLocalSubscriber(subscriber, stats, msg) {
+    if (this._intraProcessCopy === 'copy') {
+      msg = messageUtils.copyMessage(msg);
+    }
+    stats.recordSent(0);
+    subscriber.handleLocalMessage(this, msg);
+  }
+
+  /**
+   * @returns {boolean} true if subscribers in this node should connect to this
+   *                    publisher directly instead of through TCPROS
+   */
+  allowsIntraProcess() {
+    return this._intraProcess && !this.isShutdown();
+  }
+
+  /**
+   * Connects a subscriber in this node to this publisher. Messages will be
+   * passed to it directly without being serialized.
+   * @param subscriber {SubscriberImpl}
+   * @returns {boolean} true if the subscriber was connected
+   */
+  addLocalSubscriber(subscriber) {
+    if (!this.allowsIntraProcess()) {
+      return false;
+    }
+    else if (!subscriber.isAnyType() && subscriber.getType() !== this.getType()) {
+      this._log.error('Unable to connect local subscriber on %s: type %s doesn\'t match %s',
+                      this.getTopic(), subscriber.getType(), this.getType());
+      return false;
+    }
+    // else
+    const nodeName = this._nodeHandle.getNodeName();
+    const stats = new ConnectionStats(nodeName, 'INTRAPROCESS');
+    this._localSubscribers.set(subscriber, stats);
+
+    this._log.info('Pub %s connected to local subscriber', this.getTopic());
+
+    if (this._lastSentMsgObject !== null) {
+      this._log.debug('Sending latched msg to new local subscriber');
+      this._sendToLocalSubscriber(subscriber, stats, this._lastSentMsgObject);
+    }
+
+    const header = Object.assign({}, subscriber.getHeaders(), {
+      callerid: nodeName,
+      topic: this.getTopic(),
+      type: subscriber.getType(),
+      md5sum: subscriber.isAnyType() ? '*' : this._messageHandler.md5sum()
+    });
+    this.emit('connection', header, nodeName);
+    this._notifySubscriberConnected(subscriber, header);
+    return true;
+  }
+
+  /**
+   * @param subscriber {SubscriberImpl}
+   */
+  removeLocalSubscriber(subscriber) {
+    const stats = this._localSubscribers.get(subscriber);
+    if (stats) {
+      stats.connected = false;
+      this._localSubscribers.delete(subscriber);
+      this.emit('disconnect');
+      this._notifySubscriberDisconnected(subscriber);
+    }
+  }
+
   /**
    * Handles a new connection from a subscriber to this publisher's node.
    * Validates the connection header and sends a response header
@@ -264,7 +670,8 @@ class PublisherImpl extends EventEmitter {
         this._messageHandler.md5sum(),
         this.getType(),
         this.getLatching(),
-        this._messageHandler.messageDefinition());
+        this._messageHandler.messageDefinition(),
+        this._headers);
     subscriber.write(respHeader);
 
     // if this publisher had the tcpNoDelay option set
@@ -273,12 +680,87 @@ class PublisherImpl extends EventEmitter {
       subscriber.setNoDelay(true);
     }
 
+    subscriber.$stats = new ConnectionStats(header.callerid || subscriber.name);
+    this._addClient(subscriber, header);
+  }
+
+  /**
+   * Handles a UDPROS requestTopic from a subscriber. Validates its connection header
+   * and sets up a connection to send messages to it.
+   * @param header {Buffer} subscriber's connection header
+   * @param host {string} host the subscriber is receiving datagrams on
+   * @param port {number} port the subscriber is receiving datagrams on
+   * @param maxDatagramSize {number} largest datagram the subscriber will accept
+   * @returns {Promise} resolves with the UDPROS protocol params for the requestTopic response:
+   *                    ['UDPROS', host, port, connectionId, maxDatagramSize, connectionHeader]
+   */
+  handleUdprosRequest(header, host, port, maxDatagramSize) {
+    header = TcprosUtils.parseTcpRosHeader(header);
+    const error = TcprosUtils.validateSubHeader(header, this.getTopic(), this.getType(),
+                                                this._messageHandler.md5sum());
+    if (error !== null) {
+      this._log.error('Unable to validate UDPROS subscriber connection header ' + JSON.stringify(header));
+      return Promise.reject(new Error(TcprosUtils.deserializeString(error)));
+    }
+    // else
+    this._log.info('Pub %s got UDPROS connection header %s', this.getTopic(), JSON.stringify(header));
+
+    const stats = new ConnectionStats(header.callerid || `${host}:${port}`, 'UDPROS');
+    const subscriber = new UdprosUtils.DatagramSender(stats.id, maxDatagramSize || UdprosUtils.DEFAULT_MAX_DATAGRAM_SIZE);
+    subscriber.$stats = stats;
+
+    return subscriber.connect(host, port)
+    .then((localPort) => {
+      if (this.isShutdown()) {
+        subscriber.destroy();
+        throw new Error(`Publisher on ${this.getTopic()} was shutdown`);
+      }
+      // else
+      const respHeader =
+        TcprosUtils.createPubHeader(
+          this._nodeHandle.getNodeName(),
+          this._messageHandler.md5sum(),
+          this.getType(),
+          this.getLatching(),
+          this._messageHandler.messageDefinition(),
+          this._headers);
+
+      // let the response go out before any latched message
+      setImmediate(() => {
+        if (!this.isShutdown()) {
+          this._addClient(subscriber, header);
+        }
+      });
+
+      return [
+        'UDPROS',
+        NetworkUtils.getHost(),
+        localPort,
+        subscriber.connectionId,
+        subscriber.maxDatagramSize,
+        UdprosUtils.toUdprosHeader(respHeader)
+      ];
+    });
+  }
+
+  /**
+   * Starts publishing to a subscriber whose connection header has been validated
+   * @param subscriber {Socket|DatagramSender}
+   * @param header {object} subscriber's connection header
+   */
+  _addClient(subscriber, header) {
+    // messages held back by the dropOldest policy
+    subscriber.$outbox = [];
+    subscriber.$outboxBytes = 0;
+
     subscriber.on('close', () => {
       this._log.info('Publisher %s client %s disconnected!',
                       this.getTopic(), subscriber.name);
+      subscriber.$stats.connected = false;
       subscriber.removeAllListeners();
       delete this._subClients[subscriber.name];
       this.emit('disconnect');
+      this._notifySubscriberDisconnected(subscriber);
     });
 
     subscriber.on('end', () => {
@@ -292,13 +774,14 @@ class PublisherImpl extends EventEmitter {
     // if we've cached a message from latching, send it now
     if (this._lastSentMsg !== null) {
       this._log.debug('Sending latched msg to new subscriber');
-      subscriber.write(this._lastSentMsg);
+      this._writeToClient(subscriber, this._lastSentMsg);
     }
 
     // handshake was good - we'll start publishing to it
     this._subClients[subscriber.name] = subscriber;
 
     this.emit('connection', header, subscriber.name);
+    this._notifySubscriberConnected(subscriber, header);
   }
 
   /**
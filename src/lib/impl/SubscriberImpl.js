@@ -23,12 +23,31 @@ const DeserializeStream = SerializationUtils.DeserializeStream;
 const Deserialize =  SerializationUtils.Deserialize;
 const Serialize = SerializationUtils.Serialize;
 const TcprosUtils = require('../../utils/tcpros_utils.js');
+const UdprosUtils = require('../../utils/udpros_utils.js');
 const Socket = require('net').Socket;
+const dgram = require('dgram');
 const EventEmitter = require('events');
 const Logging = require('../Logging.js');
+const ConnectionStats = require('../../utils/ConnectionStats.js');
+const TopicStatistics = require('../../utils/TopicStatistics.js');
+const Time = require('../Time.js');
+const messageUtils = require('../../utils/message_utils.js');
+const messages = require('../../utils/messageGeneration/messages.js');
 const {REGISTERING, REGISTERED, SHUTDOWN} = require('../../utils/ClientStates.js');
 
-const protocols = [['TCPROS']];
+const TRANSPORTS = ['tcp', 'udp'];
+
+// type of subscribers that accept any message type (like roscpp's ShapeShifter)
+const ANY_TYPE = '*';
+
+// states of the connection to each publisher the master lists for our topic
+const CONNECTING = 'connecting';
+const CONNECTED = 'connected';
+const RECONNECTING = 'reconnecting';
+const DISCONNECTED = 'disconnected';
+
+const DEFAULT_RECONNECT_MIN_MS = 100;
+const DEFAULT_RECONNECT_MAX_MS = 10000;
 
 //-----------------------------------------------------------------------
 
@@ -69,6 +88,28 @@ class SubscriberImpl extends EventEmitter {
 
     this._msgHandleTime = null;
 
+    /**
+     * transport to request from publishers
+     *  'tcp' : TCPROS
+     *  'udp' : UDPROS, falling back to TCPROS for publishers that don't support it
+     */
+    this._transport = options.transport || 'tcp';
+    if (!TRANSPORTS.includes(this._transport)) {
+      throw new Error(`Invalid transport [${this._transport}] for subscriber ${this._topic}`);
+    }
+
+    this._maxDatagramSize = options.maxDatagramSize || UdprosUtils.DEFAULT_MAX_DATAGRAM_SIZE;
+
+    /**
+     * raw subscribers skip deserialization - each message is emitted as the serialized Buffer
+     * (without its length) along with {publisher, connection, header} for the connection it came on
+     */
+    this._raw = !!options.raw;
+
+    // extra fields to include in the connection header sent to publishers
+    this._headers = options.headers || {};
+    TcprosUtils.validateExtraFields(this._headers);
+
     this._nodeHandle = nodeHandle;
     this._nodeHandle.getSpinner().addClient(this, this._getSpinnerId(), this._queueSize, this._throttleMs);
 
@@ -78,6 +119,19 @@ class SubscriberImpl extends EventEmitter {
 
     this._pubClients = {};
 
+    /**
+     * state of our connection to each publisher the master has told us about, keyed by xmlrpc uri.
+     * If a connection to one of them fails or drops, we retry after reconnectMinMs, doubling the
+     * delay for each failed attempt up to reconnectMaxMs. The delay is only reset once a connection
+     * delivers a message, so publishers that accept connections and then drop them keep backing off.
+     */
+    this._pubStates = new Map();
+    this._reconnectMinMs = options.reconnectMinMs || DEFAULT_RECONNECT_MIN_MS;
+    this._reconnectMaxMs = Math.max(options.reconnectMaxMs || DEFAULT_RECONNECT_MAX_MS, this._reconnectMinMs);
+
+    this._statistics = new TopicStatistics(this._topic, nodeHandle.getNodeName(),
+                                           nodeHandle.getStatisticsSettings());
+
     this._state = REGISTERING;
     this._register();
   }
@@ -107,6 +161,29 @@ class SubscriberImpl extends EventEmitter {
     return this._type;
   }
 
+  /**
+   * Get the extra fields this subscriber adds to its connection header
+   * @returns {object}
+   */
+  getHeaders() {
+    return this._headers;
+  }
+
+  /**
+   * @returns {boolean} true if this subscriber accepts messages of any type, decoding
+   *                    them from the definition each publisher sends in its connection header
+   */
+  isAnyType() {
+    return this._type === ANY_TYPE;
+  }
+
+  /**
+   * @returns {boolean} true if this subscriber emits serialized messages instead of deserializing them
+   */
+  isRaw() {
+    return this._raw;
+  }
+
   /**
    * Get count of the publishers currently connected to this subscriber
    * @returns {number}
@@ -115,6 +192,33 @@ class SubscriberImpl extends EventEmitter {
     return Object.keys(this._pubClients).length;
   }
 
+  /**
+   * Get the state of the connection to each publisher the master lists for this topic
+   * @returns {object} state ('connecting', 'connected', 'reconnecting' or 'disconnected')
+   *                   and number of reconnection attempts since the publisher last delivered
+   *                   a message, keyed by publisher uri
+   */
+  getPublisherStates() {
+    const states = {};
+    this._pubStates.forEach(({state, attempts}, pubUri) => {
+      states[pubUri] = {state, attempts};
+    });
+    return states;
+  }
+
+  /**
+   * Get traffic statistics for each of this subscriber's publisher connections.
+   * Used for getBusStats Slave API calls
+   * @returns {{connections: Array}}
+   */
+  getStats() {
+    return {
+      connections: Object.keys(this._pubClients).map((clientId) => {
+        return this._pubClients[clientId].$stats.snapshot();
+      })
+    };
+  }
+
   /**
    * Get the ros node this subscriber belongs to
    * @returns {RosNode}
@@ -131,6 +235,8 @@ class SubscriberImpl extends EventEmitter {
     this._log.debug('Shutting down subscriber %s', this.getTopic());
 
     Object.keys(this._pubClients).forEach(this._disconnectClient.bind(this));
+    this._pubStates.forEach(({timer}) => clearTimeout(timer));
+    this._pubStates.clear();
 
     // disconnect from the spinner in case we have any pending callbacks
     this._nodeHandle.getSpinner().disconnect(this._getSpinnerId());
@@ -170,11 +276,11 @@ class SubscriberImpl extends EventEmitter {
    * @private
    */
   _handlePublisherUpdate(publisherList) {
-    const missingPublishers = new Set(Object.keys(this._pubClients));
+    const missingPublishers = new Set(Object.keys(this._pubClients).concat(Array.from(this._pubStates.keys())));
 
     publisherList.forEach((pubUri) => {
       pubUri = pubUri.trim();
-      if (!this._pubClients.hasOwnProperty(pubUri)) {
+      if (!this._pubClients.hasOwnProperty(pubUri) && !this._pubStates.has(pubUri)) {
         this._requestTopicFromPublisher(pubUri);
       }
 
@@ -183,26 +289,237 @@ class SubscriberImpl extends EventEmitter {
 
     missingPublishers.forEach((pubUri) => {
       this._disconnectClient(pubUri);
+      this._forgetPublisher(pubUri);
     });
   }
 
+  /**
+   * Updates the state of our connection to a publisher
+   * @param pubUri {string}
+   * @param state {string}
+   * @returns {object} the publisher's state entry
+   */
+  _setPublisherState(pubUri, state) {
+    let pubState = this._pubStates.get(pubUri);
+    if (!pubState) {
+      pubState = {state, attempts: 0, timer: null};
+      this._pubStates.set(pubUri, pubState);
+    }
+    pubState.state = state;
+    return pubState;
+  }
+
+  /**
+   * Resets the reconnection delay for a publisher the first time its connection delivers a message
+   * @param client {object} publisher client the message came from
+   */
+  _resetReconnectAttempts(client) {
+    if (!client.$receivedMessage) {
+      client.$receivedMessage = true;
+      const pubState = this._pubStates.get(client.nodeUri);
+      if (pubState) {
+        pubState.attempts = 0;
+      }
+    }
+  }
+
+  /**
+   * Stops tracking a publisher the master no longer lists, cancelling any pending reconnect
+   * @param pubUri {string}
+   */
+  _forgetPublisher(pubUri) {
+    const pubState = this._pubStates.get(pubUri);
+    if (pubState) {
+      clearTimeout(pubState.timer);
+      this._pubStates.delete(pubUri);
+    }
+  }
+
+  /**
+   * Retries connecting to a publisher after a connection attempt failed or its connection dropped,
+   * as long as the master still lists it. Emits 'reconnect' with the publisher's uri and the
+   * number of the attempt when retrying.
+   * @param pubUri {string}
+   */
+  _scheduleReconnect(pubUri) {
+    const pubState = this._pubStates.get(pubUri);
+    if (this.isShutdown() || !pubState || pubState.timer) {
+      return;
+    }
+    // else
+    const delay = Math.min(this._reconnectMinMs * Math.pow(2, pubState.attempts), this._reconnectMaxMs);
+    ++pubState.attempts;
+    pubState.state = RECONNECTING;
+    this._log.info('Reconnecting subscriber %s to %s in %dms', this.getTopic(), pubUri, delay);
+
+    pubState.timer = setTimeout(() => {
+      pubState.timer = null;
+      if (this._pubStates.get(pubUri) === pubState) {
+        this.emit('reconnect', pubUri, pubState.attempts);
+        this._requestTopicFromPublisher(pubUri);
+      }
+    }, delay);
+  }
+
   /**
    * Sends a topicRequest XMLRPC message to the provided URI and initiates
    *  the topic connection if possible.
    * @param pubUri {string} URI of publisher to request a topic from
    */
   _requestTopicFromPublisher(pubUri) {
+    this._setPublisherState(pubUri, CONNECTING);
+
+    if (pubUri === this._nodeHandle._getXmlrpcUri()) {
+      // the publisher is in this node
+      if (this._connectLocalPublisher(pubUri)) {
+        return;
+      }
+      // else fall back to a TCPROS connection
+    }
+
     let info = NetworkUtils.getAddressAndPortFromUri(pubUri);
-    // send a topic request to the publisher's node
-    this._log.debug('Sending topic request to ' + JSON.stringify(info));
-    this._nodeHandle.requestTopic(info.host, info.port, this._topic, protocols)
+    let udpSocket = null;
+    this._bindUdpSocket()
+      .then((socket) => {
+        udpSocket = socket;
+        const protocols = [['TCPROS']];
+        if (socket) {
+          protocols.unshift([
+            'UDPROS',
+            UdprosUtils.toUdprosHeader(this._createTcprosHandshake()),
+            NetworkUtils.getHost(),
+            socket.address().port,
+            this._maxDatagramSize
+          ]);
+        }
+
+        // send a topic request to the publisher's node
+        this._log.debug('Sending topic request to ' + JSON.stringify(info));
+        return this._nodeHandle.requestTopic(info.host, info.port, this._topic, protocols);
+      })
       .then((resp) => {
-        this._handleTopicRequestResponse(resp, pubUri);
+        this._handleTopicRequestResponse(resp, pubUri, udpSocket);
       })
       .catch((err, resp) => {
+        if (udpSocket) {
+          udpSocket.close();
+        }
         // there was an error in the topic request
         this._log.warn('Error requesting topic on %s: %s, %s', this.getTopic(), err, resp);
+        this._scheduleReconnect(pubUri);
+      });
+  }
+
+  /**
+   * Binds a socket to receive UDPROS datagrams from a publisher on if this subscriber uses UDPROS.
+   * Datagrams that arrive before the publisher's response to the topic request are kept in $pending.
+   * @returns {Promise} resolves with the socket, or null if this subscriber uses TCPROS
+   */
+  _bindUdpSocket() {
+    if (this._transport !== 'udp') {
+      return Promise.resolve(null);
+    }
+    // else
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      socket.$pending = [];
+      socket.on('message', (datagram) => {
+        socket.$pending.push(datagram);
       });
+      socket.once('error', reject);
+      socket.bind(0, () => {
+        socket.removeListener('error', reject);
+        resolve(socket);
+      });
+    });
+  }
+
+  /**
+   * Connects directly to this node's publisher on the topic if it allows intra-process connections
+   * @param nodeUri {string} xmlrpc uri of this node
+   * @returns {boolean} true if connected
+   */
+  _connectLocalPublisher(nodeUri) {
+    const publisher = this._nodeHandle.getPublisherImpl(this.getTopic());
+    if (!publisher || !publisher.allowsIntraProcess()) {
+      return false;
+    }
+    // else
+    const nodeName = this._nodeHandle.getNodeName();
+    const client = {
+      name: nodeName,
+      nodeUri,
+      $callerId: nodeName,
+      $publisher: publisher,
+      $stats: new ConnectionStats(nodeName, 'INTRAPROCESS')
+    };
+    this._pubClients[nodeUri] = client;
+
+    if (!publisher.addLocalSubscriber(this)) {
+      delete this._pubClients[nodeUri];
+      return false;
+    }
+    // else
+    this._log.debug('Subscriber %s connected to local publisher', this.getTopic());
+    this._setPublisherState(nodeUri, CONNECTED);
+    const header = Object.assign({}, publisher.getHeaders(), {
+      callerid: nodeName,
+      topic: this.getTopic(),
+      type: publisher.getType(),
+      latching: publisher.getLatching() ? '1' : '0'
+    });
+    client.$connectionInfo = this._createConnectionInfo(client, header);
+    this.emit('connection', header, client.name);
+    return true;
+  }
+
+  /**
+   * Disconnects from a publisher in this node
+   * @param publisher {PublisherImpl}
+   */
+  disconnectLocalPublisher(publisher) {
+    const client = this._pubClients[this._nodeHandle._getXmlrpcUri()];
+    if (client && client.$publisher === publisher) {
+      this._disconnectClient(client.nodeUri);
+    }
+  }
+
+  /**
+   * Handles a message object from a publisher in this node
+   * @param publisher {PublisherImpl}
+   * @param msg {object|Buffer} message, or the serialized message if it was published raw
+   */
+  handleLocalMessage(publisher, msg) {
+    const client = this._pubClients[this._nodeHandle._getXmlrpcUri()];
+    if (!client || client.$publisher !== publisher) {
+      return;
+    }
+    // else
+    if (this.isRaw() && !Buffer.isBuffer(msg)) {
+      msg = TcprosUtils.serializeMessage(publisher.getMessageHandler(), msg, false);
+    }
+    else if (!this.isRaw() && Buffer.isBuffer(msg)) {
+      msg = publisher.getMessageHandler().deserialize(msg);
+    }
+
+    client.$stats.recordReceived(0);
+    this._resetReconnectAttempts(client);
+    this._recordStatistics(client, msg);
+    this._queueMessage({msg, stats: client.$stats, handler: null, local: true, info: client.$connectionInfo});
+  }
+
+  /**
+   * Creates the connection metadata raw subscribers emit with each message
+   * @param client {object} publisher client
+   * @param header {object} the publisher's connection header
+   * @returns {object}
+   */
+  _createConnectionInfo(client, header) {
+    return {
+      publisher: header.callerid,
+      connection: client.name,
+      header
+    };
   }
 
   /**
@@ -212,7 +529,33 @@ class SubscriberImpl extends EventEmitter {
   _disconnectClient(clientId) {
     const client = this._pubClients[clientId];
     if (client) {
+      this._statistics.removePublisher(client.$callerId);
+      if (this._pubStates.has(clientId)) {
+        this._setPublisherState(clientId, DISCONNECTED);
+      }
+    }
+
+    if (client && client.$publisher) {
+      this._log.debug('Disconnecting local publisher %s', clientId);
+      client.$stats.connected = false;
+      delete this._pubClients[clientId];
+      client.$publisher.removeLocalSubscriber(this);
+
+      this.emit('disconnect');
+    }
+    else if (client && client.$udpSocket) {
+      this._log.debug('Disconnecting UDPROS client %s', clientId);
+      client.$stats.connected = false;
+      client.$udpSocket.removeAllListeners();
+      client.$udpSocket.close();
+
+      delete this._pubClients[clientId];
+
+      this.emit('disconnect');
+    }
+    else if (client) {
       this._log.debug('Disconnecting client %s', clientId);
+      client.$stats.connected = false;
       client.end();
       client.destroy();
 
@@ -251,6 +594,13 @@ class SubscriberImpl extends EventEmitter {
         // success! update state to reflect that we're registered
         this._state = REGISTERED;
 
+        // if we're re-registering (e.g. the master restarted), we may already
+        // be connected to some of these publishers
+        pubs = pubs.filter((pubUri) => {
+          pubUri = pubUri.trim();
+          return !this._pubClients.hasOwnProperty(pubUri) && !this._pubStates.has(pubUri);
+        });
+
         if (pubs.length > 0) {
           // this means we're ok and that publishers already exist on this topic
           // we should connect to them
@@ -268,8 +618,11 @@ class SubscriberImpl extends EventEmitter {
    * Handles the response to a topicRequest message (to connect to a publisher)
    * @param resp {Array} xmlrpc response to a topic request
    */
-  _handleTopicRequestResponse(resp, nodeUri) {
+  _handleTopicRequestResponse(resp, nodeUri, udpSocket=null) {
     if (this.isShutdown()) {
+      if (udpSocket) {
+        udpSocket.close();
+      }
       return;
     }
 
@@ -277,12 +630,22 @@ class SubscriberImpl extends EventEmitter {
 
     // resp[2] has port and address for where to connect
     let info = resp[2];
+    if (info[0] === 'UDPROS') {
+      this._handleUdprosResponse(info, nodeUri, udpSocket);
+      return;
+    }
+    else if (udpSocket) {
+      // the publisher chose TCPROS
+      udpSocket.close();
+    }
+
     let port = info[2];
     let address = info[1];
 
     let client = new Socket();
     client.name = address + ':' + port;
     client.nodeUri = nodeUri;
+    client.$stats = new ConnectionStats(nodeUri);
 
     client.on('end', () => {
       this._log.info('Pub %s sent END', client.name, this.getTopic());
@@ -292,6 +655,21 @@ class SubscriberImpl extends EventEmitter {
       this._log.warn('Pub %s error on topic %s', client.name, this.getTopic());
     });
 
+    client.on('close', () => {
+      if (this._pubClients[nodeUri] === client) {
+        this._log.warn('Subscriber ' + this.getTopic() + ' client ' + client.name + ' disconnected!');
+        this._disconnectClient(nodeUri);
+      }
+
+      // retry unless we couldn't agree on a connection header
+      if (client.$rejected) {
+        this._setPublisherState(nodeUri, DISCONNECTED);
+      }
+      else {
+        this._scheduleReconnect(nodeUri);
+      }
+    });
+
     // open the socket at the provided address, port
     client.connect(port, address, () => {
       if (this.isShutdown()) {
@@ -313,13 +691,141 @@ class SubscriberImpl extends EventEmitter {
     deserializer.once('message', this._handleConnectionHeader.bind(this, client));
   }
 
+  /**
+   * Starts receiving messages from a publisher that accepted a UDPROS connection
+   * @param info {Array} ['UDPROS', host, port, connectionId, maxDatagramSize, connectionHeader]
+   * @param nodeUri {string} xmlrpc uri of the publisher's node
+   * @param socket {dgram.Socket} socket the publisher is sending datagrams to
+   */
+  _handleUdprosResponse(info, nodeUri, socket) {
+    const [, host, port, connectionId, maxDatagramSize, headerBuffer] = info;
+    if (!socket) {
+      this._log.error('Publisher on %s chose UDPROS even though we didn\'t request it', this.getTopic());
+      this._setPublisherState(nodeUri, DISCONNECTED);
+      return;
+    }
+
+    const header = TcprosUtils.parseTcpRosHeader(headerBuffer);
+    const error = this._validatePubHeader(header);
+    if (error) {
+      this._log.error(`Unable to validate subscriber ${this.getTopic()} UDPROS connection header ${JSON.stringify(header)}`);
+      socket.close();
+      this._setPublisherState(nodeUri, DISCONNECTED);
+      return;
+    }
+    // else
+    this._log.debug('Subscriber ' + this.getTopic() + ' got UDPROS connection header ' + JSON.stringify(header));
+
+    const messageHandler = this._getConnectionMessageHandler(header);
+    const client = {
+      name: `udpros://${host}:${port}`,
+      nodeUri,
+      $callerId: header.callerid,
+      $hasHeader: messageUtils.hasHeader(messageHandler),
+      $udpSocket: socket,
+      $assembler: new UdprosUtils.DatagramAssembler(connectionId),
+      $stats: new ConnectionStats(nodeUri, 'UDPROS'),
+      $messageHandler: messageHandler
+    };
+    client.$connectionInfo = this._createConnectionInfo(client, header);
+    this._pubClients[nodeUri] = client;
+    this._setPublisherState(nodeUri, CONNECTED);
+
+    const handleDatagram = (datagram) => {
+      const {message, dropped} = client.$assembler.push(datagram);
+      for (let i = 0; i < dropped; ++i) {
+        client.$stats.recordDrop();
+      }
+
+      if (message !== null) {
+        this._handleMessage(client, message);
+      }
+    };
+
+    const pending = socket.$pending;
+    delete socket.$pending;
+    socket.removeAllListeners('message');
+    socket.on('message', handleDatagram);
+    socket.on('error', (err) => {
+      this._log.warn('UDPROS socket error on topic %s: %s', this.getTopic(), err);
+    });
+
+    this.emit('connection', header, client.name);
+
+    pending.forEach(handleDatagram);
+  }
+
   /**
    * Convenience function - creates the connection header for this subscriber to send
    * @returns {string}
    */
   _createTcprosHandshake() {
+    if (this.isAnyType()) {
+      return TcprosUtils.createSubHeader(this._nodeHandle.getNodeName(), ANY_TYPE,
+                                         this.getTopic(), ANY_TYPE, ANY_TYPE, this._headers);
+    }
+    // else
     return TcprosUtils.createSubHeader(this._nodeHandle.getNodeName(), this._messageHandler.md5sum(),
-                                       this.getTopic(), this.getType(), this._messageHandler.messageDefinition());
+                                       this.getTopic(), this.getType(), this._messageHandler.messageDefinition(),
+                                       this._headers);
+  }
+
+  /**
+   * Validates the connection header from a publisher
+   * @param header {object} parsed connection header
+   * @returns {Buffer|null} serialized error if the header is invalid
+   */
+  _validatePubHeader(header) {
+    if (this.isAnyType()) {
+      return TcprosUtils.validatePubHeader(header, header.type, header.md5sum);
+    }
+    // else
+    return TcprosUtils.validatePubHeader(header, this.getType(), this._messageHandler.md5sum());
+  }
+
+  /**
+   * Finds the class to deserialize messages from a publisher with. Subscribers for any type
+   * use a local class for the publisher's type if one is loaded with the same md5sum and
+   * otherwise build one from the message definition in the publisher's header.
+   * @param header {object} the publisher's connection header
+   * @returns {function|null} message class or null if messages can only be passed on as Buffers
+   */
+  _getConnectionMessageHandler(header) {
+    if (!this.isAnyType()) {
+      return this._messageHandler;
+    }
+    // else
+    try {
+      const localHandler = messageUtils.getHandlerForMsgType(header.type);
+      if (localHandler && localHandler.md5sum() === header.md5sum) {
+        return localHandler;
+      }
+    }
+    catch (err) {
+      // the package isn't available locally
+    }
+
+    if (!header.message_definition) {
+      this._log.warn('Publisher of %s didn\'t send a message definition for %s - passing on raw messages',
+                     this.getTopic(), header.type);
+      return null;
+    }
+    // else
+    try {
+      const handler = messages.getMessageFromDefinition(header.type, header.message_definition);
+      if (handler.md5sum() !== header.md5sum) {
+        this._log.warn('Message definition for %s on %s doesn\'t match its md5sum - passing on raw messages',
+                       header.type, this.getTopic());
+        return null;
+      }
+      // else
+      return handler;
+    }
+    catch (err) {
+      this._log.warn('Unable to build %s from its message definition on %s - passing on raw messages: %s',
+                     header.type, this.getTopic(), err);
+      return null;
+    }
   }
 
   /**
@@ -333,14 +839,17 @@ class SubscriberImpl extends EventEmitter {
     // check if the publisher had a problem with our connection header
     if (header.error) {
       this._log.error(header.error);
+      client.$rejected = true;
+      client.end();
       return;
     }
 
     // now do our own validation of the publisher's header
-    const error = TcprosUtils.validatePubHeader(header, this.getType(), this._messageHandler.md5sum());
+    const error = this._validatePubHeader(header);
     if (error) {
       this._log.error(`Unable to validate subscriber ${this.getTopic()} connection header ${JSON.stringify(header)}`);
       TcprosUtils.parsePubHeader(msg);
+      client.$rejected = true;
       client.end(Serialize(error));
       return;
     }
@@ -349,42 +858,99 @@ class SubscriberImpl extends EventEmitter {
 
     // cache client now that we've verified the connection header
     this._pubClients[client.nodeUri] = client;
+    this._setPublisherState(client.nodeUri, CONNECTED);
+    client.$messageHandler = this._getConnectionMessageHandler(header);
+    client.$callerId = header.callerid;
+    client.$hasHeader = messageUtils.hasHeader(client.$messageHandler);
+    client.$connectionInfo = this._createConnectionInfo(client, header);
 
     // pipe all future messages to _handleMessage
-    client.$deserializer.on('message', this._handleMessage.bind(this));
+    client.$deserializer.on('message', this._handleMessage.bind(this, client));
 
     this.emit('connection', header, client.name);
-
-    // hook into close event to clean things up
-    client.on('close', () => {
-      this._log.warn('Pub %s closed on topic %s', client.name, this.getTopic());
-      this._log.warn('Subscriber ' + this.getTopic() + ' client ' + client.name + ' disconnected!');
-      this._disconnectClient(client.nodeUri);
-    });
   }
 
   /**
    * Handles a single message from a publisher. Passes message off to
    * Spinner if we're queueing, otherwise handles it immediately.
-   * @param msg {string}
+   * @param client {Socket} publisher client the message came from
+   * @param msg {Buffer}
+   */
+  _handleMessage(client, msg) {
+    client.$stats.recordReceived(msg.length);
+    this._resetReconnectAttempts(client);
+    this._recordStatistics(client, msg);
+
+    // keep track of the connection each message came from so drops can be attributed to it
+    this._queueMessage({msg, stats: client.$stats, handler: client.$messageHandler, info: client.$connectionInfo});
+  }
+
+  /**
+   * Adds a message to the statistics for its publisher's connection. Publishes them on
+   * /statistics when the connection's window is over.
+   * @param client {object} publisher client the message came from
+   * @param msg {Buffer|object} serialized message, or the message itself if it's intra-process
+   */
+  _recordStatistics(client, msg) {
+    if (!this._statistics.isEnabled()) {
+      return;
+    }
+    // else
+    const receivedTime = Time.rosTimeToSecs(Time.now());
+
+    let stamp = null;
+    if (Buffer.isBuffer(msg)) {
+      if (client.$hasHeader) {
+        stamp = TopicStatistics.readHeaderStamp(msg);
+      }
+    }
+    else if (msg && msg.header && msg.header.stamp) {
+      stamp = msg.header.stamp;
+    }
+    const stampAge = stamp ? receivedTime - Time.rosTimeToSecs(stamp) : null;
+
+    const statisticsMsg = this._statistics.record(client.$callerId, client.$stats, receivedTime, stampAge);
+    if (statisticsMsg !== null) {
+      this._nodeHandle.publishStatistics(statisticsMsg);
+    }
+  }
+
+  /**
+   * Passes a message off to the Spinner if we're queueing, otherwise handles it immediately
+   * @param queuedMsg {object}
    */
-  _handleMessage(msg) {
+  _queueMessage(queuedMsg) {
     if (this._throttleMs < 0) {
-      this._handleMsgQueue([msg]);
+      this._handleMsgQueue([queuedMsg]);
     }
     else {
-      this._nodeHandle.getSpinner().ping(this._getSpinnerId(), msg);
+      this._nodeHandle.getSpinner().ping(this._getSpinnerId(), queuedMsg);
     }
   }
 
+  /**
+   * Called by the Spinner when a queued message is pushed out of the queue before being handled
+   * @param queuedMsg {object}
+   */
+  _handleDroppedMessage(queuedMsg) {
+    queuedMsg.stats.recordDrop();
+  }
+
   /**
    * Deserializes and events for the list of messages
-   * @param msgQueue {Array} array of strings - each string is its own message.
+   * @param msgQueue {Array} array of queued messages - each has the message buffer (or the message
+   *                         itself for intra-process messages), its connection stats, the class
+   *                         to deserialize it with (if any) and its connection's metadata
    */
   _handleMsgQueue(msgQueue) {
     try {
-      msgQueue.forEach((msg) => {
-        this.emit('message', this._messageHandler.deserialize(msg));
+      msgQueue.forEach(({msg, handler, local, info}) => {
+        if (this.isRaw()) {
+          this.emit('message', msg, info);
+        }
+        else {
+          this.emit('message', (local || !handler) ? msg : handler.deserialize(msg));
+        }
       });
     }
     catch (err) {
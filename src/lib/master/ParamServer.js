@@ -0,0 +1,161 @@
+/*
+ *    Copyright 2017 Rethink Robotics
+ *
+ *    Copyright 2017 Chris Smith
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+'use strict';
+
+const namespaceUtils = require('../../utils/namespace_utils.js');
+
+function isDict(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function splitKey(key) {
+  return key.split('/').filter((part) => part.length > 0);
+}
+
+//-----------------------------------------------------------------------
+
+/**
+ * @class ParamServer
+ * Parameter storage for the embedded master. Parameters are stored in a tree of
+ * dictionaries so that namespaces can be retrieved and set as a whole.
+ * Follows rosmaster's paramserver.py
+ */
+class ParamServer {
+  constructor() {
+    this._params = {};
+  }
+
+  /**
+   * @param key {string} resolved parameter name
+   * @returns {*} value of the parameter or undefined if it isn't set
+   */
+  getParam(key) {
+    let value = this._params;
+    const parts = splitKey(key);
+    for (let i = 0; i < parts.length; ++i) {
+      if (!isDict(value) || !value.hasOwnProperty(parts[i])) {
+        return undefined;
+      }
+      value = value[parts[i]];
+    }
+    return value;
+  }
+
+  hasParam(key) {
+    return this.getParam(key) !== undefined;
+  }
+
+  /**
+   * Sets a parameter, creating any namespaces above it as needed
+   * @param key {string} resolved parameter name
+   * @param value {*}
+   */
+  setParam(key, value) {
+    const parts = splitKey(key);
+    if (parts.length === 0) {
+      if (!isDict(value)) {
+        throw new Error('Cannot set root of parameter tree to non-dictionary');
+      }
+      this._params = value;
+      return;
+    }
+    // else
+    let dict = this._params;
+    const last = parts.pop();
+    parts.forEach((part) => {
+      if (!isDict(dict[part])) {
+        dict[part] = {};
+      }
+      dict = dict[part];
+    });
+    dict[last] = value;
+  }
+
+  /**
+   * @param key {string} resolved parameter name
+   * @throws {Error} if the parameter isn't set
+   */
+  deleteParam(key) {
+    const parts = splitKey(key);
+    if (parts.length === 0) {
+      throw new Error('Cannot delete root of parameter tree');
+    }
+    // else
+    const last = parts.pop();
+    const dict = this.getParam('/' + parts.join('/'));
+    if (!isDict(dict) || !dict.hasOwnProperty(last)) {
+      throw new Error(`Parameter [${key}] is not set`);
+    }
+    delete dict[last];
+  }
+
+  /**
+   * Search for a parameter, starting in the namespace ns and moving up towards the
+   * global namespace. Only the first part of the key is used to find a match.
+   *   e.g. ns = /a/b, key = c/d => checks /a/b/c, /a/c, /c
+   * @param ns {string} resolved namespace to start from (usually a caller id)
+   * @param key {string} relative parameter name
+   * @returns {string|null} resolved key of the match
+   */
+  searchParam(ns, key) {
+    if (!key) {
+      return null;
+    }
+    else if (key.startsWith('~')) {
+      throw new Error('Private keys cannot be used for searching');
+    }
+    else if (key.startsWith('/')) {
+      return this.hasParam(key) ? key : null;
+    }
+    // else
+    const namespaces = splitKey(ns);
+    const keyNamespace = splitKey(key)[0];
+    for (let i = namespaces.length; i >= 0; --i) {
+      const prefix = '/' + namespaces.slice(0, i).join('/');
+      if (this.hasParam(namespaceUtils.resolve(keyNamespace, prefix))) {
+        return namespaceUtils.resolve(key, prefix);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @returns {Array} names of all parameters that aren't namespaces
+   */
+  getParamNames() {
+    const names = [];
+    const addNames = (namespace, dict) => {
+      Object.keys(dict).forEach((key) => {
+        const name = namespace + key;
+        if (isDict(dict[key])) {
+          addNames(name + '/', dict[key]);
+        }
+        else {
+          names.push(name);
+        }
+      });
+    };
+
+    addNames('/', this._params);
+    return names;
+  }
+}
+
+//-----------------------------------------------------------------------
+
+module.exports = ParamServer;
@@ -0,0 +1,271 @@
+/*
+ *    Copyright 2017 Rethink Robotics
+ *
+ *    Copyright 2017 Chris Smith
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+'use strict';
+
+//-----------------------------------------------------------------------
+
+/**
+ * @class Registrations
+ * Map of a topic, service, or parameter key to the nodes registered for it
+ */
+class Registrations {
+  constructor() {
+    // key => Map(callerId => api)
+    this._map = new Map();
+  }
+
+  register(key, callerId, api) {
+    if (!this._map.has(key)) {
+      this._map.set(key, new Map());
+    }
+    this._map.get(key).set(callerId, api);
+  }
+
+  /**
+   * @returns {number} 1 if the registration was removed, 0 if it didn't exist
+   */
+  unregister(key, callerId, api) {
+    const nodes = this._map.get(key);
+    if (!nodes || nodes.get(callerId) !== api) {
+      return 0;
+    }
+    // else
+    nodes.delete(callerId);
+    if (nodes.size === 0) {
+      this._map.delete(key);
+    }
+    return 1;
+  }
+
+  unregisterNode(callerId) {
+    this.getKeys().forEach((key) => {
+      const nodes = this._map.get(key);
+      nodes.delete(callerId);
+      if (nodes.size === 0) {
+        this._map.delete(key);
+      }
+    });
+  }
+
+  hasNode(callerId) {
+    return this.getKeys().some((key) => this._map.get(key).has(callerId));
+  }
+
+  getKeys() {
+    return Array.from(this._map.keys());
+  }
+
+  /**
+   * @returns {Array} [[callerId, api]] registered for the key
+   */
+  getEntries(key) {
+    const nodes = this._map.get(key);
+    return nodes ? Array.from(nodes.entries()) : [];
+  }
+
+  /**
+   * @returns {Array} [[key, [callerId]]] for getSystemState
+   */
+  getState() {
+    return this.getKeys().map((key) => {
+      return [key, Array.from(this._map.get(key).keys())];
+    });
+  }
+}
+
+//-----------------------------------------------------------------------
+
+/**
+ * @class RegistrationManager
+ * Tracks the nodes, publishers, subscribers, services and parameter subscribers
+ * registered with the embedded master. Follows rosmaster's registrations.py
+ */
+class RegistrationManager {
+  constructor() {
+    // callerId => xmlrpc api uri
+    this._nodes = new Map();
+    // topic => type
+    this._topicTypes = new Map();
+
+    this._publishers = new Registrations();
+    this._subscribers = new Registrations();
+    // service => Map(callerId => service uri)
+    this._services = new Registrations();
+    this._paramSubscribers = new Registrations();
+  }
+
+  /**
+   * Records the xmlrpc api of a node making a registration call
+   * @param callerId {string}
+   * @param api {string}
+   */
+  registerNode(callerId, api) {
+    this._nodes.set(callerId, api);
+  }
+
+  /**
+   * Drops a node and all of its registrations (e.g. when it's replaced by a new node with the same name)
+   * @param callerId {string}
+   * @returns {Array} topics the node was publishing
+   */
+  unregisterNode(callerId) {
+    const topics = this._publishers.getKeys().filter((topic) => {
+      return this._publishers.getEntries(topic).some(([otherCallerId]) => otherCallerId === callerId);
+    });
+
+    this._publishers.unregisterNode(callerId);
+    this._subscribers.unregisterNode(callerId);
+    this._services.unregisterNode(callerId);
+    this._paramSubscribers.unregisterNode(callerId);
+    this._nodes.delete(callerId);
+
+    return topics;
+  }
+
+  lookupNode(callerId) {
+    return this._nodes.get(callerId) || null;
+  }
+
+  registerPublisher(callerId, topic, type, api) {
+    this._publishers.register(topic, callerId, api);
+    if (type !== '*' || !this._topicTypes.has(topic)) {
+      this._topicTypes.set(topic, type);
+    }
+  }
+
+  unregisterPublisher(callerId, topic, api) {
+    return this._cleanupAfter(callerId, this._publishers.unregister(topic, callerId, api));
+  }
+
+  registerSubscriber(callerId, topic, type, api) {
+    this._subscribers.register(topic, callerId, api);
+    if (type !== '*' && !this._topicTypes.has(topic)) {
+      this._topicTypes.set(topic, type);
+    }
+  }
+
+  unregisterSubscriber(callerId, topic, api) {
+    return this._cleanupAfter(callerId, this._subscribers.unregister(topic, callerId, api));
+  }
+
+  /**
+   * Registers a service provider, replacing any existing provider of the service
+   */
+  registerService(callerId, service, serviceUri) {
+    this._services.getEntries(service).forEach(([otherCallerId, otherServiceUri]) => {
+      this._services.unregister(service, otherCallerId, otherServiceUri);
+    });
+    this._services.register(service, callerId, serviceUri);
+  }
+
+  unregisterService(callerId, service, serviceUri) {
+    return this._cleanupAfter(callerId, this._services.unregister(service, callerId, serviceUri));
+  }
+
+  /**
+   * @returns {string|null} rosrpc uri of the service's provider
+   */
+  lookupService(service) {
+    const entries = this._services.getEntries(service);
+    return entries.length > 0 ? entries[0][1] : null;
+  }
+
+  subscribeParam(callerId, key, api) {
+    this._paramSubscribers.register(key, callerId, api);
+  }
+
+  unsubscribeParam(callerId, key, api) {
+    return this._cleanupAfter(callerId, this._paramSubscribers.unregister(key, callerId, api));
+  }
+
+  /**
+   * @returns {Array} xmlrpc uris of all publishers of the topic
+   */
+  getPublisherApis(topic) {
+    return this._publishers.getEntries(topic).map(([callerId, api]) => api);
+  }
+
+  /**
+   * @returns {Array} xmlrpc uris of all subscribers of the topic
+   */
+  getSubscriberApis(topic) {
+    return this._subscribers.getEntries(topic).map(([callerId, api]) => api);
+  }
+
+  /**
+   * @returns {Array} [[callerId, key, api]] for all parameter subscriptions
+   */
+  getParamSubscriptions() {
+    const subscriptions = [];
+    this._paramSubscribers.getKeys().forEach((key) => {
+      this._paramSubscribers.getEntries(key).forEach(([callerId, api]) => {
+        subscriptions.push([callerId, key, api]);
+      });
+    });
+    return subscriptions;
+  }
+
+  /**
+   * @param [subgraph] {string} namespace to restrict results to
+   * @returns {Array} [[topic, type]] for all topics with publishers
+   */
+  getPublishedTopics(subgraph='') {
+    if (subgraph && !subgraph.endsWith('/')) {
+      subgraph += '/';
+    }
+    return this._publishers.getKeys()
+    .filter((topic) => topic.startsWith(subgraph))
+    .map((topic) => [topic, this._topicTypes.get(topic)]);
+  }
+
+  /**
+   * @returns {Array} [[topic, type]] for all known topics
+   */
+  getTopicTypes() {
+    return Array.from(this._topicTypes.entries());
+  }
+
+  /**
+   * @returns {Array} [publishers, subscribers, services] formatted for getSystemState
+   */
+  getSystemState() {
+    return [
+      this._publishers.getState(),
+      this._subscribers.getState(),
+      this._services.getState()
+    ];
+  }
+
+  /**
+   * Forgets about a node once it has nothing left registered
+   * @returns {number} numUnregistered, passed through
+   */
+  _cleanupAfter(callerId, numUnregistered) {
+    if (!this._publishers.hasNode(callerId) &&
+        !this._subscribers.hasNode(callerId) &&
+        !this._services.hasNode(callerId) &&
+        !this._paramSubscribers.hasNode(callerId)) {
+      this._nodes.delete(callerId);
+    }
+    return numUnregistered;
+  }
+}
+
+//-----------------------------------------------------------------------
+
+module.exports = RegistrationManager;
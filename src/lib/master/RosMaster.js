@@ -0,0 +1,401 @@
+/*
+ *    Copyright 2017 Rethink Robotics
+ *
+ *    Copyright 2017 Chris Smith
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+'use strict';
+
+const xmlrpc = require('xmlrpc');
+const EventEmitter = require('events');
+const Logging = require('../Logging.js');
+const SlaveApiClient = require('../SlaveApiClient.js');
+const ParamServer = require('./ParamServer.js');
+const RegistrationManager = require('./RegistrationManager.js');
+const NetworkUtils = require('../../utils/network_utils.js');
+const namespaceUtils = require('../../utils/namespace_utils.js');
+
+const DEFAULT_PORT = 11311;
+const MASTER_CALLER_ID = '/master';
+
+// response status codes for the master and parameter server apis
+const SUCCESS = 1;
+const ERROR = -1;
+
+function isChildOf(key, parentKey) {
+  return parentKey === '/' || key.startsWith(parentKey + '/');
+}
+
+//-----------------------------------------------------------------------
+
+/**
+ * @class RosMaster
+ * An in-process implementation of the ROS master and parameter server xmlrpc apis.
+ * Any ROS node (rosnodejs, roscpp, rospy) can use it by pointing ROS_MASTER_URI at getUri().
+ * http://wiki.ros.org/ROS/Master_API
+ * http://wiki.ros.org/ROS/Parameter%20Server%20API
+ */
+class RosMaster extends EventEmitter {
+  /**
+   * @param [options] {object}
+   * @param [options.port] {number} port to listen on - defaults to 11311. 0 picks any open port.
+   * @param [options.host] {string} address to listen on - defaults to all interfaces
+   */
+  constructor(options={}) {
+    super();
+
+    this._log = Logging.getLogger(Logging.DEFAULT_LOGGER_NAME + '.master');
+
+    this._port = typeof options.port === 'number' ? options.port : DEFAULT_PORT;
+    this._host = options.host || '0.0.0.0';
+
+    this._server = null;
+    this._registrations = new RegistrationManager();
+    this._params = new ParamServer();
+  }
+
+  /**
+   * @returns {Promise} resolves with this master once it's accepting connections
+   */
+  start() {
+    if (this._server) {
+      return Promise.reject(new Error('Master is already running'));
+    }
+    // else
+    return new Promise((resolve, reject) => {
+      const server = xmlrpc.createServer({host: this._host, port: this._port}, () => {
+        this._port = server.httpServer.address().port;
+        this._log.info('ROS master listening at ' + this.getUri());
+        resolve(this);
+        this.emit('ready', this.getUri());
+      });
+
+      server.httpServer.once('error', reject);
+
+      server.on('NotFound', (method, params) => {
+        this._log.warn('Method ' + method + ' does not exist: ' + params);
+      });
+
+      this._provide(server, 'getUri', this._handleGetUri);
+      this._provide(server, 'getPid', this._handleGetPid);
+      this._provide(server, 'registerService', this._handleRegisterService);
+      this._provide(server, 'unregisterService', this._handleUnregisterService);
+      this._provide(server, 'registerSubscriber', this._handleRegisterSubscriber);
+      this._provide(server, 'unregisterSubscriber', this._handleUnregisterSubscriber);
+      this._provide(server, 'registerPublisher', this._handleRegisterPublisher);
+      this._provide(server, 'unregisterPublisher', this._handleUnregisterPublisher);
+      this._provide(server, 'lookupNode', this._handleLookupNode);
+      this._provide(server, 'lookupService', this._handleLookupService);
+      this._provide(server, 'getPublishedTopics', this._handleGetPublishedTopics);
+      this._provide(server, 'getTopicTypes', this._handleGetTopicTypes);
+      this._provide(server, 'getSystemState', this._handleGetSystemState);
+
+      this._provide(server, 'deleteParam', this._handleDeleteParam);
+      this._provide(server, 'setParam', this._handleSetParam);
+      this._provide(server, 'getParam', this._handleGetParam);
+      this._provide(server, 'searchParam', this._handleSearchParam);
+      this._provide(server, 'subscribeParam', this._handleSubscribeParam);
+      this._provide(server, 'unsubscribeParam', this._handleUnsubscribeParam);
+      this._provide(server, 'hasParam', this._handleHasParam);
+      this._provide(server, 'getParamNames', this._handleGetParamNames);
+
+      this._server = server;
+    });
+  }
+
+  /**
+   * @returns {Promise} resolves when the master has stopped listening
+   */
+  shutdown() {
+    if (!this._server) {
+      return Promise.resolve();
+    }
+    // else
+    const server = this._server;
+    this._server = null;
+    return new Promise((resolve) => {
+      server.close(resolve);
+    });
+  }
+
+  isRunning() {
+    return this._server !== null;
+  }
+
+  getUri() {
+    return `http://${NetworkUtils.getHost()}:${this._port}`;
+  }
+
+  getPort() {
+    return this._port;
+  }
+
+  /**
+   * Registers an api handler on the xmlrpc server. Handlers return the
+   * [code, statusMessage, value] response, or throw to return an error.
+   */
+  _provide(server, method, handler) {
+    server.on(method, (err, params, callback) => {
+      this._log.debug('%s %j', method, params);
+      let resp;
+      try {
+        resp = handler.apply(this, params);
+      }
+      catch (error) {
+        this._log.warn('Error handling %s %j: %s', method, params, error.message);
+        resp = [ERROR, error.message, 0];
+      }
+      callback(null, resp);
+    });
+  }
+
+  /**
+   * Resolves a name from the api in the namespace of the calling node
+   */
+  _resolve(name, callerId) {
+    if (typeof name !== 'string' || !namespaceUtils.validate(name)) {
+      throw new Error(`Invalid name [${name}]`);
+    }
+    // else
+    return namespaceUtils.resolve(name, namespaceUtils.parentNamespace(callerId), callerId);
+  }
+
+  _getSlaveApi(api) {
+    const {host, port} = NetworkUtils.getAddressAndPortFromUri(api);
+    return new SlaveApiClient(host, port);
+  }
+
+  /**
+   * Records the api of a node making a registration call. If a different node with the
+   * same name was registered, it's told to shut down and its registrations are dropped.
+   */
+  _registerNode(callerId, api) {
+    const existingApi = this._registrations.lookupNode(callerId);
+    if (existingApi && existingApi !== api) {
+      this._log.warn('New node registered with name %s at %s - shutting down the old one at %s',
+                     callerId, api, existingApi);
+      const topics = this._registrations.unregisterNode(callerId);
+      this._getSlaveApi(existingApi).shutdown(MASTER_CALLER_ID, 'new node registered with same name')
+      .catch((err) => {
+        this._log.debug('Unable to shut down node %s: %s', callerId, err);
+      });
+      topics.forEach((topic) => {
+        this._notifyTopicSubscribers(topic);
+      });
+    }
+    this._registrations.registerNode(callerId, api);
+  }
+
+  /**
+   * Sends the current list of publishers for a topic to all of its subscribers
+   */
+  _notifyTopicSubscribers(topic) {
+    const publishers = this._registrations.getPublisherApis(topic);
+    this._registrations.getSubscriberApis(topic).forEach((api) => {
+      this._getSlaveApi(api).publisherUpdate(MASTER_CALLER_ID, topic, publishers)
+      .catch((err) => {
+        this._log.warn('publisherUpdate for %s to %s failed: %s', topic, api, err);
+      });
+    });
+  }
+
+  /**
+   * Notifies subscribers of a change to key the same way rosmaster does - a subscriber to a
+   * namespace containing key is sent key with its new value, while a subscriber to a key inside
+   * the changed namespace is sent its own key with the nested value.
+   * The node that made the change isn't notified.
+   */
+  _notifyParamSubscribers(callerId, key) {
+    // keys are sent with a trailing slash, unset parameters as an empty dictionary
+    const toUpdateKey = (k) => (k === '/' ? k : k + '/');
+    const toUpdateValue = (v) => (v === undefined ? {} : v);
+
+    this._registrations.getParamSubscriptions().forEach(([subCallerId, subKey, api]) => {
+      if (subCallerId === callerId) {
+        return;
+      }
+      // else
+      let updateKey;
+      if (subKey === key || isChildOf(key, subKey)) {
+        updateKey = key;
+      }
+      else if (isChildOf(subKey, key)) {
+        updateKey = subKey;
+      }
+      else {
+        return;
+      }
+      const value = toUpdateValue(this._params.getParam(updateKey));
+      this._getSlaveApi(api).paramUpdate(MASTER_CALLER_ID, toUpdateKey(updateKey), value)
+      .catch((err) => {
+        this._log.warn('paramUpdate for %s to %s failed: %s', updateKey, api, err);
+      });
+    });
+  }
+
+//------------------------------------------------------------------
+// Master API
+//------------------------------------------------------------------
+
+  _handleGetUri(callerId) {
+    return [SUCCESS, '', this.getUri()];
+  }
+
+  _handleGetPid(callerId) {
+    return [SUCCESS, '', process.pid];
+  }
+
+  _handleRegisterService(callerId, service, serviceApi, callerApi) {
+    service = this._resolve(service, callerId);
+    this._registerNode(callerId, callerApi);
+    this._registrations.registerService(callerId, service, serviceApi);
+    return [SUCCESS, `Registered [${callerId}] as provider of [${service}]`, 1];
+  }
+
+  _handleUnregisterService(callerId, service, serviceApi) {
+    service = this._resolve(service, callerId);
+    const numUnregistered = this._registrations.unregisterService(callerId, service, serviceApi);
+    return [SUCCESS, `Unregistered [${callerId}] as provider of [${service}]`, numUnregistered];
+  }
+
+  _handleRegisterSubscriber(callerId, topic, topicType, callerApi) {
+    topic = this._resolve(topic, callerId);
+    this._registerNode(callerId, callerApi);
+    this._registrations.registerSubscriber(callerId, topic, topicType, callerApi);
+    return [SUCCESS, `Subscribed to [${topic}]`, this._registrations.getPublisherApis(topic)];
+  }
+
+  _handleUnregisterSubscriber(callerId, topic, callerApi) {
+    topic = this._resolve(topic, callerId);
+    const numUnregistered = this._registrations.unregisterSubscriber(callerId, topic, callerApi);
+    return [SUCCESS, `Unsubscribed from [${topic}]`, numUnregistered];
+  }
+
+  _handleRegisterPublisher(callerId, topic, topicType, callerApi) {
+    topic = this._resolve(topic, callerId);
+    this._registerNode(callerId, callerApi);
+    this._registrations.registerPublisher(callerId, topic, topicType, callerApi);
+    this._notifyTopicSubscribers(topic);
+    return [SUCCESS, `Registered [${callerId}] as publisher of [${topic}]`,
+            this._registrations.getSubscriberApis(topic)];
+  }
+
+  _handleUnregisterPublisher(callerId, topic, callerApi) {
+    topic = this._resolve(topic, callerId);
+    const numUnregistered = this._registrations.unregisterPublisher(callerId, topic, callerApi);
+    if (numUnregistered > 0) {
+      this._notifyTopicSubscribers(topic);
+    }
+    return [SUCCESS, `Unregistered [${callerId}] as publisher of [${topic}]`, numUnregistered];
+  }
+
+  _handleLookupNode(callerId, nodeName) {
+    nodeName = this._resolve(nodeName, callerId);
+    const api = this._registrations.lookupNode(nodeName);
+    if (api === null) {
+      return [ERROR, `unknown node [${nodeName}]`, ''];
+    }
+    // else
+    return [SUCCESS, 'node api', api];
+  }
+
+  _handleLookupService(callerId, service) {
+    service = this._resolve(service, callerId);
+    const serviceApi = this._registrations.lookupService(service);
+    if (serviceApi === null) {
+      return [ERROR, 'no provider', ''];
+    }
+    // else
+    return [SUCCESS, `rosrpc URI: [${serviceApi}]`, serviceApi];
+  }
+
+  _handleGetPublishedTopics(callerId, subgraph) {
+    if (subgraph) {
+      subgraph = this._resolve(subgraph, callerId);
+    }
+    return [SUCCESS, 'current topics', this._registrations.getPublishedTopics(subgraph)];
+  }
+
+  _handleGetTopicTypes(callerId) {
+    return [SUCCESS, 'current topics', this._registrations.getTopicTypes()];
+  }
+
+  _handleGetSystemState(callerId) {
+    return [SUCCESS, 'current system state', this._registrations.getSystemState()];
+  }
+
+//------------------------------------------------------------------
+// Parameter Server API
+//------------------------------------------------------------------
+
+  _handleDeleteParam(callerId, key) {
+    key = this._resolve(key, callerId);
+    this._params.deleteParam(key);
+    this._notifyParamSubscribers(callerId, key);
+    return [SUCCESS, `parameter ${key} deleted`, 0];
+  }
+
+  _handleSetParam(callerId, key, value) {
+    key = this._resolve(key, callerId);
+    this._params.setParam(key, value);
+    this._notifyParamSubscribers(callerId, key);
+    return [SUCCESS, `parameter ${key} set`, 0];
+  }
+
+  _handleGetParam(callerId, key) {
+    key = this._resolve(key, callerId);
+    const value = this._params.getParam(key);
+    if (value === undefined) {
+      return [ERROR, `Parameter [${key}] is not set`, 0];
+    }
+    // else
+    return [SUCCESS, `Parameter [${key}]`, value];
+  }
+
+  _handleSearchParam(callerId, key) {
+    const foundKey = this._params.searchParam(callerId, key);
+    if (foundKey === null) {
+      return [ERROR, `Cannot find parameter [${key}] in an upwards search`, ''];
+    }
+    // else
+    return [SUCCESS, `Found [${foundKey}]`, foundKey];
+  }
+
+  _handleSubscribeParam(callerId, callerApi, key) {
+    key = this._resolve(key, callerId);
+    this._registerNode(callerId, callerApi);
+    this._registrations.subscribeParam(callerId, key, callerApi);
+    const value = this._params.getParam(key);
+    return [SUCCESS, `Subscribed to parameter [${key}]`, value === undefined ? {} : value];
+  }
+
+  _handleUnsubscribeParam(callerId, callerApi, key) {
+    key = this._resolve(key, callerId);
+    const numUnsubscribed = this._registrations.unsubscribeParam(callerId, key, callerApi);
+    return [SUCCESS, `Unsubscribed from parameter [${key}]`, numUnsubscribed];
+  }
+
+  _handleHasParam(callerId, key) {
+    key = this._resolve(key, callerId);
+    return [SUCCESS, key, this._params.hasParam(key)];
+  }
+
+  _handleGetParamNames(callerId) {
+    return [SUCCESS, 'Parameter names', this._params.getParamNames()];
+  }
+}
+
+//-----------------------------------------------------------------------
+
+module.exports = RosMaster;
@@ -0,0 +1,315 @@
+/*
+ *    Copyright 2017 Rethink Robotics
+ *
+ *    Copyright 2017 Chris Smith
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+'use strict';
+
+const net = require('net');
+const BN = require('bn.js');
+const yaml = require('js-yaml');
+const rosnodejs = require('../index.js');
+const NetworkUtils = require('../utils/network_utils.js');
+const TcprosUtils = require('../utils/tcpros_utils.js');
+const messageUtils = require('../utils/message_utils.js');
+const messages = require('../utils/messageGeneration/messages.js');
+
+const MASTER_TIMEOUT_MS = 3000;
+
+// messages are only generated on the fly once, the first time they're needed
+let onTheFlyPromise = null;
+
+//-----------------------------------------------------------------------
+// Node setup
+//-----------------------------------------------------------------------
+
+function exitWithError(msg) {
+  console.error('ERROR: ' + msg);
+  process.exit(1);
+}
+
+/**
+ * Starts an anonymous node for a command line tool. Exits the process if the
+ * master can't be reached.
+ * @param name {string} base name for the node, e.g. 'rosnodejs_topic'
+ * @returns {Promise} resolves with a NodeHandle
+ */
+function initNode(name) {
+  const timeout = setTimeout(() => {
+    exitWithError('Unable to communicate with master!');
+  }, MASTER_TIMEOUT_MS);
+
+  return rosnodejs.initNode(name, {
+    anonymous: true,
+    logging: {level: 'warn', skipRosLogging: true, overrideLoggerCleanup: true},
+    node: {masterMonitorMs: 0}
+  })
+  .then((nh) => {
+    clearTimeout(timeout);
+    process.once('SIGINT', () => shutdown());
+    return nh;
+  });
+}
+
+/**
+ * Shuts down the node and exits
+ * @param [code] {number} exit code
+ */
+function shutdown(code=0) {
+  return rosnodejs.shutdown()
+  .then(() => {
+    process.exit(code);
+  }, () => {
+    process.exit(code);
+  });
+}
+
+//-----------------------------------------------------------------------
+// Message loading
+//-----------------------------------------------------------------------
+
+/**
+ * Finds the class for a message or service type, preferring pre-generated messages
+ * and falling back to generating classes on the fly from the message definitions.
+ * @param type {string} e.g. std_msgs/String
+ * @param [kind] {string} 'msg' or 'srv'
+ * @returns {Promise} resolves with the message or service class
+ */
+function loadType(type, kind='msg') {
+  let typeClass;
+  try {
+    typeClass = kind === 'msg' ? messageUtils.getHandlerForMsgType(type, true)
+                               : messageUtils.getHandlerForSrvType(type, true);
+  }
+  catch (err) {
+    typeClass = null;
+  }
+
+  if (typeClass) {
+    return Promise.resolve(typeClass);
+  }
+  // else
+  if (!onTheFlyPromise) {
+    onTheFlyPromise = messages.getAll();
+  }
+
+  return onTheFlyPromise.then(() => {
+    const onTheFlyClass = messages.getFromRegistry(type, kind);
+    if (!onTheFlyClass) {
+      throw new Error(`Unable to load ${kind} type [${type}]`);
+    }
+    return onTheFlyClass;
+  });
+}
+
+/**
+ * Builds a message from command line arguments. A single argument is parsed as a
+ * YAML or JSON dictionary of fields. Otherwise arguments are assigned to the message's
+ * fields in order, as rostopic does.
+ *   e.g. ['{linear: {x: 1.0}}'], ['hello'], ['1', '2']
+ * @param typeClass {function} message class
+ * @param args {Array} command line arguments
+ * @returns {object} message instance
+ */
+function buildMessage(typeClass, args) {
+  const msg = new typeClass();
+  if (args.length === 0) {
+    return msg;
+  }
+  // else
+  const values = args.map(parseYaml);
+  if (values.length === 1 && isDict(values[0])) {
+    return resolveMessage(typeClass, mergeFields(msg, values[0]));
+  }
+  // else
+  const fields = Object.keys(msg);
+  if (values.length > fields.length) {
+    throw new Error(`Too many arguments: ${typeClass.datatype()} has ${fields.length} fields`);
+  }
+  values.forEach((value, index) => {
+    msg[fields[index]] = value;
+  });
+  return resolveMessage(typeClass, msg);
+}
+
+/**
+ * Copies values onto a default constructed message, keeping defaults
+ * for any fields of nested messages that weren't provided
+ */
+function mergeFields(msg, values) {
+  Object.keys(values).forEach((key) => {
+    if (isDict(values[key]) && isDict(msg[key])) {
+      mergeFields(msg[key], values[key]);
+    }
+    else {
+      msg[key] = values[key];
+    }
+  });
+  return msg;
+}
+
+function resolveMessage(typeClass, msg) {
+  if (typeof typeClass.Resolve === 'function') {
+    return typeClass.Resolve(msg);
+  }
+  // else
+  return msg;
+}
+
+//-----------------------------------------------------------------------
+// Services
+//-----------------------------------------------------------------------
+
+/**
+ * Connects to a service server just to get its connection header, like rosservice does
+ * @param uri {string} rosrpc uri of the server
+ * @param callerId {string}
+ * @param service {string} resolved service name
+ * @returns {Promise} resolves with the server's header fields (callerid, md5sum, type, ...)
+ */
+function probeService(uri, callerId, service) {
+  const {host, port} = NetworkUtils.getAddressAndPortFromUri(uri);
+  return new Promise((resolve, reject) => {
+    let data = Buffer.alloc(0);
+    const client = net.connect(port, host, () => {
+      client.write(TcprosUtils.createServiceProbeHeader(callerId, service));
+    });
+
+    client.on('data', (chunk) => {
+      data = Buffer.concat([data, chunk]);
+      if (data.length >= 4 && data.length >= 4 + data.readUInt32LE(0)) {
+        client.destroy();
+        resolve(TcprosUtils.parseTcpRosHeader(data.slice(4, 4 + data.readUInt32LE(0))));
+      }
+    });
+    client.on('error', reject);
+    client.on('close', () => {
+      reject(new Error(`Service ${service} closed the connection without sending a header`));
+    });
+  });
+}
+
+//-----------------------------------------------------------------------
+// YAML
+//-----------------------------------------------------------------------
+
+function isDict(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+/**
+ * Parses a value given on the command line or loaded from a file as YAML (or JSON)
+ * @param text {string}
+ * @returns {*} null for empty text
+ */
+function parseYaml(text) {
+  const value = yaml.safeLoad(text);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Converts the parts of a message that can't be written as YAML directly -
+ * Buffers and typed arrays (e.g. uint8[] fields) and 64 bit integers
+ * @param value {*}
+ * @returns {*}
+ */
+function toPlainValue(value) {
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) {
+    return Array.from(value);
+  }
+  else if (BN.isBN(value)) {
+    return value.bitLength() <= 53 ? value.toNumber() : value.toString();
+  }
+  else if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  else if (value !== null && typeof value === 'object') {
+    const plain = {};
+    Object.keys(value).forEach((key) => {
+      plain[key] = toPlainValue(value[key]);
+    });
+    return plain;
+  }
+  // else
+  return value;
+}
+
+/**
+ * Formats a message or parameter value as YAML for printing
+ * @param value {*}
+ * @returns {string}
+ */
+function formatMessage(value) {
+  return yaml.safeDump(toPlainValue(value), {lineWidth: -1}).replace(/\n$/, '');
+}
+
+//-----------------------------------------------------------------------
+// Names
+//-----------------------------------------------------------------------
+
+/**
+ * Splits a name like /odom/pose/pose into the topic and a path to a field in its messages
+ * by finding the longest matching topic.
+ * @param name {string} resolved name
+ * @param topics {Array} names of known topics
+ * @returns {{topic: string, field: Array}} topic is null if nothing matched
+ */
+function splitTopicField(name, topics) {
+  let topic = null;
+  topics.forEach((candidate) => {
+    if ((name === candidate || name.startsWith(candidate + '/')) &&
+        (topic === null || candidate.length > topic.length)) {
+      topic = candidate;
+    }
+  });
+
+  if (topic === null) {
+    return {topic, field: []};
+  }
+  // else
+  const field = name.substr(topic.length).split('/').filter((part) => part.length > 0);
+  return {topic, field};
+}
+
+/**
+ * Gets a nested field from a message
+ *   e.g. (msg, ['pose', 'position', 'x']), (msg, ['data', '0'])
+ * @returns {*} undefined if the field doesn't exist
+ */
+function getField(msg, field) {
+  let value = msg;
+  for (let i = 0; i < field.length; ++i) {
+    if (value === null || value === undefined || !(field[i] in Object(value))) {
+      return undefined;
+    }
+    value = value[field[i]];
+  }
+  return value;
+}
+
+//-----------------------------------------------------------------------
+
+module.exports = {
+  initNode,
+  shutdown,
+  exitWithError,
+  loadType,
+  buildMessage,
+  probeService,
+  parseYaml,
+  formatMessage,
+  splitTopicField,
+  getField
+};
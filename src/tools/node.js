@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+'use strict';
+
+// rosnode equivalent built on rosnodejs
+//   e.g. rosnodejs-node info /talker
+//        rosnodejs-node ping -c 5 /talker
+
+const ArgumentParser = require('argparse').ArgumentParser;
+const readline = require('readline');
+const cliUtils = require('./cli_utils.js');
+const NetworkUtils = require('../utils/network_utils.js');
+const MasterApiClient = require('../lib/MasterApiClient.js');
+const SlaveApiClient = require('../lib/SlaveApiClient.js');
+
+const NODE_TIMEOUT_MS = 3000;
+const PING_INTERVAL_MS = 1000;
+
+const parser = new ArgumentParser({
+  addHelp: true,
+  prog: 'rosnodejs-node',
+  description: 'Print information about ROS nodes and ping, kill or clean them up'
+});
+
+const subparsers = parser.addSubparsers({title: 'commands', dest: 'command'});
+
+const listParser = subparsers.addParser('list', {addHelp: true, help: 'list active nodes'});
+listParser.addArgument(['-u', '--uri'], {action: 'storeTrue', help: 'list the xmlrpc uri of each node'});
+listParser.addArgument(['-a', '--all'], {action: 'storeTrue', help: 'list both the name and uri of each node'});
+listParser.addArgument(['namespace'], {nargs: '?', help: 'only list nodes in this namespace'});
+
+const infoParser = subparsers.addParser('info', {addHelp: true, help: 'print information about a node'});
+infoParser.addArgument(['nodes'], {nargs: '+'});
+infoParser.addArgument(['-q', '--quiet'], {action: 'storeTrue', help: 'don\'t contact the node for pid and connection information'});
+
+const pingParser = subparsers.addParser('ping', {addHelp: true, help: 'test connectivity to a node'});
+pingParser.addArgument(['node'], {nargs: '?'});
+pingParser.addArgument(['-a', '--all'], {action: 'storeTrue', help: 'ping every node once'});
+pingParser.addArgument(['-c', '--count'], {type: 'int', help: 'exit after this many pings'});
+
+const killParser = subparsers.addParser('kill', {addHelp: true, help: 'shut down nodes'});
+killParser.addArgument(['nodes'], {nargs: '*'});
+killParser.addArgument(['-a', '--all'], {action: 'storeTrue', help: 'kill every node'});
+
+const cleanupParser = subparsers.addParser('cleanup', {addHelp: true, help: 'unregister unreachable nodes from the master'});
+cleanupParser.addArgument(['-y', '--yes'], {action: 'storeTrue', help: 'don\'t ask before unregistering'});
+
+//-----------------------------------------------------------------------
+
+function getSlaveApi(uri) {
+  const {host, port} = NetworkUtils.getAddressAndPortFromUri(uri);
+  return new SlaveApiClient(host, port);
+}
+
+// our own client for the master, since some calls are made on behalf of other nodes
+let masterApi = null;
+
+function getMasterApi(nh) {
+  if (masterApi === null) {
+    masterApi = new MasterApiClient(nh.getRosMasterUri());
+  }
+  return masterApi;
+}
+
+/**
+ * Rejects if the promise isn't settled within timeoutMs
+ */
+function withTimeout(promise, timeoutMs=NODE_TIMEOUT_MS) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout])
+  .then((result) => {
+    clearTimeout(timer);
+    return result;
+  }, (err) => {
+    clearTimeout(timer);
+    throw err;
+  });
+}
+
+function errorMessage(err) {
+  return (err && (err.message || err.code)) || String(err);
+}
+
+/**
+ * @returns {Promise} resolves with the uri of the node or null if the master doesn't know it
+ */
+function lookupUri(nh, nodeName) {
+  return getMasterApi(nh).lookupNode(nh.getNodeName(), nodeName, {maxAttempts: 1})
+  .then((resp) => resp[2], () => null);
+}
+
+/**
+ * Calls getPid on a node
+ * @returns {Promise} resolves with {pid, ms} or rejects if the node is unreachable
+ */
+function pingNode(nh, uri) {
+  const start = Date.now();
+  return withTimeout(getSlaveApi(uri).getPid(nh.getNodeName()))
+  .then((resp) => {
+    return {pid: resp[2], ms: Date.now() - start};
+  });
+}
+
+function getNodeNames(nh, namespace) {
+  return nh.getNodes()
+  .then((nodes) => {
+    nodes = nodes.filter((node) => node !== nh.getNodeName());
+    if (namespace) {
+      namespace = nh.resolveName(namespace);
+      nodes = nodes.filter((node) => {
+        return node === namespace || node.startsWith(namespace.replace(/\/$/, '') + '/');
+      });
+    }
+    return nodes.sort();
+  });
+}
+
+function list(nh, args) {
+  return getNodeNames(nh, args.namespace)
+  .then((nodes) => {
+    if (!args.uri && !args.all) {
+      nodes.forEach((node) => console.log(node));
+      return;
+    }
+    // else
+    return Promise.all(nodes.map((node) => lookupUri(nh, node)))
+    .then((uris) => {
+      nodes.forEach((node, index) => {
+        const uri = uris[index] || 'unknown';
+        console.log(args.all ? `${uri}\t${node}` : uri);
+      });
+    });
+  });
+}
+
+function printList(title, items) {
+  console.log(`${title}:` + (items.length === 0 ? ' None' : ''));
+  items.forEach((item) => console.log(` * ${item}`));
+  console.log('');
+}
+
+function printConnections(busInfo) {
+  console.log('Connections:');
+  if (busInfo.length === 0) {
+    console.log(' None');
+  }
+  busInfo.forEach(([id, destination, direction, transport, topic, connected]) => {
+    console.log(` * topic: ${topic}`);
+    console.log(`    * ${direction === 'o' ? 'to' : 'from'}: ${destination}`);
+    console.log(`    * direction: ${direction === 'o' ? 'outbound' : 'inbound'}`);
+    console.log(`    * transport: ${transport}`);
+    if (!connected) {
+      console.log('    * disconnected');
+    }
+  });
+  console.log('');
+}
+
+function printInfo(nh, nodeName, quiet) {
+  return nh.getNodeInfo(nodeName)
+  .then((info) => {
+    console.log('-'.repeat(80));
+    console.log(`Node [${info.name}]`);
+    printList('Publications', info.publications.map((topic) => `${topic.name} [${topic.type}]`));
+    printList('Subscriptions', info.subscriptions.map((topic) => `${topic.name} [${topic.type}]`));
+    printList('Services', info.services);
+
+    if (quiet) {
+      return;
+    }
+    else if (!info.uri) {
+      console.log('cannot contact node: unknown to the master\n');
+      return;
+    }
+    // else
+    console.log(`contacting node ${info.uri} ...`);
+    const slaveApi = getSlaveApi(info.uri);
+    return withTimeout(Promise.all([slaveApi.getPid(nh.getNodeName()), slaveApi.getBusInfo(nh.getNodeName())]))
+    .then(([pidResp, busInfoResp]) => {
+      console.log(`Pid: ${pidResp[2]}`);
+      printConnections(busInfoResp[2]);
+    }, (err) => {
+      console.log(`ERROR: communication with node [${info.name}] failed: ${errorMessage(err)}\n`);
+    });
+  });
+}
+
+function info(nh, args) {
+  return args.nodes.reduce((promise, node) => {
+    return promise.then(() => printInfo(nh, node, args.quiet));
+  }, Promise.resolve());
+}
+
+function pingAll(nh) {
+  return getNodeNames(nh)
+  .then((nodes) => {
+    return Promise.all(nodes.map((node) => {
+      return lookupUri(nh, node)
+      .then((uri) => {
+        if (!uri) {
+          throw new Error('unknown to the master');
+        }
+        return pingNode(nh, uri);
+      })
+      .then((result) => {
+        console.log(`${node}\ttime=${result.ms}ms`);
+        return null;
+      }, (err) => {
+        console.log(`${node}\tERROR: ${errorMessage(err)}`);
+        return node;
+      });
+    }));
+  })
+  .then((unreachable) => {
+    unreachable = unreachable.filter((node) => node !== null);
+    if (unreachable.length > 0) {
+      console.log('\nUnable to contact the following nodes:');
+      unreachable.forEach((node) => console.log(` * ${node}`));
+      console.log('run \'rosnodejs-node cleanup\' to unregister them from the master');
+    }
+  });
+}
+
+function ping(nh, args) {
+  if (args.all) {
+    return pingAll(nh);
+  }
+  else if (!args.node) {
+    cliUtils.exitWithError('Please specify a node to ping or use --all');
+  }
+  // else
+  const nodeName = nh.resolveName(args.node);
+  return lookupUri(nh, nodeName)
+  .then((uri) => {
+    if (!uri) {
+      cliUtils.exitWithError(`Unknown node ${nodeName}`);
+    }
+    console.log(`rosnodejs-node: node is [${nodeName}]`);
+
+    return new Promise((resolve) => {
+      let count = 0;
+      const times = [];
+      const done = () => {
+        if (times.length > 0) {
+          const average = times.reduce((sum, ms) => sum + ms, 0) / times.length;
+          console.log(`ping average: ${average.toFixed(3)}ms`);
+        }
+        resolve();
+      };
+      process.once('SIGINT', done);
+
+      const pingOnce = () => {
+        pingNode(nh, uri)
+        .then((result) => {
+          times.push(result.ms);
+          console.log(`xmlrpc reply from ${uri}\ttime=${result.ms}ms`);
+        }, (err) => {
+          console.log(`connection to [${uri}] failed: ${errorMessage(err)}`);
+        })
+        .then(() => {
+          ++count;
+          if (args.count && count >= args.count) {
+            process.removeListener('SIGINT', done);
+            done();
+          }
+          else {
+            setTimeout(pingOnce, PING_INTERVAL_MS);
+          }
+        });
+      };
+      pingOnce();
+    });
+  });
+}
+
+function kill(nh, args) {
+  let namesPromise;
+  if (args.all) {
+    namesPromise = getNodeNames(nh);
+  }
+  else if (args.nodes.length === 0) {
+    cliUtils.exitWithError('Please specify nodes to kill or use --all');
+  }
+  else {
+    namesPromise = Promise.resolve(args.nodes.map((node) => nh.resolveName(node)));
+  }
+
+  return namesPromise
+  .then((nodes) => {
+    let failed = false;
+    return Promise.all(nodes.map((node) => {
+      return lookupUri(nh, node)
+      .then((uri) => {
+        if (!uri) {
+          throw new Error('unknown to the master');
+        }
+        console.log(`killing ${node}`);
+        return withTimeout(getSlaveApi(uri).shutdown(nh.getNodeName(), 'user request'));
+      })
+      .then(() => {
+        console.log(`killed ${node}`);
+      }, (err) => {
+        failed = true;
+        console.error(`ERROR: unable to kill ${node}: ${errorMessage(err)}`);
+      });
+    }))
+    .then(() => {
+      if (failed) {
+        process.exitCode = 1;
+      }
+    });
+  });
+}
+
+function confirm(question) {
+  const rl = readline.createInterface({input: process.stdin, output: process.stdout});
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Unregisters every publication, subscription and service of a node from the master.
+ * Registrations are removed on behalf of the node so the master drops it once they're gone.
+ */
+function unregisterNode(nh, nodeName, uri, state) {
+  const masterApi = getMasterApi(nh);
+  const registeredBy = (registrations) => {
+    return Object.keys(registrations).filter((name) => registrations[name].includes(nodeName));
+  };
+
+  const publications = registeredBy(state.publishers).map((topic) => {
+    return masterApi.unregisterPublisher(nodeName, topic, uri, {maxAttempts: 1});
+  });
+  const subscriptions = registeredBy(state.subscribers).map((topic) => {
+    return masterApi.unregisterSubscriber(nodeName, topic, uri, {maxAttempts: 1});
+  });
+  const services = registeredBy(state.services).map((service) => {
+    return masterApi.lookupService(nh.getNodeName(), service, {maxAttempts: 1})
+    .then((resp) => masterApi.unregisterService(nodeName, service, resp[2], {maxAttempts: 1}));
+  });
+
+  return Promise.all(publications.concat(subscriptions, services));
+}
+
+function cleanup(nh, args) {
+  return getNodeNames(nh)
+  .then((nodes) => {
+    return Promise.all(nodes.map((node) => {
+      return lookupUri(nh, node)
+      .then((uri) => {
+        if (!uri) {
+          return null;
+        }
+        // else
+        return pingNode(nh, uri)
+        .then(() => null, () => ({name: node, uri}));
+      });
+    }));
+  })
+  .then((unreachable) => {
+    unreachable = unreachable.filter((node) => node !== null);
+    if (unreachable.length === 0) {
+      console.log('All nodes are reachable');
+      return;
+    }
+    // else
+    console.log('Unable to contact the following nodes:');
+    unreachable.forEach((node) => console.log(` * ${node.name} (${node.uri})`));
+
+    return (args.yes ? Promise.resolve(true) : confirm('Purge these nodes from the master? y/n '))
+    .then((purge) => {
+      if (!purge) {
+        return;
+      }
+      // else
+      return getMasterApi(nh).getSystemState(nh.getNodeName(), {maxAttempts: 1})
+      .then((state) => {
+        return Promise.all(unreachable.map((node) => {
+          return unregisterNode(nh, node.name, node.uri, state)
+          .then(() => {
+            console.log(`unregistered ${node.name}`);
+          }, (err) => {
+            process.exitCode = 1;
+            console.error(`ERROR: unable to unregister ${node.name}: ${errorMessage(err)}`);
+          });
+        }));
+      });
+    });
+  });
+}
+
+//-----------------------------------------------------------------------
+
+const COMMANDS = {list, info, ping, kill, cleanup};
+
+const args = parser.parseArgs();
+
+cliUtils.initNode('rosnodejs_node')
+.then((nh) => {
+  return COMMANDS[args.command](nh, args);
+})
+.then(() => {
+  return cliUtils.shutdown(process.exitCode);
+})
+.catch((err) => {
+  cliUtils.exitWithError(err.message);
+});
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+'use strict';
+
+// rosparam equivalent built on rosnodejs
+//   e.g. rosnodejs-param set /gains '{p: 1.0, i: 0.1}'
+//        rosnodejs-param dump params.yaml /robot
+
+const fs = require('fs');
+const ArgumentParser = require('argparse').ArgumentParser;
+const cliUtils = require('./cli_utils.js');
+
+const parser = new ArgumentParser({
+  addHelp: true,
+  prog: 'rosnodejs-param',
+  description: 'Get and set parameters on the ROS parameter server'
+});
+
+const subparsers = parser.addSubparsers({title: 'commands', dest: 'command'});
+
+const getParser = subparsers.addParser('get', {addHelp: true, help: 'print a parameter value'});
+getParser.addArgument(['param']);
+
+const setParser = subparsers.addParser('set', {addHelp: true, help: 'set a parameter'});
+setParser.addArgument(['param']);
+setParser.addArgument(['value'], {help: 'YAML/JSON value'});
+
+const listParser = subparsers.addParser('list', {addHelp: true, help: 'list parameter names'});
+listParser.addArgument(['namespace'], {nargs: '?', help: 'only list parameters in this namespace'});
+
+const deleteParser = subparsers.addParser('delete', {addHelp: true, help: 'delete a parameter'});
+deleteParser.addArgument(['param']);
+
+const loadParser = subparsers.addParser('load', {addHelp: true, help: 'load parameters from a YAML file'});
+loadParser.addArgument(['file'], {help: 'YAML file to load, - for stdin'});
+loadParser.addArgument(['namespace'], {nargs: '?', defaultValue: '/', help: 'namespace to load parameters into'});
+
+const dumpParser = subparsers.addParser('dump', {addHelp: true, help: 'dump parameters to a YAML file'});
+dumpParser.addArgument(['file'], {help: 'YAML file to write, - for stdout'});
+dumpParser.addArgument(['namespace'], {nargs: '?', defaultValue: '/', help: 'namespace to dump'});
+
+//-----------------------------------------------------------------------
+
+function isDict(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function inNamespace(name, namespace) {
+  return namespace === '/' || name === namespace || name.startsWith(namespace + '/');
+}
+
+/**
+ * Sets each leaf of a dictionary individually so that loading a dictionary
+ * updates the namespace instead of replacing it, as rosparam does.
+ */
+function setParamTree(nh, key, value) {
+  if (isDict(value) && Object.keys(value).length > 0) {
+    return Promise.all(Object.keys(value).map((child) => {
+      return setParamTree(nh, key.replace(/\/$/, '') + '/' + child, value[child]);
+    }));
+  }
+  // else
+  return nh.setParam(key, value);
+}
+
+function get(nh, args) {
+  return nh.getParam(args.param)
+  .then((value) => {
+    console.log(cliUtils.formatMessage(value));
+  }, () => {
+    cliUtils.exitWithError(`Parameter [${nh.resolveName(args.param)}] is not set`);
+  });
+}
+
+function set(nh, args) {
+  return nh.setParam(args.param, cliUtils.parseYaml(args.value));
+}
+
+function list(nh, args) {
+  const namespace = args.namespace ? nh.resolveName(args.namespace) : '/';
+  return nh.getParamNames()
+  .then((names) => {
+    names.filter((name) => inNamespace(name, namespace)).sort().forEach((name) => {
+      console.log(name);
+    });
+  });
+}
+
+function del(nh, args) {
+  return nh.deleteParam(args.param)
+  .catch(() => {
+    cliUtils.exitWithError(`Parameter [${nh.resolveName(args.param)}] is not set`);
+  });
+}
+
+function load(nh, args) {
+  const text = fs.readFileSync(args.file === '-' ? '/dev/stdin' : args.file, 'utf8');
+  const value = cliUtils.parseYaml(text);
+  const namespace = nh.resolveName(args.namespace);
+  if (!isDict(value) && namespace === '/') {
+    cliUtils.exitWithError('Unable to load a non-dictionary into the global namespace');
+  }
+  return setParamTree(nh, namespace, value);
+}
+
+function dump(nh, args) {
+  const namespace = nh.resolveName(args.namespace);
+  return nh.getParam(namespace, {})
+  .then((value) => {
+    const text = cliUtils.formatMessage(value) + '\n';
+    if (args.file === '-') {
+      process.stdout.write(text);
+    }
+    else {
+      fs.writeFileSync(args.file, text);
+    }
+  });
+}
+
+//-----------------------------------------------------------------------
+
+const COMMANDS = {get, set, list, delete: del, load, dump};
+
+const args = parser.parseArgs();
+
+cliUtils.initNode('rosnodejs_param')
+.then((nh) => {
+  return COMMANDS[args.command](nh, args);
+})
+.then(() => {
+  return cliUtils.shutdown();
+})
+.catch((err) => {
+  cliUtils.exitWithError(err.message);
+});
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+'use strict';
+
+// rosservice equivalent built on rosnodejs
+//   e.g. rosnodejs-service call /add_two_ints '{a: 1, b: 2}'
+
+const ArgumentParser = require('argparse').ArgumentParser;
+const cliUtils = require('./cli_utils.js');
+
+const parser = new ArgumentParser({
+  addHelp: true,
+  prog: 'rosnodejs-service',
+  description: 'Print information about ROS services and call them'
+});
+
+const subparsers = parser.addSubparsers({title: 'commands', dest: 'command'});
+
+const listParser = subparsers.addParser('list', {addHelp: true, help: 'list active services'});
+listParser.addArgument(['-n', '--nodes'], {action: 'storeTrue', help: 'also list the node providing each service'});
+listParser.addArgument(['namespace'], {nargs: '?', help: 'only list services in this namespace'});
+
+const typeParser = subparsers.addParser('type', {addHelp: true, help: 'print the type of a service'});
+typeParser.addArgument(['service']);
+
+const uriParser = subparsers.addParser('uri', {addHelp: true, help: 'print the rosrpc uri of a service'});
+uriParser.addArgument(['service']);
+
+const infoParser = subparsers.addParser('info', {addHelp: true, help: 'print information about a service'});
+infoParser.addArgument(['service']);
+
+const callParser = subparsers.addParser('call', {addHelp: true, help: 'call a service'});
+callParser.addArgument(['service']);
+callParser.addArgument(['values'], {nargs: '*', help: 'YAML/JSON request, or values for each field in order'});
+
+//-----------------------------------------------------------------------
+
+function getUri(nh, service) {
+  return nh.lookupService(service)
+  .catch(() => {
+    cliUtils.exitWithError(`Service [${service}] is not available`);
+  });
+}
+
+/**
+ * @returns {Promise} resolves with {name, uri, node, type}
+ */
+function getServiceInfo(nh, name) {
+  const service = nh.resolveName(name);
+  return getUri(nh, service)
+  .then((uri) => {
+    return cliUtils.probeService(uri, nh.getNodeName(), service)
+    .then((header) => {
+      if (header.error) {
+        throw new Error(header.error);
+      }
+      return {name: service, uri, node: header.callerid, type: header.type};
+    });
+  });
+}
+
+function list(nh, args) {
+  return nh.getServices()
+  .then((services) => {
+    if (args.namespace) {
+      const namespace = nh.resolveName(args.namespace);
+      services = services.filter((service) => {
+        return service.name === namespace || service.name.startsWith(namespace.replace(/\/$/, '') + '/');
+      });
+    }
+
+    services.forEach((service) => {
+      if (args.nodes) {
+        console.log(`${service.name} ${service.providers.join(' ')}`);
+      }
+      else {
+        console.log(service.name);
+      }
+    });
+  });
+}
+
+function type(nh, args) {
+  return getServiceInfo(nh, args.service)
+  .then((info) => {
+    console.log(info.type);
+  });
+}
+
+function uri(nh, args) {
+  return getUri(nh, nh.resolveName(args.service))
+  .then((uri) => {
+    console.log(uri);
+  });
+}
+
+function info(nh, args) {
+  return getServiceInfo(nh, args.service)
+  .then((info) => {
+    console.log(`Node: ${info.node}`);
+    console.log(`URI: ${info.uri}`);
+    console.log(`Type: ${info.type}`);
+    return cliUtils.loadType(info.type, 'srv')
+    .then((srvClass) => {
+      console.log(`Args: ${Object.keys(new srvClass.Request()).join(' ')}`);
+    }, () => {
+      console.log('Args: unknown - unable to load service definition');
+    });
+  });
+}
+
+function call(nh, args) {
+  return getServiceInfo(nh, args.service)
+  .then((info) => {
+    return cliUtils.loadType(info.type, 'srv')
+    .then((srvClass) => {
+      const request = cliUtils.buildMessage(srvClass.Request, args.values);
+      const client = nh.serviceClient(info.name, info.type);
+      return client.call(request);
+    })
+    .then((response) => {
+      console.log(cliUtils.formatMessage(response));
+    }, (err) => {
+      cliUtils.exitWithError(`Service call failed: ${err.message || err}`);
+    });
+  });
+}
+
+//-----------------------------------------------------------------------
+
+const COMMANDS = {list, type, uri, info, call};
+
+const args = parser.parseArgs();
+
+cliUtils.initNode('rosnodejs_service')
+.then((nh) => {
+  return COMMANDS[args.command](nh, args);
+})
+.then(() => {
+  return cliUtils.shutdown();
+})
+.catch((err) => {
+  cliUtils.exitWithError(err.message);
+});
@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+'use strict';
+
+// rostopic equivalent built on rosnodejs
+//   e.g. rosnodejs-topic echo /odom/pose/pose
+//        rosnodejs-topic pub /cmd_vel geometry_msgs/Twist '{linear: {x: 0.5}}' -r 10
+
+const ArgumentParser = require('argparse').ArgumentParser;
+const cliUtils = require('./cli_utils.js');
+
+const LATCHED_WAIT_MS = 3000;
+const STATS_PRINT_MS = 1000;
+
+const parser = new ArgumentParser({
+  addHelp: true,
+  prog: 'rosnodejs-topic',
+  description: 'Print information about ROS topics and publish and subscribe to them'
+});
+
+const subparsers = parser.addSubparsers({title: 'commands', dest: 'command'});
+
+const listParser = subparsers.addParser('list', {addHelp: true, help: 'list active topics'});
+listParser.addArgument(['-v', '--verbose'], {action: 'storeTrue', help: 'list publishers and subscribers'});
+listParser.addArgument(['namespace'], {nargs: '?', help: 'only list topics in this namespace'});
+
+const infoParser = subparsers.addParser('info', {addHelp: true, help: 'print information about a topic'});
+infoParser.addArgument(['topic']);
+
+const typeParser = subparsers.addParser('type', {addHelp: true, help: 'print the type of a topic'});
+typeParser.addArgument(['topic']);
+
+const echoParser = subparsers.addParser('echo', {addHelp: true, help: 'print messages on a topic'});
+echoParser.addArgument(['topic'], {help: 'topic, optionally followed by a field path (e.g. /odom/pose/pose)'});
+echoParser.addArgument(['-n'], {type: 'int', dest: 'count', help: 'exit after printing this many messages'});
+
+const pubParser = subparsers.addParser('pub', {addHelp: true, help: 'publish messages to a topic'});
+pubParser.addArgument(['topic']);
+pubParser.addArgument(['type']);
+pubParser.addArgument(['values'], {nargs: '*', help: 'YAML/JSON message, or values for each field in order'});
+pubParser.addArgument(['-r', '--rate'], {type: 'float', help: 'publishing rate (hz)'});
+pubParser.addArgument(['-1', '--once'], {action: 'storeTrue', help: 'publish one message and exit'});
+pubParser.addArgument(['-l', '--latch'], {action: 'storeTrue', help: 'latch messages when publishing at a rate'});
+
+const hzParser = subparsers.addParser('hz', {addHelp: true, help: 'print the publishing rate of a topic'});
+hzParser.addArgument(['topic']);
+hzParser.addArgument(['-w', '--window'], {type: 'int', defaultValue: 50000, help: 'number of messages to average over'});
+
+const bwParser = subparsers.addParser('bw', {addHelp: true, help: 'print the bandwidth used by a topic'});
+bwParser.addArgument(['topic']);
+bwParser.addArgument(['-w', '--window'], {type: 'int', defaultValue: 100, help: 'number of messages to average over'});
+
+//-----------------------------------------------------------------------
+
+function getTopic(nh, name) {
+  const resolved = nh.resolveName(name);
+  return nh.getTopics()
+  .then((topics) => {
+    const topic = topics.find((topic) => topic.name === resolved);
+    if (!topic) {
+      cliUtils.exitWithError(`Unknown topic ${resolved}`);
+    }
+    return topic;
+  });
+}
+
+/**
+ * Subscribes to a topic with the type advertised by its publishers
+ */
+function subscribe(nh, topicName, callback) {
+  return getTopic(nh, topicName)
+  .then((topic) => {
+    if (!topic.type) {
+      cliUtils.exitWithError(`Unable to determine type of ${topic.name}`);
+    }
+    return cliUtils.loadType(topic.type)
+    .then((typeClass) => {
+      nh.subscribe(topic.name, typeClass, (msg) => callback(msg, typeClass), {queueSize: 100});
+      return topic;
+    });
+  });
+}
+
+function list(nh, args) {
+  return nh.getTopics()
+  .then((topics) => {
+    if (args.namespace) {
+      const namespace = nh.resolveName(args.namespace);
+      topics = topics.filter((topic) => {
+        return topic.name === namespace || topic.name.startsWith(namespace.replace(/\/$/, '') + '/');
+      });
+    }
+
+    if (!args.verbose) {
+      topics.forEach((topic) => console.log(topic.name));
+      return;
+    }
+    // else
+    const print = (title, key, noun) => {
+      console.log(`${title}:`);
+      topics.filter((topic) => topic[key].length > 0).forEach((topic) => {
+        const count = topic[key].length;
+        console.log(` * ${topic.name} [${topic.type}] ${count} ${noun}${count === 1 ? '' : 's'}`);
+      });
+      console.log('');
+    };
+    print('Published topics', 'publishers', 'publisher');
+    print('Subscribed topics', 'subscribers', 'subscriber');
+  });
+}
+
+function info(nh, args) {
+  return getTopic(nh, args.topic)
+  .then((topic) => {
+    console.log(`Type: ${topic.type}\n`);
+    const print = (title, nodes) => {
+      console.log(`${title}:` + (nodes.length === 0 ? ' None' : ''));
+      nodes.forEach((node) => console.log(` * ${node}`));
+      console.log('');
+    };
+    print('Publishers', topic.publishers);
+    print('Subscribers', topic.subscribers);
+  });
+}
+
+function type(nh, args) {
+  return getTopic(nh, args.topic)
+  .then((topic) => {
+    console.log(topic.type);
+  });
+}
+
+function echo(nh, args) {
+  const name = nh.resolveName(args.topic);
+  return nh.getTopics()
+  .then((topics) => {
+    const {topic, field} = cliUtils.splitTopicField(name, topics.map((topic) => topic.name));
+    if (topic === null) {
+      cliUtils.exitWithError(`Unknown topic ${name}`);
+    }
+
+    let count = 0;
+    return subscribe(nh, topic, (msg) => {
+      const value = cliUtils.getField(msg, field);
+      if (value === undefined) {
+        cliUtils.exitWithError(`Unknown field /${field.join('/')} in messages on ${topic}`);
+      }
+      console.log(cliUtils.formatMessage(value));
+      console.log('---');
+
+      ++count;
+      if (args.count && count >= args.count) {
+        cliUtils.shutdown();
+      }
+    });
+  });
+}
+
+function pub(nh, args) {
+  return cliUtils.loadType(args.type)
+  .then((typeClass) => {
+    let msg;
+    try {
+      msg = cliUtils.buildMessage(typeClass, args.values);
+    }
+    catch (err) {
+      cliUtils.exitWithError(`Unable to build message: ${err.message}`);
+    }
+
+    const rate = args.rate;
+    const latching = args.latch || !rate;
+    const pub = nh.advertise(args.topic, typeClass, {latching});
+
+    if (rate) {
+      console.log(`publishing to ${pub.getTopic()} at ${rate}hz`);
+      const publish = () => {
+        pub.publish(msg);
+        if (args.once) {
+          setTimeout(() => cliUtils.shutdown(), LATCHED_WAIT_MS);
+        }
+        else {
+          setTimeout(publish, 1000 / rate);
+        }
+      };
+      publish();
+    }
+    else {
+      console.log(`publishing and latching message${args.once ? ' for 3.0 seconds' : '. Press ctrl-C to terminate'}`);
+      pub.publish(msg);
+      if (args.once) {
+        setTimeout(() => cliUtils.shutdown(), LATCHED_WAIT_MS);
+      }
+    }
+  });
+}
+
+// spreading a whole window into Math.min/max can overflow the call stack
+function min(values) {
+  return values.reduce((result, value) => Math.min(result, value));
+}
+
+function max(values) {
+  return values.reduce((result, value) => Math.max(result, value));
+}
+
+function hz(nh, args) {
+  let times = [];
+  let lastPrintedCount = 0;
+  let count = 0;
+
+  return subscribe(nh, args.topic, () => {
+    times.push(Date.now());
+    ++count;
+    if (times.length > args.window + 1) {
+      times.shift();
+    }
+  })
+  .then((topic) => {
+    console.log(`subscribed to [${topic.name}]`);
+    setInterval(() => {
+      if (count === lastPrintedCount) {
+        console.log('no new messages');
+        return;
+      }
+      lastPrintedCount = count;
+      if (times.length < 2) {
+        return;
+      }
+      // else
+      const deltas = [];
+      for (let i = 1; i < times.length; ++i) {
+        deltas.push((times[i] - times[i - 1]) / 1000);
+      }
+      const mean = deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length;
+      const stdDev = Math.sqrt(deltas.reduce((sum, delta) => sum + Math.pow(delta - mean, 2), 0) / deltas.length);
+      console.log(`average rate: ${(1 / mean).toFixed(3)}`);
+      console.log(`\tmin: ${min(deltas).toFixed(3)}s max: ${max(deltas).toFixed(3)}s ` +
+                  `std dev: ${stdDev.toFixed(5)}s window: ${deltas.length + 1}`);
+    }, STATS_PRINT_MS);
+  });
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1000) {
+    return `${bytes.toFixed(2)}B`;
+  }
+  else if (bytes < 1000000) {
+    return `${(bytes / 1000).toFixed(2)}KB`;
+  }
+  // else
+  return `${(bytes / 1000000).toFixed(2)}MB`;
+}
+
+function bw(nh, args) {
+  let samples = [];
+  return subscribe(nh, args.topic, (msg, typeClass) => {
+    samples.push({time: Date.now(), size: typeClass.getMessageSize(msg)});
+    if (samples.length > args.window) {
+      samples.shift();
+    }
+  })
+  .then((topic) => {
+    console.log(`subscribed to [${topic.name}]`);
+    setInterval(() => {
+      if (samples.length < 2) {
+        return;
+      }
+      // else
+      const sizes = samples.map((sample) => sample.size);
+      const total = sizes.reduce((sum, size) => sum + size, 0);
+      const elapsed = (Date.now() - samples[0].time) / 1000;
+      console.log(`average: ${formatBytes(total / elapsed)}/s`);
+      console.log(`\tmean: ${formatBytes(total / sizes.length)} min: ${formatBytes(min(sizes))} ` +
+                  `max: ${formatBytes(max(sizes))} window: ${sizes.length}`);
+    }, STATS_PRINT_MS);
+  });
+}
+
+//-----------------------------------------------------------------------
+
+const COMMANDS = {list, info, type, echo, pub, hz, bw};
+const ONE_SHOT_COMMANDS = ['list', 'info', 'type'];
+
+const args = parser.parseArgs();
+
+cliUtils.initNode('rosnodejs_topic')
+.then((nh) => {
+  return COMMANDS[args.command](nh, args)
+  .then(() => {
+    if (ONE_SHOT_COMMANDS.includes(args.command)) {
+      return cliUtils.shutdown();
+    }
+  });
+})
+.catch((err) => {
+  cliUtils.exitWithError(err.message);
+});
@@ -0,0 +1,80 @@
+/*
+ *    Copyright 2017 Rethink Robotics
+ *
+ *    Copyright 2017 Chris Smith
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+'use strict';
+
+// connection ids are unique within this process so that
+// getBusInfo and getBusStats responses can be matched up
+let connectionCount = 0;
+
+/**
+ * @class ConnectionStats
+ * Traffic counters for a single publisher, subscriber, or service connection.
+ * Used for getBusStats Slave API calls.
+ */
+class ConnectionStats {
+  /**
+   * @param destination {string} uri or name of the other end of the connection
+   * @param [transport] {string} transport used by the connection (e.g. TCPROS)
+   */
+  constructor(destination, transport='TCPROS') {
+    this.id = ++connectionCount;
+    this.destination = destination;
+    this.transport = transport;
+
+    this.bytesSent = 0;
+    this.bytesReceived = 0;
+    this.messagesSent = 0;
+    this.messagesReceived = 0;
+    this.drops = 0;
+
+    this.connected = true;
+  }
+
+  recordSent(numBytes) {
+    this.bytesSent += numBytes;
+    ++this.messagesSent;
+  }
+
+  recordReceived(numBytes) {
+    this.bytesReceived += numBytes;
+    ++this.messagesReceived;
+  }
+
+  recordDrop() {
+    ++this.drops;
+  }
+
+  /**
+   * @returns {object} copy of the current counters
+   */
+  snapshot() {
+    return {
+      id: this.id,
+      destination: this.destination,
+      transport: this.transport,
+      bytesSent: this.bytesSent,
+      bytesReceived: this.bytesReceived,
+      messagesSent: this.messagesSent,
+      messagesReceived: this.messagesReceived,
+      drops: this.drops,
+      connected: this.connected
+    };
+  }
+}
+
+module.exports = ConnectionStats;
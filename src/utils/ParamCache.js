@@ -0,0 +1,189 @@
+/*
+ *    Copyright 2017 Rethink Robotics
+ *
+ *    Copyright 2017 Chris Smith
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const namespaceUtils = require('./namespace_utils.js');
+
+function isDict(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * The master uses an empty dictionary to indicate a parameter isn't set
+ */
+function isUnset(value) {
+  return value === undefined || (isDict(value) && Object.keys(value).length === 0);
+}
+
+function splitKey(key) {
+  return key.split('/').filter((part) => part.length > 0);
+}
+
+function getNested(value, parts) {
+  for (let i = 0; i < parts.length; ++i) {
+    if (!isDict(value) || !value.hasOwnProperty(parts[i])) {
+      return undefined;
+    }
+    value = value[parts[i]];
+  }
+  return value;
+}
+
+/**
+ * Returns a copy of dict with the value at the nested key replaced.
+ * An undefined value removes the nested key.
+ */
+function setNested(dict, parts, value) {
+  const copy = isDict(dict) ? Object.assign({}, dict) : {};
+  const [part, ...rest] = parts;
+  if (rest.length > 0) {
+    copy[part] = setNested(copy[part], rest, value);
+  }
+  else if (value === undefined) {
+    delete copy[part];
+  }
+  else {
+    copy[part] = value;
+  }
+  return copy;
+}
+
+function isChildOf(key, parentKey) {
+  return parentKey === '/' || key.startsWith(parentKey + '/');
+}
+
+//-----------------------------------------------------------------------
+
+/**
+ * @class ParamCache
+ * Local cache of parameters this node has subscribed to on the master.
+ * Lookups for keys nested inside a cached dictionary are served from the cache.
+ * Emits the parameter key with (value, key) whenever a cached parameter changes -
+ * value is undefined if the parameter was deleted.
+ */
+class ParamCache extends EventEmitter {
+  constructor() {
+    super();
+
+    // subscribed key => value from master
+    this._params = new Map();
+  }
+
+  /**
+   * @param key {string} resolved parameter name
+   * @returns {boolean} true if this exact key is subscribed
+   */
+  isSubscribed(key) {
+    return this._params.has(namespaceUtils.clean(key));
+  }
+
+  /**
+   * @returns {Array} all subscribed keys
+   */
+  getSubscribedKeys() {
+    return Array.from(this._params.keys());
+  }
+
+  /**
+   * @param key {string} resolved parameter name
+   * @returns {boolean} true if the key or a namespace containing it is cached
+   */
+  has(key) {
+    return this._findCachedKey(namespaceUtils.clean(key)) !== null;
+  }
+
+  /**
+   * @param key {string} resolved parameter name
+   * @returns {*} cached value or undefined if the parameter isn't set
+   */
+  get(key) {
+    key = namespaceUtils.clean(key);
+    const cachedKey = this._findCachedKey(key);
+    if (cachedKey === null) {
+      return undefined;
+    }
+    // else
+    const value = getNested(this._params.get(cachedKey), splitKey(key.substr(cachedKey.length)));
+    return isUnset(value) ? undefined : value;
+  }
+
+  /**
+   * Stores the value for a key without notifying any listeners (e.g. when first subscribing)
+   * @param key {string} resolved parameter name
+   * @param value {*}
+   */
+  set(key, value) {
+    this._params.set(namespaceUtils.clean(key), value);
+  }
+
+  /**
+   * Handles an update for a subscribed key from the master
+   * @param key {string} resolved parameter name
+   * @param value {*}
+   */
+  update(key, value) {
+    key = namespaceUtils.clean(key);
+    this._params.set(key, value);
+    this.emit(key, isUnset(value) ? undefined : value, key);
+  }
+
+  /**
+   * Applies a change to the parameter server to every cached key it affects. Both updates from
+   * the master and changes this node made (which the master doesn't notify it of) go through here,
+   * since the changed key may be nested inside a subscribed key or contain one.
+   * @param key {string} resolved parameter name that was set or deleted
+   * @param [value] {*} new value, undefined or an empty dictionary if the parameter was deleted
+   */
+  applyChange(key, value) {
+    key = namespaceUtils.clean(key);
+    if (isUnset(value)) {
+      value = undefined;
+    }
+    this.getSubscribedKeys().forEach((cachedKey) => {
+      if (cachedKey === key) {
+        this.update(cachedKey, value === undefined ? {} : value);
+      }
+      else if (isChildOf(cachedKey, key)) {
+        const childValue = getNested(value, splitKey(cachedKey.substr(key.length)));
+        this.update(cachedKey, childValue === undefined ? {} : childValue);
+      }
+      else if (isChildOf(key, cachedKey)) {
+        const parts = splitKey(key.substr(cachedKey.length));
+        this.update(cachedKey, setNested(this._params.get(cachedKey), parts, value));
+      }
+    });
+  }
+
+  clear() {
+    this._params.clear();
+    this.removeAllListeners();
+  }
+
+  _findCachedKey(key) {
+    while (!this._params.has(key)) {
+      if (key === '/') {
+        return null;
+      }
+      key = namespaceUtils.parentNamespace(key);
+    }
+    return key;
+  }
+}
+
+module.exports = ParamCache;
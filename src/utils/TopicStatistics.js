@@ -0,0 +1,201 @@
+/*
+ *    Copyright 2017 Rethink Robotics
+ *
+ *    Copyright 2017 Chris Smith
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+'use strict';
+
+const timeUtils = require('./time_utils.js');
+
+// settings => parameter on the param server (the same ones roscpp uses)
+const PARAMS = {
+  enabled: '/enable_statistics',
+  windowMinElements: '/statistics_window_min_elements',
+  windowMaxElements: '/statistics_window_max_elements',
+  windowMinSize: '/statistics_window_min_size',
+  windowMaxSize: '/statistics_window_max_size'
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  windowMinElements: 10,
+  windowMaxElements: 100,
+  windowMinSize: 4,
+  windowMaxSize: 64
+};
+
+// statistics are never collected for these topics - /statistics would feed
+// itself and /clock is used to compute the times
+const IGNORED_TOPICS = ['/statistics', '/clock'];
+
+/**
+ * @returns {{mean: number, stddev: number, max: number}} statistics for the values (0 if empty)
+ */
+function summarize(values) {
+  if (values.length === 0) {
+    return {mean: 0, stddev: 0, max: 0};
+  }
+  // else
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+  return {
+    mean,
+    stddev: Math.sqrt(variance),
+    max: Math.max.apply(null, values)
+  };
+}
+
+/**
+ * Reads the stamp of a serialized message whose first field is a std_msgs/Header
+ * @param buffer {Buffer} serialized message (without its length)
+ * @returns {object|null} the stamp or null if the buffer is too short
+ */
+function readHeaderStamp(buffer) {
+  // uint32 seq, time stamp
+  if (buffer.length < 12) {
+    return null;
+  }
+  // else
+  return {secs: buffer.readUInt32LE(4), nsecs: buffer.readUInt32LE(8)};
+}
+
+//-----------------------------------------------------------------------
+
+/**
+ * @class TopicStatistics
+ * Collects statistics for each publisher connection of a subscriber over a window of time
+ * like roscpp's StatisticsLogger. Once a window is over, the statistics for it are returned
+ * as the fields of a rosgraph_msgs/TopicStatistics message. The window grows or shrinks
+ * (within windowMinSize and windowMaxSize seconds) to hold between windowMinElements and
+ * windowMaxElements messages.
+ */
+class TopicStatistics {
+  /**
+   * @param topic {string} topic of the subscriber
+   * @param nodeName {string} node of the subscriber
+   * @param settings {object} see DEFAULT_SETTINGS - kept up to date by the node
+   */
+  constructor(topic, nodeName, settings) {
+    this._topic = topic;
+    this._nodeName = nodeName;
+    this._settings = settings;
+
+    // seconds
+    this._windowSize = null;
+
+    // publisher caller id => current window
+    this._windows = new Map();
+  }
+
+  /**
+   * @returns {boolean} true if statistics should be collected for this subscriber
+   */
+  isEnabled() {
+    return !!this._settings.enabled && !IGNORED_TOPICS.includes(this._topic);
+  }
+
+  /**
+   * Records a message from a publisher. Expects the message to already be counted in stats.
+   * @param publisher {string} caller id of the publisher
+   * @param stats {ConnectionStats} traffic counters for the publisher's connection
+   * @param receivedTime {number} when the message was received (seconds)
+   * @param [stampAge] {number|null} receivedTime - the stamp of the message's header (seconds)
+   * @returns {object|null} statistics message if the publisher's window is over
+   */
+  record(publisher, stats, receivedTime, stampAge=null) {
+    if (this._windowSize === null) {
+      this._windowSize = this._settings.windowMinSize;
+    }
+
+    let window = this._windows.get(publisher);
+    if (!window) {
+      // the first window for a connection includes all of its traffic
+      window = this._startWindow(receivedTime, 0, 0);
+      this._windows.set(publisher, window);
+    }
+
+    window.arrivalTimes.push(receivedTime);
+    if (stampAge !== null) {
+      window.stampAges.push(stampAge);
+    }
+
+    if (window.start + this._windowSize >= receivedTime) {
+      return null;
+    }
+    // else
+    const msg = this._finishWindow(publisher, window, stats, receivedTime);
+    this._resizeWindow(window.arrivalTimes.length);
+    this._windows.set(publisher, this._startWindow(receivedTime, stats.bytesReceived, stats.drops));
+    return msg;
+  }
+
+  /**
+   * Forgets the current window for a publisher (e.g. when it disconnects)
+   * @param publisher {string} caller id of the publisher
+   */
+  removePublisher(publisher) {
+    this._windows.delete(publisher);
+  }
+
+  _startWindow(start, bytesReceived, drops) {
+    return {
+      start,
+      arrivalTimes: [],
+      stampAges: [],
+      bytesReceived,
+      drops
+    };
+  }
+
+  _finishWindow(publisher, window, stats, stop) {
+    const {arrivalTimes, stampAges} = window;
+    const periods = arrivalTimes.slice(1).map((time, index) => time - arrivalTimes[index]);
+    const period = summarize(periods);
+    const stampAge = summarize(stampAges);
+
+    return {
+      topic: this._topic,
+      node_pub: publisher,
+      node_sub: this._nodeName,
+      window_start: timeUtils.secsToRosTime(window.start),
+      window_stop: timeUtils.secsToRosTime(stop),
+      delivered_msgs: arrivalTimes.length,
+      dropped_msgs: stats.drops - window.drops,
+      traffic: stats.bytesReceived - window.bytesReceived,
+      period_mean: timeUtils.secsToRosTime(period.mean),
+      period_stddev: timeUtils.secsToRosTime(period.stddev),
+      period_max: timeUtils.secsToRosTime(period.max),
+      stamp_age_mean: timeUtils.secsToRosTime(stampAge.mean),
+      stamp_age_stddev: timeUtils.secsToRosTime(stampAge.stddev),
+      stamp_age_max: timeUtils.secsToRosTime(stampAge.max)
+    };
+  }
+
+  _resizeWindow(numMessages) {
+    const {windowMinElements, windowMaxElements, windowMinSize, windowMaxSize} = this._settings;
+    if (numMessages > windowMaxElements && this._windowSize / 2 >= windowMinSize) {
+      this._windowSize /= 2;
+    }
+    else if (numMessages < windowMinElements && this._windowSize * 2 <= windowMaxSize) {
+      this._windowSize *= 2;
+    }
+  }
+}
+
+TopicStatistics.PARAMS = PARAMS;
+TopicStatistics.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+TopicStatistics.readHeaderStamp = readHeaderStamp;
+
+module.exports = TopicStatistics;
@@ -51,6 +51,9 @@ class XmlrpcClient extends EventEmitter {
     this._timeoutId = null;
 
     this._failedAttempts = 0;
+
+    // true while waiting on a response for the call at the front of the queue
+    this._callInProgress = false;
   }
 
   getClient() {
@@ -84,8 +87,10 @@ class XmlrpcClient extends EventEmitter {
     // else
     const call = this._callQueue[0];
     this._log.info('Try execute call %s: %j', call.method, call.data);
+    this._callInProgress = true;
     call.call(this._xmlrpcClient)
     .then((resp) => {
+      this._callInProgress = false;
       // call succeeded, clean up and call its handler
       this._log.info('Call %s %j succeeded! %j', call.method, call.data, resp);
       this._shiftQueue();
@@ -93,6 +98,7 @@ class XmlrpcClient extends EventEmitter {
       call.resolve(resp);
     })
     .catch((err) => {
+      this._callInProgress = false;
       ++this._failedAttempts;
       this._log.info('Call %s %j failed! %s', call.method, call.data, err);
       if (err instanceof Error &&
@@ -113,7 +119,8 @@ class XmlrpcClient extends EventEmitter {
       }
     })
     .then(() => {
-      if (this._timeoutId === null && this._callQueue.length > 0) {
+      // a handler may have already started the next call by queueing it
+      if (!this._callInProgress && this._timeoutId === null && this._callQueue.length > 0) {
         this._tryExecuteCall();
       }
     });
@@ -130,14 +130,15 @@ class RosMsgSpec {
    * @param messageName {string} name of message
    * @param type {string} type of message (see MSG_TYPE, SRV_TYPE, ... above)
    * @param filePath {string|null} path to message file
+   * @param [fileContents] {string|null} message definition to parse instead of loading a file (messages only)
    * @returns {SrvSpec|MsgSpec|ActionSpec}
    */
-  static create(msgCache, packageName, messageName, type, filePath=null) {
+  static create(msgCache, packageName, messageName, type, filePath=null, fileContents=null) {
     switch (type) {
       case SRV_TYPE:
         return new SrvSpec(msgCache, packageName, messageName, type, filePath);
       case MSG_TYPE:
-        return new MsgSpec(msgCache, packageName, messageName, type, filePath);
+        return new MsgSpec(msgCache, packageName, messageName, type, filePath, fileContents);
       case ACTION_TYPE:
         return new ActionSpec(msgCache, packageName, messageName, type, filePath);
       default:
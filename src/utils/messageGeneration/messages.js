@@ -33,6 +33,20 @@ messages.getMessage = function(messageType, callback) {
   }
 };
 
+/** get a message handler class built from the full message definition
+ * (e.g. the message_definition field of a connection header). These classes
+ * are cached separately from the registry so they never shadow message
+ * packages that are available locally. */
+messages.getMessageFromDefinition = function(messageType, messageDefinition) {
+  const key = messageType + '\n' + messageDefinition;
+  let message = definitionCache.get(key);
+  if (!message) {
+    message = buildMessageFromDefinition(messageType, messageDefinition);
+    definitionCache.set(key, message);
+  }
+  return message;
+};
+
 /** ensure the handler for requests for this service type is in the
  * registry, create it if it doesn't exist */
 messages.getService = function(messageType, callback) {
@@ -73,6 +87,9 @@ messages.getAll = function() {
 // Registry
 
 var registry = {};
+
+// message type and definition => classdef for messages built from a full definition
+var definitionCache = new Map();
 /*
    registry looks like:
   { 'packagename':
@@ -191,6 +208,43 @@ function buildMessageFromSpec(msgSpec) {
   }
 };
 
+/* splits a full message definition (see MessageSpec.computeFullText) into
+ * specs for the message and each of its dependencies and builds classes for
+ * them that only reference each other */
+function buildMessageFromDefinition(messageType, messageDefinition) {
+  const specs = {};
+  const msgCache = {
+    getMessageSpec(type) {
+      if (!specs.hasOwnProperty(type)) {
+        throw new Error(`Definition of ${messageType} doesn't include ${type}`);
+      }
+      return specs[type];
+    }
+  };
+
+  messageDefinition.split(/^=+[ \t]*$/m).forEach((section, index) => {
+    let type = messageType;
+    if (index > 0) {
+      const match = section.match(/^\s*MSG:\s*(\S+)/);
+      if (!match) {
+        throw new Error(`Unable to parse definition of ${messageType}: missing MSG line`);
+      }
+      type = match[1];
+      section = section.substr(match.index + match[0].length);
+    }
+    specs[type] = MessageSpec.create(msgCache, getPackageNameFromMessageType(type),
+                                     getMessageNameFromMessageType(type),
+                                     MessageSpec.MSG_TYPE, null, section);
+  });
+
+  const classes = {};
+  const getMessageClass = (type) => { return classes[type]; };
+  Object.keys(specs).forEach((type) => {
+    classes[type] = buildMessageClass(specs[type], getMessageClass);
+  });
+  return classes[messageType];
+}
+
 function parseMessageFile(fileName, details, type, callback) {
   details = details || {};
   fs.readFile(fileName, 'utf8', function(error, content) {
@@ -439,8 +493,9 @@ function camelCase(underscoreWord, lowerCaseFirstLetter) {
 
 /** Construct the class definition for the given message type. The
  * resulting class holds the data and has the methods required for
- * use with ROS, incl. serialization, deserialization, and md5sum. */
-function buildMessageClass(msgSpec) {
+ * use with ROS, incl. serialization, deserialization, and md5sum.
+ * Classes for nested messages are looked up with getMessageClass. */
+function buildMessageClass(msgSpec, getMessageClass=getRegisteredMessage) {
 
   function Message(values) {
     if (!(this instanceof Message)) {
@@ -458,20 +513,20 @@ function buildMessageClass(msgSpec) {
             // values provided
             if (field.isArray) {
               that[field.name] = values[field.name].map(function(value) {
-                  return new (getMessageFromRegistry(field.baseType, 'msg'))(value);
+                  return new (getMessageClass(field.baseType))(value);
                 });
             } else {
               that[field.name] =
-                new (getMessageFromRegistry(field.baseType, 'msg'))(values[field.name]);
+                new (getMessageClass(field.baseType))(values[field.name]);
             }
           } else {
             // use defaults
             if (field.isArray) {
               // it's an array
               const length = field.arrayLen || 0;
-              that[field.name] = new Array(length).fill(new (getMessageFromRegistry(field.baseType, 'msg'))());
+              that[field.name] = new Array(length).fill(new (getMessageClass(field.baseType))());
             } else {
-              that[field.name] = new (getMessageFromRegistry(field.baseType, 'msg'))();
+              that[field.name] = new (getMessageClass(field.baseType))();
             }
           }
         } else {
@@ -508,7 +563,7 @@ function buildMessageClass(msgSpec) {
   Message.deserialize = function(buffer) {
     var message = new Message();
 
-    message = deserializeInnerMessage(msgSpec, message, buffer, [0]);
+    message = deserializeInnerMessage(msgSpec, message, buffer, [0], getMessageClass);
 
     return message;
   };
@@ -523,6 +578,10 @@ function buildMessageClass(msgSpec) {
 
 // ---------------------------------------------------------
 
+function getRegisteredMessage(messageType) {
+  return getMessageFromRegistry(messageType, 'msg');
+}
+
 function getMessageType(packageName, messageName) {
   return packageName ? packageName + '/' + messageName
     : messageName;
@@ -587,7 +646,7 @@ function serializeInnerMessage(spec, message, buffer, bufferOffset) {
 // ---------------------------------------------------------
 // Deserialize
 
-function deserializeInnerMessage(spec, message, buffer, bufferOffset) {
+function deserializeInnerMessage(spec, message, buffer, bufferOffset, getMessageClass) {
   spec.fields.forEach(function(field) {
     var fieldValue = message[field.name];
 
@@ -606,7 +665,7 @@ function deserializeInnerMessage(spec, message, buffer, bufferOffset) {
       let ArrayMsgClass;
       let isPrimitive = field.isBuiltin;
       if (!isPrimitive) {
-        ArrayMsgClass = getMessageFromRegistry(arrayType, 'msg');
+        ArrayMsgClass = getMessageClass(arrayType);
       }
 
       for (var i = 0; i < arraySize; i++) {
@@ -619,7 +678,7 @@ function deserializeInnerMessage(spec, message, buffer, bufferOffset) {
           var arrayMessage = new ArrayMsgClass();
 
           arrayMessage = deserializeInnerMessage(spec.getMsgSpecForType(arrayType),
-            arrayMessage, buffer, bufferOffset);
+            arrayMessage, buffer, bufferOffset, getMessageClass);
 
           array.push(arrayMessage);
         }
@@ -631,9 +690,9 @@ function deserializeInnerMessage(spec, message, buffer, bufferOffset) {
         field.type, buffer, bufferOffset)
     }
     else { // is message
-      var innerMessage = new getMessageFromRegistry(field.baseType, 'msg')();
+      var innerMessage = new (getMessageClass(field.baseType))();
       fieldValue = deserializeInnerMessage(spec.getMsgSpecForType(field.baseType),
-        innerMessage, buffer, bufferOffset);
+        innerMessage, buffer, bufferOffset, getMessageClass);
     }
 
     message[field.name] = fieldValue;
@@ -198,8 +198,9 @@ function findPackageInDirectory(directory, packageName, callback) {
 }
 
 function findPackagesInDirectory(directory) {
-  const promises = [];
-  promises.push(new Promise((resolve) => {
+  return new Promise((resolve) => {
+    // wait on the message walk for each package found, not just the package walk
+    const promises = [];
     packageWalk(directory)
       .on('package', (packageName, dir, fileName) => {
         packageName = packageName.toLowerCase();
@@ -232,10 +233,10 @@ function findPackagesInDirectory(directory) {
           }));
         }
       })
-      .on('end', resolve);
-  }));
-
-  return Promise.all(promises);
+      .on('end', () => {
+        resolve(Promise.all(promises));
+      });
+  });
 }
 
 function findPackageInDirectoryChain(directories, packageName, callback) {
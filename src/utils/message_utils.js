@@ -248,6 +248,74 @@ let MessageUtils = {
       // else
       return messagePackage.srv[type];
     }
+  },
+
+  /**
+   * Deep copies a message, keeping the classes of nested messages (and e.g. BN for 64 bit ints)
+   * @param msg {*}
+   * @returns {*}
+   */
+  copyMessage(msg) {
+    if (msg === null || typeof msg !== 'object') {
+      return msg;
+    }
+    else if (Buffer.isBuffer(msg)) {
+      return Buffer.from(msg);
+    }
+    else if (ArrayBuffer.isView(msg)) {
+      return msg.slice();
+    }
+    else if (Array.isArray(msg)) {
+      return msg.map((item) => this.copyMessage(item));
+    }
+    // else
+    const copy = Object.create(Object.getPrototypeOf(msg));
+    Object.keys(msg).forEach((key) => {
+      copy[key] = this.copyMessage(msg[key]);
+    });
+    return copy;
+  },
+
+  /**
+   * Deep freezes a message so that it can be shared without being modified.
+   * Typed arrays and Buffers (e.g. uint8[] fields) can't be frozen and are left as is.
+   * @param msg {*}
+   * @returns {*} the frozen message
+   */
+  freezeMessage(msg) {
+    if (msg === null || typeof msg !== 'object' || ArrayBuffer.isView(msg) || Object.isFrozen(msg)) {
+      return msg;
+    }
+    // else
+    Object.keys(msg).forEach((key) => {
+      this.freezeMessage(msg[key]);
+    });
+    return Object.freeze(msg);
+  },
+
+  /**
+   * Checks if the first field of a message is a std_msgs/Header
+   * @param typeClass {function} message class
+   * @returns {boolean}
+   */
+  hasHeader(typeClass) {
+    if (!typeClass || typeof typeClass.messageDefinition !== 'function') {
+      return false;
+    }
+    // else
+    const lines = typeClass.messageDefinition().split('\n');
+    for (let i = 0; i < lines.length; ++i) {
+      const line = lines[i].replace(/#.*/, '').trim();
+      if (/^=+$/.test(line)) {
+        // the rest of the definition is for nested messages
+        return false;
+      }
+      else if (line !== '' && line.indexOf('=') === -1) {
+        // first line that isn't a constant
+        return /^(std_msgs\/)?Header\s/.test(line);
+      }
+    }
+    return false;
   }
 };
 
@@ -7,7 +7,24 @@
  */
 function validate(name) {
   if ((typeof name === 'string') || (name instanceof String)) {
-    return !!name.match(/^[a-zA-Z/~][a-zA-Z0-9_/]*$/);
+    // first character must be alpha, '/' or '~' - subsequent characters alphanumeric, '_' or '/'
+    // empty name segments (e.g. /foo//bar) are not allowed either
+    return !!name.match(/^[a-zA-Z/~][a-zA-Z0-9_/]*$/) && name.indexOf('//') === -1;
+  }
+  // else
+  return false;
+}
+
+/**
+ * Check if a name is a valid base name (a name without any namespace,
+ * e.g. a node name). Base names can't contain '/' or '~'.
+ * http://wiki.ros.org/Names#Graph
+ * @param name {string}
+ * @returns {boolean} true if valid
+ */
+function validateBaseName(name) {
+  if ((typeof name === 'string') || (name instanceof String)) {
+    return !!name.match(/^[a-zA-Z][a-zA-Z0-9_]*$/);
   }
   // else
   return false;
@@ -18,24 +35,97 @@ function validate(name) {
  * http://wiki.ros.org/Names#Resolving
  * @param name {string} name to resolve
  * @param [namespace] {string} namespace for resolving relative names
- * @param [privateName] {string}
- * @returns {*}
+ * @param [nodeName] {string} fully resolved node name for resolving private names
+ * @param [remappings] {object} map of resolved names to their remapped value
+ * @returns {string}
  */
-function resolve(name, namespace, privateName) {
+function resolve(name, namespace, nodeName, remappings) {
+  let resolved;
   const first = name[0];
   if (first === '/') {
     // is a global namespace
-    return name;
+    resolved = name;
   }
   else if (first === '~') {
     // is a private namespace
-    return resolve(stripLeadingSlash(`${privateName}/${name.substr(1)}`), namespace);
+    resolved = join(nodeName, stripLeadingSlash(name.substr(1)));
   }
   else if (namespace) {
-    return `${namespace}/${name}`;
+    resolved = join(namespace, name);
+  }
+  else {
+    resolved = `/${name}`;
+  }
+
+  return remap(clean(resolved), remappings);
+}
+
+/**
+ * Looks up a resolved name in the provided remappings
+ * @param name {string} fully resolved name
+ * @param [remappings] {object} map of resolved names to their remapped value
+ * @returns {string} remapped name, or the original name if it wasn't remapped
+ */
+function remap(name, remappings) {
+  if (remappings && remappings.hasOwnProperty(name)) {
+    return remappings[name];
+  }
+  // else
+  return name;
+}
+
+/**
+ * Resolves both sides of each name remapping (e.g. from the command line)
+ * so that they can be matched against resolved names
+ * @param remappings {object} map of unresolved names to unresolved remapped names
+ * @param [namespace] {string} namespace of the node
+ * @param [nodeName] {string} fully resolved node name
+ * @returns {object}
+ */
+function resolveRemappings(remappings, namespace, nodeName) {
+  const resolved = {};
+  Object.keys(remappings).forEach((from) => {
+    const to = remappings[from];
+    resolved[resolve(from, namespace, nodeName)] = resolve(to, namespace, nodeName);
+  });
+  return resolved;
+}
+
+/**
+ * Get the namespace a resolved name lives in
+ *   e.g. /foo/bar => /foo, /bar => /
+ * @param name {string} fully resolved name
+ * @returns {string}
+ */
+function parentNamespace(name) {
+  const index = name.lastIndexOf('/');
+  if (index <= 0) {
+    return '/';
+  }
+  // else
+  return name.substr(0, index);
+}
+
+/**
+ * Removes any trailing slash from a resolved name
+ *   e.g. /foo/bar/ => /foo/bar
+ * @param name {string}
+ * @returns {string}
+ */
+function clean(name) {
+  if (name.length > 1 && name.endsWith('/')) {
+    return name.substr(0, name.length - 1);
+  }
+  // else
+  return name;
+}
+
+function join(namespace, name) {
+  if (namespace.endsWith('/')) {
+    return namespace + name;
   }
   // else
-  return `/${name}`;
+  return `${namespace}/${name}`;
 }
 
 function stripLeadingSlash(name) {
@@ -47,6 +137,11 @@ function stripLeadingSlash(name) {
 
 module.exports = {
   resolve,
+  remap,
+  resolveRemappings,
+  parentNamespace,
+  clean,
   validate,
+  validateBaseName,
   stripLeadingSlash
-};
\ No newline at end of file
+};
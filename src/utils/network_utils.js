@@ -18,12 +18,23 @@
 'use strict';
 
 let os = require('os');
+const {SPECIAL_KEYS} = require('./remapping_utils.js');
 
 const ROS_IP = process.env.ROS_IP;
 const ROS_HOSTNAME = process.env.ROS_HOSTNAME;
-const HOST = ROS_IP || ROS_HOSTNAME || os.hostname();
+let HOST = ROS_IP || ROS_HOSTNAME || os.hostname();
 
 let NetworkUtils = {
+  /**
+   * Sets the host this node advertises itself on. Command line
+   * remappings (__ip, __hostname) take precedence over environment variables.
+   * @param [specialKeys] {object} special key remappings from the command line
+   */
+  init(specialKeys={}) {
+    HOST = specialKeys[SPECIAL_KEYS.ip] || specialKeys[SPECIAL_KEYS.hostname]
+      || ROS_IP || ROS_HOSTNAME || os.hostname();
+  },
+
   /**
    * FIXME: should this just return ROS_IP?
    * get this computer's (non-internal) ip address
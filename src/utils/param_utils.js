@@ -0,0 +1,121 @@
+/*
+ *    Copyright 2017 Rethink Robotics
+ *
+ *    Copyright 2017 Chris Smith
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+'use strict';
+
+const parseParamValue = require('./remapping_utils.js').parseParamValue;
+
+//-----------------------------------------------------------------------
+
+/**
+ * Parameter types that values can be coerced to when retrieving them
+ */
+const TYPES = {
+  string: 'string',
+  number: 'number',
+  int: 'int',
+  boolean: 'boolean',
+  array: 'array',
+  object: 'object'
+};
+
+function isDict(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeError(key, value, type) {
+  const error = new Error(`Parameter [${key}] with value [${JSON.stringify(value)}] is not of type [${type}]`);
+  error.code = 'EPARAMTYPE';
+  return error;
+}
+
+/**
+ * Checks that a parameter value is of the requested type, converting it if it
+ * can be done unambiguously (e.g. '1.5' => 1.5, 3 => '3', 'true' => true).
+ * @param key {string} parameter name, used in error messages
+ * @param value {*} value returned by the parameter server
+ * @param type {string|function} one of TYPES or a function that returns the converted
+ *                               value and throws if the value is invalid
+ * @returns {*} converted value
+ * @throws {Error} with code EPARAMTYPE if the value can't be converted
+ */
+function coerce(key, value, type) {
+  if (typeof type === 'function') {
+    return type(value);
+  }
+
+  let converted;
+  switch (type) {
+    case TYPES.string:
+      if (typeof value === 'string') {
+        return value;
+      }
+      else if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+      }
+      break;
+    case TYPES.number:
+      converted = typeof value === 'string' ? parseParamValue(value) : value;
+      if (typeof converted === 'number') {
+        return converted;
+      }
+      break;
+    case TYPES.int:
+      converted = typeof value === 'string' ? parseParamValue(value) : value;
+      if (Number.isInteger(converted)) {
+        return converted;
+      }
+      break;
+    case TYPES.boolean:
+      converted = typeof value === 'string' ? parseParamValue(value) : value;
+      if (typeof converted === 'boolean') {
+        return converted;
+      }
+      break;
+    case TYPES.array:
+      if (Array.isArray(value)) {
+        return value;
+      }
+      break;
+    case TYPES.object:
+      if (isDict(value)) {
+        return value;
+      }
+      break;
+    default:
+      throw new Error(`Unknown parameter type [${type}]`);
+  }
+
+  throw typeError(key, value, type);
+}
+
+/**
+ * The parameter server responds with status -1 if a parameter isn't set
+ * @param err {Error} rejection from a parameter server call
+ * @returns {boolean}
+ */
+function isNotSetError(err) {
+  return !!err && err.code === 'EROSAPIERROR' && err.statusCode === -1;
+}
+
+//-----------------------------------------------------------------------
+
+module.exports = {
+  TYPES,
+  coerce,
+  isNotSetError
+};
@@ -0,0 +1,112 @@
+/*
+ *    Copyright 2017 Rethink Robotics
+ *
+ *    Copyright 2017 Chris Smith
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+'use strict';
+
+//-----------------------------------------------------------------------
+
+const REMAP_DELIMITER = ':=';
+
+/**
+ * Special keys that can be remapped from the command line
+ * http://wiki.ros.org/Remapping%20Arguments#Special_keys
+ */
+const SPECIAL_KEYS = {
+  name: '__name',
+  ns: '__ns',
+  master: '__master',
+  ip: '__ip',
+  hostname: '__hostname',
+  log: '__log'
+};
+
+/**
+ * Converts the string value of a private parameter remapping into
+ * a number or boolean if possible. Follows roscpp logic.
+ * @param value {string}
+ * @returns {number|boolean|string}
+ */
+function parseParamValue(value) {
+  if (/^[-+]?\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  else if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) {
+    return parseFloat(value);
+  }
+  else if (value === 'true') {
+    return true;
+  }
+  else if (value === 'false') {
+    return false;
+  }
+  // else
+  return value;
+}
+
+/**
+ * Parses ROS remapping arguments out of a list of command line arguments.
+ * Arguments are split into name remappings (foo:=bar), special keys (__name:=my_node)
+ * and private parameters (_param:=value).
+ * http://wiki.ros.org/Remapping%20Arguments
+ * @param args {Array} command line arguments (e.g. process.argv)
+ * @returns {{names: Object, special: Object, params: Object}}
+ */
+function processRemapping(args) {
+  const remappings = {
+    names: {},
+    special: {},
+    params: {}
+  };
+
+  if (!Array.isArray(args)) {
+    return remappings;
+  }
+
+  args.forEach((arg) => {
+    if (typeof arg !== 'string') {
+      return;
+    }
+
+    const index = arg.indexOf(REMAP_DELIMITER);
+    if (index <= 0) {
+      return;
+    }
+    // else
+    const from = arg.substr(0, index);
+    const to = arg.substr(index + REMAP_DELIMITER.length);
+
+    if (from.startsWith('__')) {
+      remappings.special[from] = to;
+    }
+    else if (from.startsWith('_')) {
+      remappings.params[from.substr(1)] = parseParamValue(to);
+    }
+    else {
+      remappings.names[from] = to;
+    }
+  });
+
+  return remappings;
+}
+
+//-----------------------------------------------------------------------
+
+module.exports = {
+  SPECIAL_KEYS,
+  processRemapping,
+  parseParamValue
+};
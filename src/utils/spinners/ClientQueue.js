@@ -30,7 +30,11 @@ class ClientQueue extends EventEmitter {
   push(item) {
     this._queue.push(item);
     if (this.length > this._queueSize) {
-      this._queue.shift();
+      const dropped = this._queue.shift();
+      // let clients that care know their message was never handled
+      if (typeof this._client._handleDroppedMessage === 'function') {
+        this._client._handleDroppedMessage(dropped);
+      }
     }
   }
 
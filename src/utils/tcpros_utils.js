@@ -30,6 +30,7 @@ const servicePrefix = 'service=';
 const typePrefix = 'type=';
 const latchingPrefix = 'latching=';
 const persistentPrefix = 'persistent=';
+const probePrefix = 'probe=';
 const errorPrefix = 'error=';
 const messageDefinitionPrefix = 'message_definition=';
 
@@ -49,6 +50,27 @@ function serializeStringFields(fields) {
   return buffer;
 }
 
+/**
+ * Appends extra key=value fields (e.g. from a publisher's headers option) to a connection header.
+ * Fields the header already has take precedence.
+ * @param fields {Array} fields of the connection header
+ * @param [extraFields] {object}
+ * @returns {Array} fields
+ */
+function addExtraFields(fields, extraFields) {
+  if (!extraFields) {
+    return fields;
+  }
+  // else
+  const keys = new Set(fields.map((field) => field.substr(0, field.indexOf('='))));
+  Object.keys(extraFields).forEach((key) => {
+    if (!keys.has(key)) {
+      fields.push(key + '=' + extraFields[key]);
+    }
+  });
+  return fields;
+}
+
 function deserializeStringFields(buffer) {
   const fields = [];
   const offset = [0];
@@ -66,7 +88,33 @@ function deserializeStringFields(buffer) {
  */
 let TcprosUtils = {
 
-  createSubHeader(callerId, md5sum, topic, type, messageDefinition) {
+  /**
+   * Checks that extra connection header fields can be sent and parsed by the other side
+   * @param extraFields {object} field name => value
+   * @throws {Error} if a field name isn't a word or a value is empty
+   */
+  validateExtraFields(extraFields) {
+    Object.keys(extraFields).forEach((key) => {
+      if (!/^\w+$/.test(key)) {
+        throw new Error(`Invalid connection header field name [${key}]`);
+      }
+      const value = extraFields[key];
+      if (value === null || value === undefined || String(value) === '') {
+        throw new Error(`Connection header field [${key}] needs a value`);
+      }
+    });
+  },
+
+  /**
+   * Creates a TCPROS connection header for a subscriber to send.
+   * @param callerId {string} node subscribing to this topic
+   * @param md5sum {string} md5 of the message
+   * @param topic {string}
+   * @param type {string} type of the message
+   * @param messageDefinition {string}
+   * @param [extraFields] {object} additional fields to include
+   */
+  createSubHeader(callerId, md5sum, topic, type, messageDefinition, extraFields=null) {
     const fields = [
       callerIdPrefix + callerId,
       md5Prefix + md5sum,
@@ -74,7 +122,7 @@ let TcprosUtils = {
       typePrefix + type,
       messageDefinitionPrefix + messageDefinition
     ];
-    return serializeStringFields(fields);
+    return serializeStringFields(addExtraFields(fields, extraFields));
   },
 
   /**
@@ -85,9 +133,9 @@ let TcprosUtils = {
    * @param latching {number} 0 or 1 indicating if the topic is latching
    * @param messageDefinition {string} trimmed message definition.
    *          rosbag relies on this being sent although it is not mentioned in the spec.
-   *
+   * @param [extraFields] {object} additional fields to include
    */
-  createPubHeader(callerId, md5sum, type, latching, messageDefinition) {
+  createPubHeader(callerId, md5sum, type, latching, messageDefinition, extraFields=null) {
     const fields = [
       callerIdPrefix + callerId,
       md5Prefix + md5sum,
@@ -95,10 +143,10 @@ let TcprosUtils = {
       latchingPrefix + latching,
       messageDefinitionPrefix + messageDefinition
     ];
-    return serializeStringFields(fields);
+    return serializeStringFields(addExtraFields(fields, extraFields));
   },
 
-  createServiceClientHeader(callerId, service, md5sum, type, persistent) {
+  createServiceClientHeader(callerId, service, md5sum, type, persistent, extraFields=null) {
     const fields = [
       callerIdPrefix + callerId,
       servicePrefix + service,
@@ -108,6 +156,22 @@ let TcprosUtils = {
     if (persistent) {
       fields.push(persistentPrefix + '1');
     }
+    return serializeStringFields(addExtraFields(fields, extraFields));
+  },
+
+  /**
+   * Creates a TCPROS connection header that asks a service server for its
+   * connection header (including its type) without making a call.
+   * @param callerId {string}
+   * @param service {string}
+   */
+  createServiceProbeHeader(callerId, service) {
+    const fields = [
+      callerIdPrefix + callerId,
+      servicePrefix + service,
+      md5Prefix + '*',
+      probePrefix + '1'
+    ];
     return serializeStringFields(fields);
   },
 
@@ -293,6 +357,17 @@ let TcprosUtils = {
     return msgBuffer;
   },
 
+  /**
+   * Prepends the message length to an already serialized message
+   * @param messageBuffer {Buffer}
+   * @returns {Buffer}
+   */
+  frameMessage(messageBuffer) {
+    const lengthBuffer = new Buffer(4);
+    base_serializers.uint32(messageBuffer.length, lengthBuffer, 0);
+    return Buffer.concat([lengthBuffer, messageBuffer]);
+  },
+
   serializeServiceResponse(ResponseClass, response, success, prependResponseInfo=true) {
     let responseBuffer;
     if (prependResponseInfo) {
@@ -307,12 +382,7 @@ let TcprosUtils = {
         ResponseClass.serialize(response, responseBuffer, 5);
       }
       else {
-        const errorMessage = 'Unable to handle service call';
-        const errLen = errorMessage.length;
-        // FIXME: check that we don't need the extra 4 byte message len here
-        responseBuffer = new Buffer(5 + errLen);
-        base_serializers.uint8(0, responseBuffer, 0);
-        base_serializers.string(errorMessage, responseBuffer, 1);
+        responseBuffer = this.serializeServiceError('Unable to handle service call');
       }
     }
     else {
@@ -322,6 +392,19 @@ let TcprosUtils = {
     return responseBuffer;
   },
 
+  /**
+   * Creates a failed service response
+   * @param errorMessage {string} passed on to the service client
+   * @returns {Buffer}
+   */
+  serializeServiceError(errorMessage) {
+    // the failure byte is followed by the length prefixed error message
+    const responseBuffer = new Buffer(5 + Buffer.byteLength(errorMessage));
+    base_serializers.uint8(0, responseBuffer, 0);
+    base_serializers.string(errorMessage, responseBuffer, 1);
+    return responseBuffer;
+  },
+
   deserializeMessage(MessageClass, messageBuffer) {
     return MessageClass.deserialize(messageBuffer, [0]);
   },
@@ -336,8 +419,12 @@ let TcprosUtils = {
     return base_deserializers.string(buffer, [0]);
   },
 
+  /**
+   * @param str {string} error message
+   * @returns {Buffer} serialized error field for a connection header
+   */
   createTcpRosError(str) {
-    return this.serializeString(`{errorPrefix}${str}`);
+    return this.serializeString(`${errorPrefix}${str}`);
   }
 };
 
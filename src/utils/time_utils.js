@@ -33,5 +33,16 @@ module.exports = {
 
   now() {
     return this.dateToRosTime(Date.now());
+  },
+
+  rosTimeToSecs(rosTime) {
+    return rosTime.secs + rosTime.nsecs / 1e9;
+  },
+
+  secsToRosTime(secs) {
+    const wholeSecs = Math.floor(secs);
+    // keep nsecs in [0, 1e9) even after rounding
+    const nsecs = Math.min(Math.round((secs - wholeSecs) * 1e9), 999999999);
+    return {'secs': wholeSecs, 'nsecs': nsecs};
   }
 };
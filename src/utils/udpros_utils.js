@@ -0,0 +1,278 @@
+/*
+ *    Copyright 2017 Rethink Robotics
+ *
+ *    Copyright 2017 Chris Smith
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+'use strict';
+
+const dgram = require('dgram');
+const dns = require('dns');
+const EventEmitter = require('events');
+
+//-----------------------------------------------------------------------
+
+// every datagram starts with an 8 byte header
+//   connection id (uint32), op code (uint8), message id (uint8), block number (uint16)
+const HEADER_LENGTH = 8;
+
+// op codes
+const DATA0 = 0; // first datagram of a message - block number is the total number of blocks
+const DATAN = 1; // subsequent datagrams of a message - block number is the index of this block
+const PING = 2;
+const ERR = 3;
+
+const DEFAULT_MAX_DATAGRAM_SIZE = 1500;
+
+/**
+ * Splits a serialized message into datagrams no larger than maxDatagramSize
+ * @param connectionId {number}
+ * @param messageId {number} 0-255
+ * @param buffer {Buffer} serialized message including its length
+ * @param maxDatagramSize {number}
+ * @returns {Array} datagram Buffers
+ */
+function createDatagrams(connectionId, messageId, buffer, maxDatagramSize) {
+  const blockSize = maxDatagramSize - HEADER_LENGTH;
+  const numBlocks = Math.max(1, Math.ceil(buffer.length / blockSize));
+  if (numBlocks > 0xffff) {
+    throw new Error(`Message of ${buffer.length} bytes is too large to send over UDPROS`);
+  }
+
+  const datagrams = [];
+  for (let block = 0; block < numBlocks; ++block) {
+    const data = buffer.slice(block * blockSize, (block + 1) * blockSize);
+    const datagram = Buffer.allocUnsafe(HEADER_LENGTH + data.length);
+    datagram.writeUInt32LE(connectionId, 0);
+    datagram.writeUInt8(block === 0 ? DATA0 : DATAN, 4);
+    datagram.writeUInt8(messageId, 5);
+    datagram.writeUInt16LE(block === 0 ? numBlocks : block, 6);
+    data.copy(datagram, HEADER_LENGTH);
+    datagrams.push(datagram);
+  }
+  return datagrams;
+}
+
+/**
+ * @param datagram {Buffer}
+ * @returns {object|null} {connectionId, opCode, messageId, blockNumber} or null if the datagram is too short
+ */
+function parseDatagramHeader(datagram) {
+  if (datagram.length < HEADER_LENGTH) {
+    return null;
+  }
+  // else
+  return {
+    connectionId: datagram.readUInt32LE(0),
+    opCode: datagram.readUInt8(4),
+    messageId: datagram.readUInt8(5),
+    blockNumber: datagram.readUInt16LE(6)
+  };
+}
+
+/**
+ * UDPROS connection headers are exchanged through requestTopic without the total length
+ * that prefixes TCPROS connection headers.
+ * @param tcprosHeader {Buffer} header from TcprosUtils
+ * @returns {Buffer}
+ */
+function toUdprosHeader(tcprosHeader) {
+  return tcprosHeader.slice(4);
+}
+
+//-----------------------------------------------------------------------
+
+/**
+ * @class DatagramAssembler
+ * Reassembles messages from the datagrams of a single UDPROS connection.
+ * Blocks must arrive in order - a message missing a block is dropped.
+ */
+class DatagramAssembler {
+  /**
+   * @param connectionId {number} connection id assigned by the publisher
+   */
+  constructor(connectionId) {
+    this._connectionId = connectionId;
+    this._reset();
+  }
+
+  _reset() {
+    this._messageId = null;
+    this._numBlocks = 0;
+    this._blocks = [];
+  }
+
+  /**
+   * @param datagram {Buffer}
+   * @returns {{message: (Buffer|null), dropped: number}} message is the complete serialized message
+   *          (without its length) if this datagram finished one. dropped is the number of incomplete
+   *          messages discarded while handling this datagram.
+   */
+  push(datagram) {
+    const header = parseDatagramHeader(datagram);
+    if (header === null || header.connectionId !== this._connectionId) {
+      return {message: null, dropped: 0};
+    }
+    // else
+    let dropped = 0;
+    const data = datagram.slice(HEADER_LENGTH);
+    if (header.opCode === DATA0) {
+      if (this._messageId !== null) {
+        ++dropped;
+      }
+      this._messageId = header.messageId;
+      this._numBlocks = header.blockNumber;
+      this._blocks = [data];
+    }
+    else if (header.opCode === DATAN) {
+      if (this._messageId === null) {
+        return {message: null, dropped};
+      }
+      else if (header.messageId !== this._messageId || header.blockNumber !== this._blocks.length) {
+        this._reset();
+        return {message: null, dropped: 1};
+      }
+      // else
+      this._blocks.push(data);
+    }
+    else {
+      // PING and ERR don't carry message data
+      return {message: null, dropped};
+    }
+
+    if (this._blocks.length < this._numBlocks) {
+      return {message: null, dropped};
+    }
+    // else
+    const buffer = Buffer.concat(this._blocks);
+    this._reset();
+
+    const length = buffer.length >= 4 ? buffer.readUInt32LE(0) : -1;
+    if (length !== buffer.length - 4) {
+      return {message: null, dropped: dropped + 1};
+    }
+    // else
+    return {message: buffer.slice(4), dropped};
+  }
+}
+
+//-----------------------------------------------------------------------
+
+/**
+ * @class DatagramSender
+ * Sends serialized messages to a single UDPROS subscriber. Looks enough like a
+ * TCPROS subscriber's socket for publishers to treat them the same way.
+ * Emits 'close' once the socket is closed, including when sending to the subscriber fails.
+ */
+class DatagramSender extends EventEmitter {
+  /**
+   * @param connectionId {number}
+   * @param maxDatagramSize {number}
+   */
+  constructor(connectionId, maxDatagramSize) {
+    super();
+
+    this.connectionId = connectionId;
+    this.maxDatagramSize = maxDatagramSize;
+
+    this._messageId = 0;
+    this._host = null;
+    this._port = null;
+    this._connected = false;
+    this._closed = false;
+
+    this._socket = dgram.createSocket('udp4');
+    this._socket.on('error', (err) => {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', err);
+      }
+      this.destroy();
+    });
+  }
+
+  /**
+   * Binds a local port to send to the subscriber from. Datagrams are addressed to
+   * the subscriber individually rather than through a connected socket. The host is
+   * resolved once up front - sending to a hostname looks it up again for every
+   * datagram, and those lookups can finish out of order.
+   * @param host {string}
+   * @param port {number}
+   * @returns {Promise} resolves with the local port
+   */
+  connect(host, port) {
+    this.name = `${host}:${port}`;
+    this._port = port;
+    return new Promise((resolve, reject) => {
+      dns.lookup(host, {family: 4}, (err, address) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        // else
+        this._host = address;
+        this._socket.once('error', reject);
+        this._socket.bind(0, () => {
+          this._socket.removeListener('error', reject);
+          this._connected = true;
+          resolve(this._socket.address().port);
+        });
+      });
+    });
+  }
+
+  get writable() {
+    return this._connected && !this._closed;
+  }
+
+  /**
+   * @param buffer {Buffer} serialized message including its length
+   */
+  write(buffer) {
+    const datagrams = createDatagrams(this.connectionId, this._messageId, buffer, this.maxDatagramSize);
+    this._messageId = (this._messageId + 1) & 0xff;
+    datagrams.forEach((datagram) => {
+      this._socket.send(datagram, 0, datagram.length, this._port, this._host);
+    });
+  }
+
+  setNoDelay() {}
+
+  end() {
+    this.destroy();
+  }
+
+  destroy() {
+    if (!this._closed) {
+      this._closed = true;
+      this._socket.close();
+      this.emit('close');
+    }
+  }
+}
+
+//-----------------------------------------------------------------------
+
+module.exports = {
+  HEADER_LENGTH,
+  DATA0,
+  DATAN,
+  PING,
+  ERR,
+  DEFAULT_MAX_DATAGRAM_SIZE,
+  createDatagrams,
+  parseDatagramHeader,
+  toUdprosHeader,
+  DatagramAssembler,
+  DatagramSender
+};
@@ -79,6 +79,29 @@ describe('GlobalSpinner', () => {
     })
   });
 
+  it('Dropped Messages', (done) => {
+    const client = new DummyClient();
+    const dropped = [];
+    client._handleDroppedMessage = (msg) => {
+      dropped.push(msg);
+    };
+
+    const messages = ["a", "b", "c", "d", "e"];
+
+    spinner.addClient(client, client.id, 3, 0);
+
+    messages.forEach((message) => {
+      spinner.ping(client.id, message);
+    });
+
+    expect(dropped).to.deep.equal([messages[0], messages[1]]);
+
+    spinner.once('tick', () => {
+      expect(handleList[0].queue.length).to.equal(3);
+      done();
+    });
+  });
+
   it('Locking', (done) => {
     const client = new DummyClient();
 
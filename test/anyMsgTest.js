@@ -0,0 +1,118 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const messages = require('../src/utils/messageGeneration/messages.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+const SEPARATOR = '='.repeat(80);
+const POLYGON_DEFINITION = [
+  'Header header',
+  'test_msgs/Point[] points',
+  'uint8 CLOSED=1',
+  SEPARATOR,
+  'MSG: std_msgs/Header',
+  'uint32 seq',
+  'time stamp',
+  'string frame_id',
+  SEPARATOR,
+  'MSG: test_msgs/Point',
+  'float64 x',
+  'float64 y'
+].join('\n');
+
+describe('AnyMsg subscribers', function () {
+  this.timeout(5000);
+
+  const {createNode} = useMaster(11245);
+
+  const topic = '/any';
+
+  let pubNode;
+  let subNode;
+  let pubNh;
+  let subNh;
+
+  beforeEach(() => {
+    pubNode = createNode('/anyPub');
+    subNode = createNode('/anySub');
+    pubNh = new NodeHandle(pubNode);
+    subNh = new NodeHandle(subNode);
+  });
+
+  function receiveOne(typeClass, msg, nh=subNh, pubOptions={}) {
+    const pub = pubNh.advertise(topic, typeClass, pubOptions);
+    return new Promise((resolve) => {
+      const sub = nh.subscribe(topic, '*', (received) => resolve({received, header}));
+      let header;
+      sub.once('connection', (connectionHeader) => {
+        header = connectionHeader;
+        pub.publish(msg);
+      });
+    });
+  }
+
+  it('Builds message classes from a message definition', () => {
+    const Polygon = messages.getMessageFromDefinition('test_msgs/Polygon', POLYGON_DEFINITION);
+    expect(Polygon.datatype()).to.equal('test_msgs/Polygon');
+    expect(Polygon.Constants.CLOSED).to.equal(1);
+    expect(messages.getMessageFromDefinition('test_msgs/Polygon', POLYGON_DEFINITION)).to.equal(Polygon);
+    expect(messages.getFromRegistry('test_msgs/Polygon', 'msg')).to.be.undefined;
+
+    const msg = new Polygon({header: {frame_id: 'map'}, points: [{x: 1, y: 2}]});
+    const buffer = Buffer.alloc(Polygon.getMessageSize(msg));
+    Polygon.serialize(msg, buffer, 0);
+    const deserialized = Polygon.deserialize(buffer);
+    expect(deserialized.header.frame_id).to.equal('map');
+    expect(deserialized.points[0].y).to.equal(2);
+    expect(deserialized.points[0].constructor.datatype()).to.equal('test_msgs/Point');
+
+    expect(() => messages.getMessageFromDefinition('test_msgs/Bad', 'test_msgs/Missing field'))
+      .to.throw();
+  });
+
+  it('Decodes messages using the publisher\'s definition', () => {
+    return receiveOne(TestMessages.String, {data: 'anything'})
+    .then(({received, header}) => {
+      expect(header.type).to.equal('test_msgs/String');
+      expect(subNode._subscribers[topic].getType()).to.equal('*');
+      expect(received.data).to.equal('anything');
+      expect(received.constructor.datatype()).to.equal('test_msgs/String');
+      expect(received.constructor.md5sum()).to.equal(TestMessages.String.md5sum());
+    });
+  });
+
+  it('Decodes nested messages', () => {
+    const Polygon = messages.getMessageFromDefinition('test_msgs/Polygon', POLYGON_DEFINITION);
+    const msg = {header: {seq: 3, stamp: {secs: 1, nsecs: 2}, frame_id: 'map'}, points: [{x: 1, y: 2}, {x: 3, y: 4}]};
+    return receiveOne(Polygon, msg)
+    .then(({received}) => {
+      expect(received.header.seq).to.equal(3);
+      expect(received.points.map(({x, y}) => [x, y])).to.deep.equal([[1, 2], [3, 4]]);
+    });
+  });
+
+  it('Passes on raw messages when the definition doesn\'t match', () => {
+    class Mismatched extends TestMessages.String {
+      static messageDefinition() {
+        return 'int32 data\n';
+      }
+    }
+
+    return receiveOne(Mismatched, {data: 'raw'})
+    .then(({received}) => {
+      expect(received).to.be.an.instanceof(Buffer);
+      expect(TestMessages.String.deserialize(received).data).to.equal('raw');
+    });
+  });
+
+  it('Receives intra-process messages', () => {
+    const msg = {data: 'local'};
+    return receiveOne(TestMessages.String, msg, pubNh, {intraProcess: true})
+    .then(({received}) => {
+      expect(received).to.equal(msg);
+    });
+  });
+});
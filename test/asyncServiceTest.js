@@ -0,0 +1,127 @@
+'use strict';
+
+const net = require('net');
+const chai = require('chai');
+const expect = chai.expect;
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const TcprosUtils = require('../src/utils/tcpros_utils.js');
+const {DeserializeStream} = require('../src/utils/serialization_utils.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('Asynchronous service handlers', function () {
+  this.timeout(5000);
+
+  const {createNode} = useMaster(11252);
+
+  const service = '/echo';
+  const srvType = TestMessages.Echo;
+
+  let serverNode;
+  let clientNode;
+  let serverNh;
+  let clientNh;
+
+  beforeEach(() => {
+    serverNode = createNode('/echoServer');
+    clientNode = createNode('/echoClient');
+    serverNh = new NodeHandle(serverNode);
+    clientNh = new NodeHandle(clientNode);
+  });
+
+  function advertise(callback) {
+    const server = serverNh.advertiseService(service, srvType, callback);
+    return new Promise((resolve) => server.once('registered', resolve));
+  }
+
+  function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  it('Waits for handlers that return promises', () => {
+    return advertise((req, resp) => {
+      return delay(20).then(() => {
+        resp.data = req.data.toUpperCase();
+        return true;
+      });
+    })
+    .then(() => clientNh.serviceClient(service, srvType).call({data: 'later'}))
+    .then((resp) => {
+      expect(resp.data).to.equal('LATER');
+    });
+  });
+
+  it('Sends failures with the error message', () => {
+    const client = clientNh.serviceClient(service, srvType, {persist: true});
+    return advertise((req) => {
+      if (req.data === 'throw') {
+        throw new Error('Handler threw');
+      }
+      else if (req.data === 'reject') {
+        return Promise.reject(new Error('Database unavailable'));
+      }
+      // else
+      return Promise.resolve(false);
+    })
+    .then(() => client.call({data: 'reject'}))
+    .then(() => {
+      throw new Error('Call should have failed');
+    }, (err) => {
+      expect(err.code).to.equal('E_ROSSERVICEFAILED');
+      expect(err.message).to.equal('Database unavailable');
+      return client.call({data: 'throw'});
+    })
+    .then(() => {
+      throw new Error('Call should have failed');
+    }, (err) => {
+      expect(err.message).to.equal('Handler threw');
+      return client.call({data: 'false'});
+    })
+    .then(() => {
+      throw new Error('Call should have failed');
+    }, (err) => {
+      expect(err.message).to.equal('Unable to handle service call');
+    });
+  });
+
+  it('Responds to persistent clients in order', () => {
+    const handled = [];
+    return advertise((req, resp) => {
+      // later requests finish first
+      return delay(req.data === 'first' ? 50 : 0).then(() => {
+        handled.push(req.data);
+        resp.data = req.data;
+        return true;
+      });
+    })
+    .then(() => {
+      // send both requests on one persistent connection without waiting for responses
+      const socket = net.connect(serverNode._tcprosPort, 'localhost');
+      const deserializer = new DeserializeStream();
+      socket.pipe(deserializer);
+
+      return new Promise((resolve) => {
+        const responses = [];
+        deserializer.once('message', () => {
+          deserializer.setServiceRespDeserialize();
+          deserializer.on('message', (msg) => {
+            responses.push(srvType.Response.deserialize(msg).data);
+            if (responses.length === 2) {
+              socket.destroy();
+              resolve(responses);
+            }
+          });
+        });
+
+        socket.write(TcprosUtils.createServiceClientHeader('/ordered', service, srvType.md5sum(),
+                                                           srvType.datatype(), true));
+        socket.write(TcprosUtils.serializeMessage(srvType.Request, {data: 'first'}));
+        socket.write(TcprosUtils.serializeMessage(srvType.Request, {data: 'second'}));
+      });
+    })
+    .then((responses) => {
+      expect(handled).to.deep.equal(['first', 'second']);
+      expect(responses).to.deep.equal(['first', 'second']);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+const net = require('net');
+const chai = require('chai');
+const expect = chai.expect;
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const TcprosUtils = require('../src/utils/tcpros_utils.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+// large enough that a few of them fill the socket's kernel buffers
+const MESSAGE_SIZE = 1024 * 1024;
+const NUM_MESSAGES = 40;
+
+describe('Slow subscribers', function () {
+  this.timeout(10000);
+
+  const {createNode} = useMaster(11249);
+
+  const typeClass = TestMessages.String;
+  const topic = '/large';
+
+  let node;
+  let nh;
+  let sockets;
+
+  beforeEach(() => {
+    node = createNode('/largePub');
+    nh = new NodeHandle(node);
+    sockets = [];
+  });
+
+  afterEach(() => {
+    sockets.forEach((socket) => socket.destroy());
+  });
+
+  // connects to the publisher without reading anything it sends
+  function connectStalledSubscriber(pub) {
+    return new Promise((resolve) => pub.once('registered', resolve))
+    .then(() => {
+      const socket = net.connect(node._tcprosPort, 'localhost');
+      socket.pause();
+      sockets.push(socket);
+      socket.write(TcprosUtils.createSubHeader('/stalled', typeClass.md5sum(), topic, typeClass.datatype()));
+      return new Promise((resolve) => pub.once('connection', resolve));
+    });
+  }
+
+  function getDrops(pub) {
+    return pub._impl.getStats().connections[0].drops;
+  }
+
+  // the publisher's socket for the stalled subscriber
+  function getClient(pub) {
+    const clients = pub._impl._subClients;
+    return clients[Object.keys(clients)[0]];
+  }
+
+  // returns the most bytes left buffered in the publisher's socket after any message
+  function publishLarge(pub) {
+    let maxBufferedBytes = 0;
+    for (let i = 0; i < NUM_MESSAGES; ++i) {
+      pub.publish({data: String(i).padEnd(MESSAGE_SIZE, '.')}, -1);
+      const client = getClient(pub);
+      if (client) {
+        maxBufferedBytes = Math.max(maxBufferedBytes, client.bufferSize);
+      }
+    }
+    return maxBufferedBytes;
+  }
+
+  // messages are only written while less than the limit is buffered
+  function expectLimited(bufferedBytes, maxBufferedBytes) {
+    expect(bufferedBytes).to.be.above(0);
+    expect(bufferedBytes).to.be.below(maxBufferedBytes + MESSAGE_SIZE + 100);
+  }
+
+  it('Validates the drop policy', () => {
+    expect(() => nh.advertise(topic, typeClass, {dropPolicy: 'dropAll'})).to.throw();
+  });
+
+  it('Drops new messages', () => {
+    const pub = nh.advertise(topic, typeClass, {maxBufferedBytes: MESSAGE_SIZE, dropPolicy: 'dropNewest'});
+    const drops = [];
+    pub.on('drop', (clientId, reason) => drops.push(reason));
+
+    let bufferedBytes;
+    return connectStalledSubscriber(pub)
+    .then(() => {
+      bufferedBytes = publishLarge(pub);
+      return new Promise((resolve) => setTimeout(resolve, 100));
+    })
+    .then(() => {
+      expectLimited(bufferedBytes, MESSAGE_SIZE);
+      expect(drops.length).to.be.above(0);
+      expect(drops.length).to.be.below(NUM_MESSAGES);
+      expect(drops.every((reason) => reason === 'dropNewest')).to.be.true;
+      expect(getDrops(pub)).to.equal(drops.length);
+    });
+  });
+
+  it('Keeps the newest messages', () => {
+    const pub = nh.advertise(topic, typeClass, {maxBufferedBytes: MESSAGE_SIZE});
+    let numDrops = 0;
+    pub.on('drop', (clientId, reason) => {
+      expect(reason).to.equal('dropOldest');
+      ++numDrops;
+    });
+
+    let socket;
+    let bufferedBytes;
+    return connectStalledSubscriber(pub)
+    .then(() => {
+      socket = sockets[0];
+      bufferedBytes = publishLarge(pub);
+      return new Promise((resolve) => setTimeout(resolve, 100));
+    })
+    .then(() => {
+      expectLimited(bufferedBytes, MESSAGE_SIZE);
+      expect(getClient(pub).$outboxBytes).to.be.below(MESSAGE_SIZE + 100);
+      expect(numDrops).to.be.above(0);
+      const expectedEnd = Buffer.from(String(NUM_MESSAGES - 1).padEnd(MESSAGE_SIZE, '.'));
+
+      // once the subscriber starts reading the last message should still make it through
+      let received = Buffer.alloc(0);
+      return new Promise((resolve) => {
+        socket.on('data', (data) => {
+          received = Buffer.concat([received.slice(-MESSAGE_SIZE), data]);
+          if (received.slice(-MESSAGE_SIZE).equals(expectedEnd)) {
+            resolve();
+          }
+        });
+        socket.resume();
+      });
+    });
+  });
+
+  it('Disconnects slow subscribers', () => {
+    const pub = nh.advertise(topic, typeClass, {maxBufferedBytes: MESSAGE_SIZE, dropPolicy: 'disconnect'});
+    const drops = [];
+    pub.on('drop', (clientId, reason) => drops.push(reason));
+
+    return connectStalledSubscriber(pub)
+    .then(() => {
+      const disconnected = new Promise((resolve) => pub.once('disconnect', resolve));
+      publishLarge(pub);
+      return disconnected;
+    })
+    .then(() => {
+      expect(drops[0]).to.equal('disconnect');
+      expect(pub.getNumSubscribers()).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const xmlrpc = require('xmlrpc');
+const RosNode = require('../src/lib/RosNode.js');
+const MasterStub = require('./utils/MasterStub.js');
+const TestMessages = require('./utils/TestMessages.js');
+
+const MASTER_PORT = 11236;
+const topic = '/stats_topic';
+
+describe('Bus Stats', function () {
+  this.timeout(5000);
+
+  let master;
+  let node;
+
+  before((done) => {
+    master = new MasterStub('localhost', MASTER_PORT);
+    master.provideAll();
+    master.once('ready', () => {
+      node = new RosNode('/statsNode', `http://localhost:${MASTER_PORT}`, {masterMonitorMs: 0});
+      done();
+    });
+  });
+
+  after(() => {
+    return node.shutdown()
+    .then(() => {
+      return master.shutdown();
+    });
+  });
+
+  it('Tracks publisher and subscriber connections', (done) => {
+    const typeClass = TestMessages.String;
+    // keep the connection on TCPROS so there are bytes to count
+    const pub = node.advertise({topic, type: typeClass.datatype(), typeClass, intraProcess: false});
+
+    pub.once('registered', () => {
+      const sub = node.subscribe({topic, type: typeClass.datatype(), typeClass, throttleMs: -1});
+
+      let numReceived = 0;
+      sub.on('message', (msg) => {
+        expect(msg.data).to.equal('hello');
+        ++numReceived;
+        if (numReceived === 2) {
+          const pubStats = pub.getStats();
+          expect(pubStats.messageDataSent).to.equal(2 * 13);
+          expect(pubStats.connections.length).to.equal(1);
+          expect(pubStats.connections[0].bytesSent).to.equal(2 * 13);
+          expect(pubStats.connections[0].messagesSent).to.equal(2);
+          expect(pubStats.connections[0].destination).to.equal('/statsNode');
+
+          const subStats = sub.getStats();
+          expect(subStats.connections.length).to.equal(1);
+          expect(subStats.connections[0].bytesReceived).to.equal(2 * 9);
+          expect(subStats.connections[0].messagesReceived).to.equal(2);
+          expect(subStats.connections[0].drops).to.equal(0);
+
+          const client = xmlrpc.createClient({host: 'localhost', port: node._xmlrpcPort});
+          client.methodCall('getBusStats', ['/caller'], (err, resp) => {
+            expect(err).to.be.null;
+            expect(resp[0]).to.equal(1);
+
+            const [publishStats, subscribeStats, serviceStats] = resp[2];
+            expect(publishStats).to.deep.equal([
+              [topic, 26, [[pubStats.connections[0].id, 26, 2, true]]]
+            ]);
+            expect(subscribeStats).to.deep.equal([
+              [topic, [[subStats.connections[0].id, 18, 2, 0, true]]]
+            ]);
+            expect(serviceStats).to.deep.equal([]);
+
+            client.methodCall('getBusInfo', ['/caller'], (err, resp) => {
+              expect(err).to.be.null;
+              const ids = resp[2].map((info) => info[0]).sort();
+              expect(ids).to.deep.equal([pubStats.connections[0].id, subStats.connections[0].id].sort());
+              done();
+            });
+          });
+        }
+      });
+
+      sub.once('connection', () => {
+        pub.publish({data: 'hello'}, -1);
+        pub.publish({data: 'hello'}, -1);
+      });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const cliUtils = require('../src/tools/cli_utils.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('CLI Utils', () => {
+
+  it('parseYaml', () => {
+    expect(cliUtils.parseYaml('{"a": [1, 2]}')).to.deep.equal({a: [1, 2]});
+    expect(cliUtils.parseYaml('{linear: {x: 1.0, y: -2}, frame: base_link}'))
+      .to.deep.equal({linear: {x: 1, y: -2}, frame: 'base_link'});
+    expect(cliUtils.parseYaml("[a, 'b, c', true, ~]")).to.deep.equal(['a', 'b, c', true, null]);
+    expect(cliUtils.parseYaml('data: hello world')).to.deep.equal({data: 'hello world'});
+    expect(cliUtils.parseYaml('linear:\n  x: 1\n  y: 2\nangular: {z: 3}'))
+      .to.deep.equal({linear: {x: 1, y: 2}, angular: {z: 3}});
+    expect(cliUtils.parseYaml('- a: 1\n  b: 2\n- 3')).to.deep.equal([{a: 1, b: 2}, 3]);
+    expect(cliUtils.parseYaml('hello')).to.equal('hello');
+    expect(cliUtils.parseYaml('1.5')).to.equal(1.5);
+    expect(cliUtils.parseYaml('')).to.be.null;
+    expect(() => cliUtils.parseYaml('{a: 1')).to.throw();
+  });
+
+  it('formatMessage', () => {
+    const msg = {
+      header: {seq: 1, frame_id: ''},
+      data: Buffer.from([1, 2]),
+      points: [{x: 1}, {x: 2}],
+      name: 'true'
+    };
+    expect(cliUtils.formatMessage(msg)).to.equal([
+      'header:',
+      '  seq: 1',
+      "  frame_id: ''",
+      'data:',
+      '  - 1',
+      '  - 2',
+      'points:',
+      '  - x: 1',
+      '  - x: 2',
+      "name: 'true'"
+    ].join('\n'));
+    expect(cliUtils.parseYaml(cliUtils.formatMessage(msg))).to.deep.equal(Object.assign({}, msg, {data: [1, 2]}));
+    expect(cliUtils.formatMessage(3)).to.equal('3');
+  });
+
+  it('splitTopicField', () => {
+    const topics = ['/odom', '/odom_filtered', '/odom/raw'];
+    expect(cliUtils.splitTopicField('/odom/pose/pose', topics)).to.deep.equal({topic: '/odom', field: ['pose', 'pose']});
+    expect(cliUtils.splitTopicField('/odom/raw/twist', topics)).to.deep.equal({topic: '/odom/raw', field: ['twist']});
+    expect(cliUtils.splitTopicField('/odom_filtered', topics)).to.deep.equal({topic: '/odom_filtered', field: []});
+    expect(cliUtils.splitTopicField('/missing', topics).topic).to.be.null;
+  });
+
+  it('getField', () => {
+    const msg = {pose: {position: {x: 1}}, data: [5, 6]};
+    expect(cliUtils.getField(msg, ['pose', 'position', 'x'])).to.equal(1);
+    expect(cliUtils.getField(msg, ['data', '1'])).to.equal(6);
+    expect(cliUtils.getField(msg, ['pose', 'orientation'])).to.be.undefined;
+  });
+
+  it('buildMessage', () => {
+    const String = TestMessages.String;
+    expect(cliUtils.buildMessage(String, ['{data: hi}']).data).to.equal('hi');
+    expect(cliUtils.buildMessage(String, ['hello']).data).to.equal('hello');
+    expect(cliUtils.buildMessage(String, []).data).to.equal('');
+    expect(() => cliUtils.buildMessage(String, ['a', 'b'])).to.throw(/Too many arguments/);
+  });
+
+  describe('probeService', function () {
+    this.timeout(5000);
+
+    const {createNode} = useMaster(11241);
+
+    it('Reads the service header', () => {
+      const node = createNode('/server');
+      const Empty = TestMessages.Empty;
+      const server = node.advertiseService({service: '/empty', type: Empty.datatype(), typeClass: Empty}, () => true);
+      return new Promise((resolve) => server.once('registered', resolve))
+      .then(() => node.lookupService('/empty'))
+      .then((resp) => cliUtils.probeService(resp[2], '/probe', '/empty'))
+      .then((header) => {
+        expect(header.callerid).to.equal('/server');
+        expect(header.type).to.equal('test_srvs/Empty');
+        expect(header.md5sum).to.equal(TestMessages.Empty.md5sum());
+      });
+    });
+  });
+});
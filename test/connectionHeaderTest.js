@@ -0,0 +1,75 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const TcprosUtils = require('../src/utils/tcpros_utils.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('Custom connection header fields', function () {
+  this.timeout(5000);
+
+  const {createNodeHandle} = useMaster(11248);
+
+  const typeClass = TestMessages.String;
+  const topic = '/headers';
+
+  function nextConnection(emitter) {
+    return new Promise((resolve) => emitter.once('connection', resolve));
+  }
+
+  it('Adds fields to connection headers', () => {
+    const buffer = TcprosUtils.createPubHeader('/node', 'abc', 'test_msgs/String', 0, 'string data',
+                                               {session_id: 42, callerid: '/imposter'});
+    // skip the length of the header
+    const header = TcprosUtils.parseTcpRosHeader(buffer.slice(4));
+    expect(header.session_id).to.equal('42');
+    expect(header.callerid).to.equal('/node');
+
+    expect(() => TcprosUtils.validateExtraFields({'bad key': 'value'})).to.throw();
+    expect(() => TcprosUtils.validateExtraFields({empty: ''})).to.throw();
+    expect(() => createNodeHandle('/invalid').advertise(topic, typeClass, {headers: {'a=b': 'c'}})).to.throw();
+  });
+
+  it('Exchanges fields between publishers and subscribers', () => {
+    const pub = createNodeHandle('/headerPub').advertise(topic, typeClass, {headers: {session_id: 'pub-session'}});
+    const sub = createNodeHandle('/headerSub').subscribe(topic, typeClass, null,
+                                                         {headers: {client: 'dashboard'}});
+
+    return Promise.all([nextConnection(pub), nextConnection(sub)])
+    .then(([subHeader, pubHeader]) => {
+      expect(subHeader.client).to.equal('dashboard');
+      expect(subHeader.callerid).to.equal('/headerSub');
+      expect(pubHeader.session_id).to.equal('pub-session');
+      expect(pubHeader.callerid).to.equal('/headerPub');
+    });
+  });
+
+  it('Includes fields for intra-process connections', () => {
+    const nh = createNodeHandle('/localHeaders');
+    const pub = nh.advertise(topic, typeClass, {headers: {session_id: 'local'}});
+    const sub = nh.subscribe(topic, typeClass, null, {headers: {client: 'local-client'}});
+
+    return Promise.all([nextConnection(pub), nextConnection(sub)])
+    .then(([subHeader, pubHeader]) => {
+      expect(subHeader.client).to.equal('local-client');
+      expect(pubHeader.session_id).to.equal('local');
+    });
+  });
+
+  it('Sends fields from service clients', () => {
+    const service = '/header_service';
+    const server = createNodeHandle('/headerServer').advertiseService(service, TestMessages.Empty, () => true);
+    const client = createNodeHandle('/headerClient').serviceClient(service, TestMessages.Empty,
+                                                                   {headers: {client: 'web'}});
+
+    return new Promise((resolve) => server.once('registered', resolve))
+    .then(() => Promise.all([nextConnection(server), nextConnection(client), client.call({})]))
+    .then(([clientHeader, serverHeader]) => {
+      expect(clientHeader.client).to.equal('web');
+      expect(clientHeader.callerid).to.equal('/headerClient');
+      expect(serverHeader.callerid).to.equal('/headerServer');
+      expect(serverHeader.type).to.equal('test_srvs/Empty');
+    });
+  });
+});
@@ -1,5 +1,28 @@
 require('./DeserializeStream.js');
 require('./namespaceTest.js');
+require('./remappingTest.js');
+require('./masterMonitorTest.js');
+require('./busStatsTest.js');
+require('./paramCacheTest.js');
+require('./paramTest.js');
+require('./masterTest.js');
+require('./graphTest.js');
+require('./multiNodeTest.js');
+require('./intraProcessTest.js');
+require('./udprosTest.js');
+require('./anyMsgTest.js');
+require('./topicStatisticsTest.js');
+require('./subscriberCallbacksTest.js');
+require('./connectionHeaderTest.js');
+require('./backpressureTest.js');
+require('./reconnectTest.js');
+require('./rawMessageTest.js');
+require('./asyncServiceTest.js');
+require('./serviceTimeoutTest.js');
+require('./serviceConcurrencyTest.js');
+require('./serviceWaitTest.js');
+require('./cliUtilsTest.js');
+require('./nodeToolTest.js');
 require('./SpinnerTest.js');
 require('./xmlrpcTest.js');
 require('./Log.js');
@@ -0,0 +1,143 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const xmlrpc = require('xmlrpc');
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('Graph Introspection', function () {
+  this.timeout(5000);
+
+  const typeClass = TestMessages.String;
+  const type = typeClass.datatype();
+
+  const fixture = useMaster(11240);
+
+  let talker;
+  let listener;
+  let nh;
+
+  function registerService(callerId, service) {
+    return new Promise((resolve, reject) => {
+      const client = xmlrpc.createClient({host: 'localhost', port: fixture.port});
+      client.methodCall('registerService', [callerId, service, 'rosrpc://host:1234', 'http://host:5678'],
+        (err, resp) => err ? reject(err) : resolve(resp));
+    });
+  }
+
+  before(() => {
+    talker = fixture.createNode('/talker');
+    listener = fixture.createNode('/listener');
+    nh = new NodeHandle(listener);
+
+    return new Promise((resolve) => {
+      const pub = talker.advertise({topic: '/chatter', type, typeClass});
+      pub.once('registered', () => {
+        const sub = listener.subscribe({topic: '/chatter', type, typeClass});
+        sub.once('registered', resolve);
+      });
+    })
+    .then(() => registerService('/server', '/add'));
+  });
+
+  it('getTopics', () => {
+    return nh.getTopics()
+    .then((topics) => {
+      expect(topics).to.deep.equal([
+        {name: '/chatter', type, publishers: ['/talker'], subscribers: ['/listener']}
+      ]);
+    });
+  });
+
+  it('getServices', () => {
+    return nh.getServices()
+    .then((services) => {
+      expect(services).to.deep.equal([{name: '/add', providers: ['/server']}]);
+    });
+  });
+
+  it('lookupService', () => {
+    return nh.lookupService('add')
+    .then((uri) => {
+      expect(uri).to.equal('rosrpc://host:1234');
+      return nh.lookupService('/missing')
+      .then(() => {
+        throw new Error('Should have rejected');
+      }, (err) => {
+        expect(err.code).to.equal('EROSAPIERROR');
+      });
+    });
+  });
+
+  it('getNodes', () => {
+    return nh.getNodes()
+    .then((nodes) => {
+      expect(nodes).to.deep.equal(['/listener', '/server', '/talker']);
+    });
+  });
+
+  it('getNodeInfo', () => {
+    return nh.getNodeInfo('talker')
+    .then((info) => {
+      expect(info).to.deep.equal({
+        name: '/talker',
+        uri: talker._getXmlrpcUri(),
+        publications: [{name: '/chatter', type}],
+        subscriptions: [],
+        services: []
+      });
+      return nh.getNodeInfo('/missing');
+    })
+    .then((info) => {
+      expect(info.uri).to.be.null;
+      expect(info.publications).to.deep.equal([]);
+    });
+  });
+
+  it('GraphWatcher', (done) => {
+    const watcher = nh.watchGraph({pollMs: 20});
+    let events = [];
+    ['topicAdded', 'topicRemoved', 'nodeAdded', 'nodeRemoved', 'serviceAdded',
+     'publisherAdded', 'publisherRemoved', 'subscriberAdded'].forEach((event) => {
+      watcher.on(event, (...args) => {
+        events.push([event, ...args.map((arg) => arg.name || arg)]);
+      });
+    });
+
+    watcher.once('change', () => {
+      expect(events).to.have.deep.members([
+        ['nodeAdded', '/listener'],
+        ['nodeAdded', '/server'],
+        ['nodeAdded', '/talker'],
+        ['topicAdded', '/chatter'],
+        ['publisherAdded', '/chatter', '/talker'],
+        ['subscriberAdded', '/chatter', '/listener'],
+        ['serviceAdded', '/add']
+      ]);
+      events = [];
+
+      talker.advertise({topic: '/news', type, typeClass});
+      watcher.once('change', () => {
+        expect(events).to.deep.equal([
+          ['topicAdded', '/news'],
+          ['publisherAdded', '/news', '/talker']
+        ]);
+        events = [];
+
+        talker.shutdown();
+        watcher.on('nodeRemoved', () => {
+          expect(events).to.have.deep.members([
+            ['publisherRemoved', '/chatter', '/talker'],
+            ['publisherRemoved', '/news', '/talker'],
+            ['topicRemoved', '/news'],
+            ['nodeRemoved', '/talker']
+          ]);
+          watcher.stop();
+          done();
+        });
+      });
+    });
+  });
+});
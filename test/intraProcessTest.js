@@ -0,0 +1,137 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('Intra-process', function () {
+  this.timeout(5000);
+
+  const {createNode} = useMaster(11243);
+
+  const typeClass = TestMessages.String;
+  const topic = '/intra';
+
+  let node;
+  let nh;
+
+  beforeEach(() => {
+    node = createNode('/intraNode');
+    nh = new NodeHandle(node);
+  });
+
+  function connect(pubOptions, subOptions={}) {
+    const pub = nh.advertise(topic, typeClass, Object.assign({intraProcess: true}, pubOptions));
+    const sub = nh.subscribe(topic, typeClass, null, subOptions);
+    return new Promise((resolve) => {
+      sub.once('connection', () => resolve({pub, sub}));
+    });
+  }
+
+  it('Passes message objects to subscribers in the same node', () => {
+    return connect({})
+    .then(({pub, sub}) => {
+      const msg = new typeClass({data: 'hello'});
+      return new Promise((resolve) => {
+        sub.once('message', (received) => {
+          expect(received).to.equal(msg);
+
+          const pubImpl = node.getPublisherImpl(topic);
+          expect(pubImpl._subClients).to.deep.equal({});
+          expect(pubImpl.getNumSubscribers()).to.equal(1);
+          expect(sub.getNumPublishers()).to.equal(1);
+
+          const connection = pubImpl.getStats().connections[0];
+          expect(connection.transport).to.equal('INTRAPROCESS');
+          expect(connection.messagesSent).to.equal(1);
+          resolve();
+        });
+        pub.publish(msg);
+      });
+    });
+  });
+
+  it('Copies messages', () => {
+    return connect({intraProcessCopy: 'copy'})
+    .then(({pub, sub}) => {
+      const msg = {data: 'copy'};
+      return new Promise((resolve) => {
+        sub.once('message', (received) => {
+          expect(received).to.not.equal(msg);
+          expect(received).to.deep.equal(msg);
+          resolve();
+        });
+        pub.publish(msg);
+      });
+    });
+  });
+
+  it('Freezes copies of messages', () => {
+    return connect({intraProcessCopy: 'freeze'})
+    .then(({pub, sub}) => {
+      const msg = {data: 'frozen'};
+      return new Promise((resolve) => {
+        sub.once('message', (received) => {
+          expect(Object.isFrozen(received)).to.be.true;
+          expect(received.data).to.equal('frozen');
+          expect(Object.isFrozen(msg)).to.be.false;
+          resolve();
+        });
+        pub.publish(msg);
+      });
+    });
+  });
+
+  it('Sends latched messages to new local subscribers', () => {
+    const pub = nh.advertise(topic, typeClass, {latching: true, intraProcess: true});
+    pub.publish({data: 'latched'}, -1);
+
+    return new Promise((resolve) => {
+      nh.subscribe(topic, typeClass, (msg) => {
+        expect(msg.data).to.equal('latched');
+        resolve();
+      });
+    });
+  });
+
+  it('Still serves remote subscribers', () => {
+    const remoteNode = createNode('/remoteNode');
+    const remoteNh = new NodeHandle(remoteNode);
+
+    return connect({})
+    .then(({pub, sub}) => {
+      const local = new Promise((resolve) => sub.once('message', resolve));
+      const remote = new Promise((resolve) => {
+        const remoteSub = remoteNh.subscribe(topic, typeClass, resolve);
+        remoteSub.once('connection', () => pub.publish({data: 'both'}));
+      });
+      return Promise.all([local, remote]);
+    })
+    .then(([localMsg, remoteMsg]) => {
+      expect(localMsg.data).to.equal('both');
+      expect(remoteMsg.data).to.equal('both');
+      return remoteNode.shutdown();
+    });
+  });
+
+  it('Is disabled by default', () => {
+    const pub = nh.advertise(topic, typeClass);
+    const sub = nh.subscribe(topic, typeClass);
+    return new Promise((resolve) => sub.once('connection', () => resolve({pub, sub})))
+    .then(({pub, sub}) => {
+      expect(Object.keys(node.getPublisherImpl(topic)._subClients)).to.have.lengthOf(1);
+
+      const msg = {data: 'tcpros'};
+      return new Promise((resolve) => {
+        sub.once('message', (received) => {
+          expect(received).to.not.equal(msg);
+          expect(received.data).to.equal('tcpros');
+          resolve();
+        });
+        pub.publish(msg);
+      });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const RosNode = require('../src/lib/RosNode.js');
+const MasterStub = require('./utils/MasterStub.js');
+
+const MASTER_PORT = 11235;
+
+describe('Master Monitor', function () {
+  this.timeout(5000);
+
+  let master;
+  let node;
+
+  function startMaster(pid, done) {
+    master = new MasterStub('localhost', MASTER_PORT, pid);
+    master.provideAll();
+    master.once('ready', done);
+  }
+
+  beforeEach((done) => {
+    startMaster(1, () => {
+      node = new RosNode('/monitorNode', `http://localhost:${MASTER_PORT}`, {masterMonitorMs: 20});
+      done();
+    });
+  });
+
+  afterEach(() => {
+    return node.shutdown()
+    .then(() => {
+      if (master) {
+        return master.shutdown();
+      }
+    });
+  });
+
+  it('Re-registers after master restarts', (done) => {
+    const typeClass = {};
+    node.advertise({topic: '/monitor_pub', type: 'std_msgs/String', typeClass});
+    node.subscribe({topic: '/monitor_sub', type: 'std_msgs/String', typeClass});
+    node.advertiseService({service: '/monitor_srv', type: 'std_srvs/Empty', typeClass}, () => true);
+
+    const registered = new Set();
+    let disconnected = false;
+
+    node.once('masterDisconnected', () => {
+      disconnected = true;
+      startMaster(2, () => {
+        ['registerPublisher', 'registerSubscriber', 'registerService'].forEach((api) => {
+          master._server.on(api, (err, params) => {
+            registered.add(params[1]);
+            if (registered.size === 3) {
+              expect(disconnected).to.be.true;
+              expect(node.isMasterConnected()).to.be.true;
+              done();
+            }
+          });
+        });
+      });
+    });
+
+    node.once('masterReconnected', (pid) => {
+      expect(pid).to.equal(2);
+    });
+
+    node.once('slaveApiSetupComplete', () => {
+      setTimeout(() => {
+        expect(node.isMasterConnected()).to.be.true;
+        const oldMaster = master;
+        master = null;
+        oldMaster.shutdown();
+      }, 50);
+    });
+  });
+
+  it('Detects restart from pid change', (done) => {
+    node.once('masterReconnected', (pid) => {
+      expect(pid).to.equal(2);
+      done();
+    });
+
+    setTimeout(() => {
+      // restart the master without the node noticing a disconnect
+      master._pid = 2;
+    }, 50);
+  });
+
+  it('Monitors the master unless disabled', () => {
+    const defaultNode = new RosNode('/defaultNode', `http://localhost:${MASTER_PORT}`);
+    const disabledNode = new RosNode('/disabledNode', `http://localhost:${MASTER_PORT}`, {masterMonitorMs: 0});
+
+    return new Promise((resolve) => setTimeout(resolve, 100))
+    .then(() => {
+      const connected = [defaultNode.isMasterConnected(), disabledNode.isMasterConnected()];
+      return Promise.all([defaultNode.shutdown(), disabledNode.shutdown()])
+      .then(() => {
+        expect(connected).to.deep.equal([true, false]);
+      });
+    });
+  });
+});
@@ -0,0 +1,283 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const xmlrpc = require('xmlrpc');
+const ParamServer = require('../src/lib/master/ParamServer.js');
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const SlaveApiClient = require('../src/lib/SlaveApiClient.js');
+const NetworkUtils = require('../src/utils/network_utils.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('RosMaster', () => {
+
+  describe('ParamServer', () => {
+    it('Stores nested parameters', () => {
+      const params = new ParamServer();
+      params.setParam('/robot/arm/joints', 7);
+      params.setParam('/robot/name', 'r2');
+
+      expect(params.getParam('/robot')).to.deep.equal({arm: {joints: 7}, name: 'r2'});
+      expect(params.getParam('/')).to.deep.equal({robot: {arm: {joints: 7}, name: 'r2'}});
+      expect(params.hasParam('/robot/arm')).to.be.true;
+      expect(params.hasParam('/robot/leg')).to.be.false;
+      expect(params.getParamNames().sort()).to.deep.equal(['/robot/arm/joints', '/robot/name']);
+
+      params.deleteParam('/robot/arm');
+      expect(params.getParam('/robot')).to.deep.equal({name: 'r2'});
+      expect(() => params.deleteParam('/robot/arm')).to.throw();
+    });
+
+    it('Searches up the namespace tree', () => {
+      const params = new ParamServer();
+      params.setParam('/a/b/c', 1);
+      params.setParam('/a/d', 2);
+      params.setParam('/e/f', 3);
+
+      expect(params.searchParam('/a/b/node', 'c')).to.equal('/a/b/c');
+      expect(params.searchParam('/a/b/node', 'd')).to.equal('/a/d');
+      expect(params.searchParam('/a/b/node', 'e/f')).to.equal('/e/f');
+      expect(params.searchParam('/a/b/node', 'e/g')).to.equal('/e/g');
+      expect(params.searchParam('/a/b/node', 'g')).to.be.null;
+      expect(params.searchParam('/a/b/node', '/a/d')).to.equal('/a/d');
+    });
+  });
+
+  describe('Master API', function () {
+    this.timeout(5000);
+
+    const fixture = useMaster(11239);
+    const createNode = fixture.createNode;
+
+    function callMaster(method, params) {
+      return new Promise((resolve, reject) => {
+        const client = xmlrpc.createClient({host: 'localhost', port: fixture.port});
+        client.methodCall(method, params, (err, resp) => {
+          if (err) {
+            reject(err);
+          }
+          else {
+            resolve(resp);
+          }
+        });
+      });
+    }
+
+    it('Parameters', () => {
+      const nh = new NodeHandle(createNode('/ns/paramNode'));
+      return nh.setParam('rate', 10)
+      .then(() => nh.setParam('~private', true))
+      .then(() => nh.getParam('/ns/rate'))
+      .then((value) => {
+        expect(value).to.equal(10);
+        return nh.getParam('/ns/paramNode/private');
+      })
+      .then((value) => {
+        expect(value).to.be.true;
+        return nh.searchParam('rate');
+      })
+      .then((key) => {
+        expect(key).to.equal('/ns/rate');
+        return nh.getParamNames();
+      })
+      .then((names) => {
+        expect(names.sort()).to.deep.equal(['/ns/paramNode/private', '/ns/rate']);
+        return nh.deleteParam('/ns');
+      })
+      .then(() => nh.hasParam('rate'))
+      .then((hasParam) => {
+        expect(hasParam).to.be.false;
+        return nh.getParam('rate', 5);
+      })
+      .then((value) => {
+        expect(value).to.equal(5);
+      });
+    });
+
+    it('Parameter subscriptions', () => {
+      const listener = new NodeHandle(createNode('/listener'));
+      const talker = new NodeHandle(createNode('/talker'));
+
+      function nextChange(key) {
+        return new Promise((resolve) => {
+          const callback = (value) => {
+            listener.removeParamChangeListener(key, callback);
+            resolve(value);
+          };
+          listener.onParamChange(key, callback);
+        });
+      }
+
+      return listener.onParamChange('/gains', () => {})
+      .then((value) => {
+        expect(value).to.be.undefined;
+        const change = nextChange('/gains');
+        return talker.setParam('/gains', {p: 1, i: 2}).then(() => change);
+      })
+      .then((value) => {
+        expect(value).to.deep.equal({p: 1, i: 2});
+        const change = nextChange('/gains');
+        return talker.setParam('/gains/p', 3).then(() => change);
+      })
+      .then((value) => {
+        expect(value).to.deep.equal({p: 3, i: 2});
+        const change = nextChange('/gains');
+        return talker.deleteParam('/gains').then(() => change);
+      })
+      .then((value) => {
+        expect(value).to.be.undefined;
+      });
+    });
+
+    it('Parameter update keys', () => {
+      const talker = new NodeHandle(createNode('/talker'));
+      const updates = [];
+      let server;
+      let api;
+
+      return new Promise((resolve) => {
+        server = xmlrpc.createServer({host: 'localhost', port: 0}, resolve);
+        server.on('paramUpdate', (err, params, callback) => {
+          updates.push(params.slice(1));
+          callback(null, [1, '', 0]);
+        });
+      })
+      .then(() => {
+        api = `http://localhost:${server.httpServer.address().port}/`;
+        return Promise.all([
+          callMaster('subscribeParam', ['/spy', api, '/robot']),
+          callMaster('subscribeParam', ['/spy', api, '/robot/arm/joints'])
+        ]);
+      })
+      .then(() => talker.setParam('/robot/arm', {joints: 6}))
+      .then(() => talker.deleteParam('/robot/arm'))
+      .then(() => new Promise((resolve) => setTimeout(resolve, 100)))
+      .then(() => {
+        expect(updates).to.have.deep.members([
+          ['/robot/arm/', {}],
+          ['/robot/arm/', {joints: 6}],
+          ['/robot/arm/joints/', 6],
+          ['/robot/arm/joints/', {}]
+        ]);
+        return Promise.all([
+          callMaster('unsubscribeParam', ['/spy', api, '/robot']),
+          callMaster('unsubscribeParam', ['/spy', api, '/robot/arm/joints'])
+        ]);
+      })
+      .then(() => new Promise((resolve) => server.close(resolve)));
+    });
+
+    it('Topics', (done) => {
+      const topic = '/chatter';
+      const typeClass = TestMessages.String;
+      const talker = createNode('/talker');
+      const listener = createNode('/listener');
+
+      const sub = listener.subscribe({topic, type: typeClass.datatype(), typeClass, throttleMs: -1});
+      sub.once('registered', () => {
+        const pub = talker.advertise({topic, type: typeClass.datatype(), typeClass});
+        pub.once('connection', () => {
+          pub.publish({data: 'hello'});
+        });
+      });
+
+      sub.once('message', (msg) => {
+        expect(msg.data).to.equal('hello');
+
+        callMaster('getSystemState', ['/test'])
+        .then((resp) => {
+          expect(resp[0]).to.equal(1);
+          const [pubs, subs, services] = resp[2];
+          expect(pubs).to.deep.equal([[topic, ['/talker']]]);
+          expect(subs).to.deep.equal([[topic, ['/listener']]]);
+          expect(services).to.deep.equal([]);
+          return callMaster('getPublishedTopics', ['/test', '']);
+        })
+        .then((resp) => {
+          expect(resp[2]).to.deep.equal([[topic, typeClass.datatype()]]);
+          return callMaster('lookupNode', ['/test', '/talker']);
+        })
+        .then((resp) => {
+          expect(resp[2]).to.equal(talker._getXmlrpcUri());
+
+          const disconnected = new Promise((resolve) => listener._subscribers[topic].once('disconnect', resolve));
+          return Promise.all([disconnected, talker.unadvertise(topic)]);
+        })
+        .then(() => done(), done);
+      });
+    });
+
+    it('Services', () => {
+      return callMaster('registerService', ['/server', '/add', 'rosrpc://host:1234', 'http://host:5678'])
+      .then(() => callMaster('lookupService', ['/client', 'add']))
+      .then((resp) => {
+        expect(resp).to.deep.equal([1, 'rosrpc URI: [rosrpc://host:1234]', 'rosrpc://host:1234']);
+        return callMaster('unregisterService', ['/server', '/add', 'rosrpc://host:1234']);
+      })
+      .then((resp) => {
+        expect(resp[2]).to.equal(1);
+        return callMaster('lookupService', ['/client', '/add']);
+      })
+      .then((resp) => {
+        expect(resp[0]).to.equal(-1);
+        return callMaster('lookupNode', ['/client', '/server']);
+      })
+      .then((resp) => {
+        expect(resp[0]).to.equal(-1);
+      });
+    });
+
+    it('Slave API', (done) => {
+      const topic = '/slave_topic';
+      const typeClass = TestMessages.String;
+      const talker = createNode('/talker');
+
+      const pub = talker.advertise({topic, type: typeClass.datatype(), typeClass});
+      pub.once('registered', () => {
+        const {host, port} = NetworkUtils.getAddressAndPortFromUri(talker._getXmlrpcUri());
+        const slaveApi = new SlaveApiClient(host, port);
+
+        slaveApi.getPid('/test')
+        .then((resp) => {
+          expect(resp[2]).to.equal(process.pid);
+          return slaveApi.getMasterUri('/test');
+        })
+        .then((resp) => {
+          expect(resp[2]).to.equal(fixture.uri);
+          return slaveApi.getPublications('/test');
+        })
+        .then((resp) => {
+          expect(resp[2]).to.deep.equal([[topic, typeClass.datatype()]]);
+          return slaveApi.getSubscriptions('/test');
+        })
+        .then((resp) => {
+          expect(resp[2]).to.deep.equal([]);
+          return slaveApi.getBusInfo('/test');
+        })
+        .then((resp) => {
+          expect(resp[2]).to.deep.equal([]);
+          talker.once('shutdown', () => done());
+          return slaveApi.shutdown('/test', 'testing');
+        })
+        .catch(done);
+      });
+    });
+
+    it('Replaces nodes with the same name', (done) => {
+      const oldNode = createNode('/duplicate');
+      oldNode.once('shutdown', () => {
+        expect(oldNode.isShutdown()).to.be.true;
+        done();
+      });
+
+      const topic = '/duplicate_topic';
+      const typeClass = TestMessages.String;
+      const pub = oldNode.advertise({topic, type: typeClass.datatype(), typeClass});
+      pub.once('registered', () => {
+        const newNode = createNode('/duplicate');
+        newNode.advertise({topic, type: typeClass.datatype(), typeClass});
+      });
+    });
+  });
+});
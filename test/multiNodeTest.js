@@ -0,0 +1,96 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const rosnodejs = require('../src/index.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('Multiple nodes', function () {
+  this.timeout(5000);
+
+  const typeClass = TestMessages.String;
+
+  const {uri} = useMaster(11242);
+
+  function initNode(name, argv=[]) {
+    return rosnodejs.initNode(name, {
+      argv,
+      rosMasterUri: uri,
+      logging: {skipRosLogging: true},
+      node: {masterMonitorMs: 0}
+    });
+  }
+
+  afterEach(() => {
+    return rosnodejs.shutdown()
+    .then(() => {
+      rosnodejs.reset();
+    });
+  });
+
+  it('Runs several nodes in one process', (done) => {
+    Promise.all([initNode('talker'), initNode('listener')])
+    .then(([talker, listener]) => {
+      expect(talker.getNodeName()).to.equal('/talker');
+      expect(listener.getNodeName()).to.equal('/listener');
+      expect(rosnodejs.nh.getNodeName()).to.equal('/talker');
+      expect(rosnodejs.getNodeNames().sort()).to.deep.equal(['/listener', '/talker']);
+      expect(talker._node._xmlrpcPort).to.not.equal(listener._node._xmlrpcPort);
+      expect(talker._node.getSpinner()).to.not.equal(listener._node.getSpinner());
+
+      return initNode('listener')
+      .then((nh) => {
+        expect(nh._node).to.equal(listener._node);
+
+        const pub = talker.advertise('/chatter', typeClass);
+        pub.once('connection', () => {
+          pub.publish({data: 'hello'});
+        });
+
+        listener.subscribe('/chatter', typeClass, (msg) => {
+          expect(msg.data).to.equal('hello');
+          done();
+        });
+      });
+    })
+    .catch(done);
+  });
+
+  it('Shuts down nodes independently', () => {
+    let talker;
+    let listener;
+    return Promise.all([initNode('talker'), initNode('listener')])
+    .then((nodeHandles) => {
+      [talker, listener] = nodeHandles;
+      return rosnodejs.shutdownNode('/listener');
+    })
+    .then(() => {
+      expect(listener.isShutdown()).to.be.true;
+      expect(talker.isShutdown()).to.be.false;
+      expect(rosnodejs.getNodeNames()).to.deep.equal(['/talker']);
+      return talker.getNodes();
+    })
+    .then((nodes) => {
+      expect(nodes).to.not.include('/listener');
+      return rosnodejs.shutdown();
+    })
+    .then(() => {
+      expect(talker.isShutdown()).to.be.true;
+      expect(rosnodejs.getNodeNames()).to.deep.equal([]);
+    });
+  });
+
+  it('Sets up every node', () => {
+    const argv = ['node', 'script', '_rate:=5'];
+    return Promise.all([initNode('talker', argv), initNode('listener', argv)])
+    .then(([talker, listener]) => {
+      expect(talker._node._log.getName()).to.equal('ros.rosnodejs');
+      expect(listener._node._log.getName()).to.equal('ros.rosnodejs.listener');
+      return Promise.all([talker.getParam('~rate'), listener.getParam('~rate')]);
+    })
+    .then((rates) => {
+      expect(rates).to.deep.equal([5, 5]);
+    });
+  });
+});
@@ -20,11 +20,28 @@ describe('Namespace', function () {
     expect(namespaceUtils.validate({})).to.be.false;
     expect(namespaceUtils.validate(1)).to.be.false;
     expect(namespaceUtils.validate('/my-node')).to.be.false;
+    expect(namespaceUtils.validate('1hi')).to.be.false;
+    expect(namespaceUtils.validate('/hi//there')).to.be.false;
+    expect(namespaceUtils.validate('/hi/~there')).to.be.false;
 
     expect(namespaceUtils.validate('hi')).to.be.true;
     expect(namespaceUtils.validate('/hi')).to.be.true;
     expect(namespaceUtils.validate('~hi')).to.be.true;
     expect(namespaceUtils.validate('~a_z09asdf')).to.be.true;
+    expect(namespaceUtils.validate('/hi/there/')).to.be.true;
+    expect(namespaceUtils.validate('/')).to.be.true;
+  });
+
+  it('Validate Base Name', () => {
+    expect(namespaceUtils.validateBaseName('')).to.be.false;
+    expect(namespaceUtils.validateBaseName(null)).to.be.false;
+    expect(namespaceUtils.validateBaseName('/hi')).to.be.false;
+    expect(namespaceUtils.validateBaseName('~hi')).to.be.false;
+    expect(namespaceUtils.validateBaseName('hi/there')).to.be.false;
+    expect(namespaceUtils.validateBaseName('_hi')).to.be.false;
+
+    expect(namespaceUtils.validateBaseName('hi')).to.be.true;
+    expect(namespaceUtils.validateBaseName('hi_there_2')).to.be.true;
   });
 
 
@@ -37,7 +54,35 @@ describe('Namespace', function () {
 
       expect(namespaceUtils.resolve('bar', '/scope_1', '/test_node')).to.equal('/scope_1/bar');
       expect(namespaceUtils.resolve('/bar', '/scope_1', '/test_node')).to.equal('/bar');
-      expect(namespaceUtils.resolve('~bar', '/scope_1', '/test_node')).to.equal('/scope_1/test_node/bar');
+      expect(namespaceUtils.resolve('~bar', '/scope_1', '/test_node')).to.equal('/test_node/bar');
+      expect(namespaceUtils.resolve('~bar', null, '/scope_1/test_node')).to.equal('/scope_1/test_node/bar');
+
+      expect(namespaceUtils.resolve('bar', '/', '/test_node')).to.equal('/bar');
+      expect(namespaceUtils.resolve('bar/', '/scope_1', '/test_node')).to.equal('/scope_1/bar');
+      expect(namespaceUtils.resolve('~', null, '/test_node')).to.equal('/test_node');
+      expect(namespaceUtils.resolve('~/bar', null, '/test_node')).to.equal('/test_node/bar');
+    });
+
+    it('Remapping', () => {
+      const remappings = namespaceUtils.resolveRemappings({
+        foo: 'bar',
+        '~baz': '/qux'
+      }, '/scope_1', '/scope_1/test_node');
+
+      expect(remappings).to.deep.equal({
+        '/scope_1/foo': '/scope_1/bar',
+        '/scope_1/test_node/baz': '/qux'
+      });
+
+      expect(namespaceUtils.resolve('foo', '/scope_1', '/scope_1/test_node', remappings)).to.equal('/scope_1/bar');
+      expect(namespaceUtils.resolve('/scope_1/foo', null, '/scope_1/test_node', remappings)).to.equal('/scope_1/bar');
+      expect(namespaceUtils.resolve('~baz', '/scope_1', '/scope_1/test_node', remappings)).to.equal('/qux');
+      expect(namespaceUtils.resolve('foo', null, '/scope_1/test_node', remappings)).to.equal('/foo');
+    });
+
+    it('Parent Namespace', () => {
+      expect(namespaceUtils.parentNamespace('/test_node')).to.equal('/');
+      expect(namespaceUtils.parentNamespace('/scope_1/test_node')).to.equal('/scope_1');
     });
 
     it('Default Nodehandle', () => {
@@ -54,7 +99,71 @@ describe('Namespace', function () {
 
       expect(nodeHandle._resolve('bar')).to.equal('/scope_1/bar');
       expect(nodeHandle._resolve('/bar')).to.equal('/bar');
-      expect(nodeHandle._resolve('~bar')).to.equal('/scope_1/test_node/bar');
+      expect(nodeHandle._resolve('~bar')).to.equal('/test_node/bar');
+      expect(nodeHandle.resolveName('bar')).to.equal('/scope_1/bar');
+    });
+
+    it('Invalid Names', () => {
+      _setupNodeHandle();
+
+      expect(() => nodeHandle._resolve('my-topic')).to.throw(Error);
+      expect(() => nodeHandle._resolve('')).to.throw(Error);
+    });
+
+    describe('Namespaced Node', () => {
+      const node = {
+        getNodeName() { return '/robot/test_node'; },
+        getNamespace() { return '/robot'; },
+        getRemappings() { return {}; }
+      };
+
+      it('Default Nodehandle', () => {
+        const nh = new NodeHandle(node);
+
+        expect(nh.getNamespace()).to.equal('/robot');
+        expect(nh._resolve('bar')).to.equal('/robot/bar');
+        expect(nh._resolve('/bar')).to.equal('/bar');
+        expect(nh._resolve('~bar')).to.equal('/robot/test_node/bar');
+      });
+
+      it('Relative Nodehandle', () => {
+        const nh = new NodeHandle(node, 'arm');
+
+        expect(nh.getNamespace()).to.equal('/robot/arm');
+        expect(nh._resolve('bar')).to.equal('/robot/arm/bar');
+        expect(nh._resolve('~bar')).to.equal('/robot/test_node/bar');
+      });
+
+      it('Private Nodehandle', () => {
+        const nh = new NodeHandle(node, '~');
+
+        expect(nh.getNamespace()).to.equal('/robot/test_node');
+        expect(nh._resolve('bar')).to.equal('/robot/test_node/bar');
+      });
+
+      it('Nested Nodehandles', () => {
+        const nh = new NodeHandle(node);
+        const armNh = nh.getNodeHandle('arm');
+        const gripperNh = armNh.getNodeHandle('gripper');
+        const globalNh = armNh.getNodeHandle('/global');
+        const privateNh = armNh.getNodeHandle('~params');
+
+        expect(armNh.getNamespace()).to.equal('/robot/arm');
+        expect(gripperNh.getNamespace()).to.equal('/robot/arm/gripper');
+        expect(gripperNh._resolve('bar')).to.equal('/robot/arm/gripper/bar');
+        expect(globalNh.getNamespace()).to.equal('/global');
+        expect(privateNh.getNamespace()).to.equal('/robot/test_node/params');
+      });
+
+      it('Remapped Nodehandle', () => {
+        const remappedNode = Object.assign({}, node, {
+          getRemappings() { return {'/robot/arm': '/robot/left_arm'}; }
+        });
+        const nh = new NodeHandle(remappedNode).getNodeHandle('arm');
+
+        expect(nh.getNamespace()).to.equal('/robot/left_arm');
+        expect(nh._resolve('bar')).to.equal('/robot/left_arm/bar');
+      });
     });
   });
 });
@@ -0,0 +1,101 @@
+'use strict';
+
+const path = require('path');
+const childProcess = require('child_process');
+const chai = require('chai');
+const expect = chai.expect;
+const xmlrpc = require('xmlrpc');
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+const NODE_TOOL = path.join(__dirname, '../src/tools/node.js');
+
+describe('rosnodejs-node', function () {
+  this.timeout(10000);
+
+  const fixture = useMaster(11256);
+
+  let talker;
+
+  function runTool(...args) {
+    return new Promise((resolve, reject) => {
+      const env = Object.assign({}, process.env, {ROS_MASTER_URI: fixture.uri});
+      childProcess.execFile(process.execPath, [NODE_TOOL, ...args], {env, timeout: 8000}, (err, stdout, stderr) => {
+        if (err) {
+          reject(new Error(`${args.join(' ')} failed: ${stderr || err.message}`));
+        }
+        else {
+          resolve(stdout.trim().split('\n'));
+        }
+      });
+    });
+  }
+
+  function callMaster(method, params) {
+    return new Promise((resolve, reject) => {
+      const client = xmlrpc.createClient({host: 'localhost', port: fixture.port});
+      client.methodCall(method, params, (err, resp) => err ? reject(err) : resolve(resp));
+    });
+  }
+
+  beforeEach(() => {
+    talker = fixture.createNode('/talker');
+    const pub = new NodeHandle(talker).advertise('/chatter', TestMessages.String);
+    return new Promise((resolve) => pub.once('registered', resolve));
+  });
+
+  it('list', () => {
+    const uri = talker._getXmlrpcUri();
+    return runTool('list')
+    .then((lines) => {
+      expect(lines).to.deep.equal(['/talker']);
+      return runTool('list', '-u');
+    })
+    .then((lines) => {
+      expect(lines).to.deep.equal([uri]);
+      return runTool('list', '-a');
+    })
+    .then((lines) => {
+      expect(lines).to.deep.equal([`${uri}\t/talker`]);
+    });
+  });
+
+  it('ping', () => {
+    return runTool('ping', '-c', '1', 'talker')
+    .then((lines) => {
+      expect(lines[0]).to.equal('rosnodejs-node: node is [/talker]');
+      expect(lines[1]).to.match(/^xmlrpc reply from /);
+      return runTool('ping', '-a');
+    })
+    .then((lines) => {
+      expect(lines).to.have.lengthOf(1);
+      expect(lines[0]).to.match(/^\/talker\ttime=\d+ms$/);
+    });
+  });
+
+  it('kill', () => {
+    return runTool('kill', '/talker')
+    .then((lines) => {
+      expect(lines).to.deep.equal(['killing /talker', 'killed /talker']);
+      expect(talker.isShutdown()).to.be.true;
+    });
+  });
+
+  it('cleanup', () => {
+    // nothing is listening on port 1
+    return callMaster('registerPublisher', ['/ghost', '/haunted', 'test_msgs/String', 'http://localhost:1/'])
+    .then(() => runTool('cleanup', '-y'))
+    .then((lines) => {
+      expect(lines).to.deep.equal([
+        'Unable to contact the following nodes:',
+        ' * /ghost (http://localhost:1/)',
+        'unregistered /ghost'
+      ]);
+      return new NodeHandle(talker).getNodes();
+    })
+    .then((nodes) => {
+      expect(nodes).to.deep.equal(['/talker']);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const xmlrpc = require('xmlrpc');
+const ParamCache = require('../src/utils/ParamCache.js');
+const RosNode = require('../src/lib/RosNode.js');
+const MasterStub = require('./utils/MasterStub.js');
+
+const MASTER_PORT = 11237;
+
+describe('ParamCache', () => {
+
+  it('Nested Lookups', () => {
+    const cache = new ParamCache();
+    cache.set('/robot/', {arm: {joints: 7}, name: 'r2'});
+
+    expect(cache.isSubscribed('/robot')).to.be.true;
+    expect(cache.has('/robot/arm/joints')).to.be.true;
+    expect(cache.has('/other')).to.be.false;
+
+    expect(cache.get('/robot/name')).to.equal('r2');
+    expect(cache.get('/robot/arm/joints')).to.equal(7);
+    expect(cache.get('/robot/arm/missing')).to.be.undefined;
+
+    cache.set('/unset', {});
+    expect(cache.has('/unset')).to.be.true;
+    expect(cache.get('/unset')).to.be.undefined;
+  });
+
+  it('Updates', () => {
+    const cache = new ParamCache();
+    cache.set('/robot', {name: 'r2'});
+
+    const updates = [];
+    cache.on('/robot', (value, key) => {
+      updates.push([key, value]);
+    });
+
+    cache.update('/robot/', {name: 'c3po'});
+    cache.update('/robot', {});
+
+    expect(updates).to.deep.equal([
+      ['/robot', {name: 'c3po'}],
+      ['/robot', undefined]
+    ]);
+  });
+
+  it('Changes', () => {
+    const cache = new ParamCache();
+    cache.set('/robot', {arm: {joints: 7}, name: 'r2'});
+    cache.set('/robot/arm/joints', 7);
+    cache.set('/other', 1);
+
+    const updates = {};
+    cache.getSubscribedKeys().forEach((key) => {
+      cache.on(key, (value) => {
+        updates[key] = value;
+      });
+    });
+
+    cache.applyChange('/robot/arm', {joints: 6});
+    expect(updates).to.deep.equal({
+      '/robot': {arm: {joints: 6}, name: 'r2'},
+      '/robot/arm/joints': 6
+    });
+    expect(cache.get('/robot/arm/joints')).to.equal(6);
+
+    cache.applyChange('/robot/name', undefined);
+    expect(cache.get('/robot')).to.deep.equal({arm: {joints: 6}});
+
+    cache.applyChange('/robot/arm/', {});
+    expect(cache.get('/robot/arm/joints')).to.be.undefined;
+    expect(cache.isSubscribed('/robot/arm')).to.be.false;
+
+    cache.applyChange('/robot', undefined);
+    expect(cache.get('/robot')).to.be.undefined;
+    expect(cache.get('/robot/arm/joints')).to.be.undefined;
+    expect(cache.get('/other')).to.equal(1);
+  });
+
+  describe('RosNode', function () {
+    this.timeout(5000);
+
+    let master;
+    let node;
+    const subscriptions = [];
+    const values = {'/gain': 2.5, '/robot': {name: 'r2', arm: {joints: 7}}};
+
+    before((done) => {
+      master = new MasterStub('localhost', MASTER_PORT);
+      master.provideAll();
+      master._server.on('subscribeParam', (err, params, callback) => {
+        subscriptions.push(params);
+        callback(null, [1, '', params[2] in values ? values[params[2]] : {}]);
+      });
+      master._server.on('unsubscribeParam', (err, params, callback) => {
+        callback(null, [1, '', 1]);
+      });
+      master.once('ready', () => {
+        node = new RosNode('/paramNode', `http://localhost:${MASTER_PORT}`, {masterMonitorMs: 0});
+        done();
+      });
+    });
+
+    after(() => {
+      return node.shutdown()
+      .then(() => {
+        return master.shutdown();
+      });
+    });
+
+    it('Caches subscribed params', () => {
+      return node.getParamCached('/gain')
+      .then((value) => {
+        expect(value).to.equal(2.5);
+        return node.getParamCached('/gain');
+      })
+      .then((value) => {
+        expect(value).to.equal(2.5);
+        expect(subscriptions.length).to.equal(1);
+        expect(subscriptions[0][0]).to.equal('/paramNode');
+        expect(subscriptions[0][1]).to.equal(node._getXmlrpcUri());
+
+        return node.getParamCached('/missing')
+        .then(() => {
+          throw new Error('Should have rejected');
+        }, (err) => {
+          expect(err.code).to.equal('EROSAPIERROR');
+        });
+      });
+    });
+
+    it('Handles param updates', (done) => {
+      node.onParamChange('/gain', (value, key) => {
+        expect(key).to.equal('/gain');
+        expect(value).to.equal(3);
+        node.getParamCached('/gain')
+        .then((value) => {
+          expect(value).to.equal(3);
+          done();
+        });
+      })
+      .then((value) => {
+        expect(value).to.equal(2.5);
+
+        const client = xmlrpc.createClient({host: 'localhost', port: node._xmlrpcPort});
+        client.methodCall('paramUpdate', ['/master', '/gain/', 3], (err, resp) => {
+          expect(err).to.be.null;
+          expect(resp[0]).to.equal(1);
+        });
+      });
+    });
+
+    it('Handles nested param updates', (done) => {
+      node.onParamChange('/robot', (value, key) => {
+        expect(key).to.equal('/robot');
+        expect(value).to.deep.equal({name: 'bb8', arm: {joints: 7}});
+        expect(node._paramCache.getSubscribedKeys()).to.not.include('/robot/name');
+        node.getParamCached('/robot/name')
+        .then((value) => {
+          expect(value).to.equal('bb8');
+          done();
+        });
+      })
+      .then((value) => {
+        expect(value.name).to.equal('r2');
+
+        // the master sends the changed key when it's nested inside the subscribed one
+        const client = xmlrpc.createClient({host: 'localhost', port: node._xmlrpcPort});
+        client.methodCall('paramUpdate', ['/master', '/robot/name/', 'bb8'], (err, resp) => {
+          expect(err).to.be.null;
+          expect(resp[0]).to.equal(1);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const paramUtils = require('../src/utils/param_utils.js');
+const RosNode = require('../src/lib/RosNode.js');
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const MasterStub = require('./utils/MasterStub.js');
+
+const MASTER_PORT = 11238;
+
+describe('Params', () => {
+
+  describe('Coercion', () => {
+    it('Converts values', () => {
+      expect(paramUtils.coerce('p', '1.5', 'number')).to.equal(1.5);
+      expect(paramUtils.coerce('p', 2, 'number')).to.equal(2);
+      expect(paramUtils.coerce('p', '3', 'int')).to.equal(3);
+      expect(paramUtils.coerce('p', 'false', 'boolean')).to.be.false;
+      expect(paramUtils.coerce('p', 3, 'string')).to.equal('3');
+      expect(paramUtils.coerce('p', [1, 2], 'array')).to.deep.equal([1, 2]);
+      expect(paramUtils.coerce('p', {a: 1}, 'object')).to.deep.equal({a: 1});
+      expect(paramUtils.coerce('p', 4, (value) => value * 2)).to.equal(8);
+    });
+
+    it('Rejects invalid values', () => {
+      const invalid = [
+        ['abc', 'number'],
+        [1.5, 'int'],
+        [1, 'boolean'],
+        [{}, 'string'],
+        ['[1]', 'array'],
+        [[1], 'object']
+      ];
+
+      invalid.forEach(([value, type]) => {
+        expect(() => paramUtils.coerce('p', value, type)).to.throw(/not of type/);
+      });
+      expect(() => paramUtils.coerce('p', 1, 'float64')).to.throw(/Unknown parameter type/);
+    });
+  });
+
+  describe('NodeHandle', function () {
+    this.timeout(5000);
+
+    const params = {
+      '/rate': '20',
+      '/robot/frame': 'base',
+      '/robot/arm/joints': 7
+    };
+
+    let master;
+    let node;
+    let nh;
+
+    before((done) => {
+      master = new MasterStub('localhost', MASTER_PORT);
+      master._server.on('getParam', (err, [callerId, key], callback) => {
+        if (params.hasOwnProperty(key)) {
+          callback(null, [1, '', params[key]]);
+        }
+        else {
+          callback(null, [-1, `Parameter [${key}] is not set`, 0]);
+        }
+      });
+      master._server.on('searchParam', (err, [namespace, key], callback) => {
+        const parts = namespace.split('/').filter((part) => part.length > 0);
+        for (let i = parts.length; i >= 0; --i) {
+          const searchKey = '/' + parts.slice(0, i).concat(key).join('/');
+          if (params.hasOwnProperty(searchKey)) {
+            callback(null, [1, '', searchKey]);
+            return;
+          }
+        }
+        callback(null, [-1, `Cannot find parameter [${key}]`, '']);
+      });
+      master._server.on('getParamNames', (err, args, callback) => {
+        callback(null, [1, '', Object.keys(params)]);
+      });
+      master.once('ready', () => {
+        node = new RosNode('/paramTestNode', `http://localhost:${MASTER_PORT}`, {masterMonitorMs: 0});
+        nh = new NodeHandle(node);
+        done();
+      });
+    });
+
+    after(() => {
+      return node.shutdown()
+      .then(() => {
+        return master.shutdown();
+      });
+    });
+
+    it('getParam', () => {
+      return nh.getParam('rate')
+      .then((value) => {
+        expect(value).to.equal('20');
+        return nh.getParam('rate', 10, 'int');
+      })
+      .then((value) => {
+        expect(value).to.equal(20);
+        return nh.getParam('missing', 10, 'int');
+      })
+      .then((value) => {
+        expect(value).to.equal(10);
+        return nh.getParam('missing')
+        .then(() => {
+          throw new Error('Should have rejected');
+        }, (err) => {
+          expect(err.code).to.equal('EROSAPIERROR');
+          return nh.getParam('robot/frame', 'map', 'number');
+        })
+        .then(() => {
+          throw new Error('Should have rejected');
+        }, (err) => {
+          expect(err.code).to.equal('EPARAMTYPE');
+        });
+      });
+    });
+
+    it('getParams', () => {
+      return nh.getParams({rate: 10, 'robot/frame': 'map', missing: null}, {rate: 'number'})
+      .then((values) => {
+        expect(values).to.deep.equal({rate: 20, 'robot/frame': 'base', missing: null});
+      });
+    });
+
+    it('searchParam', () => {
+      const armNh = nh.getNodeHandle('/robot/arm');
+      return Promise.all([
+        armNh.searchParam('joints'),
+        armNh.searchParam('frame'),
+        armNh.searchParam('rate'),
+        armNh.searchParam('missing')
+      ])
+      .then((keys) => {
+        expect(keys).to.deep.equal(['/robot/arm/joints', '/robot/frame', '/rate', null]);
+      });
+    });
+
+    it('getParamNames', () => {
+      return nh.getParamNames()
+      .then((names) => {
+        expect(names).to.deep.equal(Object.keys(params));
+      });
+    });
+  });
+});
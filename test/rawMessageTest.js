@@ -0,0 +1,95 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const TcprosUtils = require('../src/utils/tcpros_utils.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('Raw messages', function () {
+  this.timeout(5000);
+
+  const {createNodeHandle} = useMaster(11251);
+
+  const typeClass = TestMessages.String;
+
+  function serialize(msg) {
+    return TcprosUtils.serializeMessage(typeClass, msg, false);
+  }
+
+  function publishOnConnection(pub, sub, msg) {
+    sub.once('connection', () => pub.publish(msg));
+  }
+
+  it('Relays messages without deserializing them', () => {
+    const pub = createNodeHandle('/source').advertise('/in', typeClass);
+
+    const relayNh = createNodeHandle('/relay');
+    const relayPub = relayNh.advertise('/out', typeClass);
+    let relayed;
+    const relay = relayNh.subscribe('/in', typeClass, (buffer, info) => {
+      relayed = {buffer, info};
+      relayPub.publishRaw(buffer);
+    }, {raw: true});
+
+    const received = new Promise((resolve) => {
+      const sub = createNodeHandle('/sink').subscribe('/out', typeClass, resolve);
+      sub.once('connection', () => publishOnConnection(pub, relay, {data: 'relayed'}));
+    });
+
+    return received
+    .then((msg) => {
+      expect(msg.data).to.equal('relayed');
+      expect(relayed.buffer).to.deep.equal(serialize({data: 'relayed'}));
+      expect(relayed.info.publisher).to.equal('/source');
+      expect(relayed.info.connection).to.be.a('string');
+      expect(relayed.info.header.md5sum).to.equal(typeClass.md5sum());
+      expect(relayPub.getStats().connections[0].bytesSent).to.equal(relayed.buffer.length + 4);
+    });
+  });
+
+  it('Passes on the connection header to any-type raw subscribers', () => {
+    const pub = createNodeHandle('/anySource').advertise('/in', typeClass);
+    return new Promise((resolve) => {
+      const sub = createNodeHandle('/recorder').subscribe('/in', '*', (buffer, info) => resolve({buffer, info}),
+                                                          {raw: true});
+      publishOnConnection(pub, sub, {data: 'recorded'});
+    })
+    .then(({buffer, info}) => {
+      expect(Buffer.isBuffer(buffer)).to.be.true;
+      expect(info.header.type).to.equal('test_msgs/String');
+      expect(info.header.message_definition).to.equal(typeClass.messageDefinition());
+      expect(typeClass.deserialize(buffer).data).to.equal('recorded');
+    });
+  });
+
+  it('Converts intra-process messages', () => {
+    const nh = createNodeHandle('/local');
+    const pub = nh.advertise('/local', typeClass);
+
+    const rawMessage = new Promise((resolve) => {
+      const sub = nh.subscribe('/local', typeClass, (buffer, info) => resolve({buffer, info}), {raw: true});
+      publishOnConnection(pub, sub, {data: 'local'});
+    });
+
+    return rawMessage
+    .then(({buffer, info}) => {
+      expect(buffer).to.deep.equal(serialize({data: 'local'}));
+      expect(info.publisher).to.equal('/local');
+
+      const localPub = nh.advertise('/localRaw', typeClass);
+      return new Promise((resolve) => {
+        const sub = nh.subscribe('/localRaw', typeClass, resolve);
+        sub.once('connection', () => localPub.publishRaw(buffer));
+      });
+    })
+    .then((msg) => {
+      expect(msg.data).to.equal('local');
+    });
+  });
+
+  it('Requires buffers', () => {
+    const pub = createNodeHandle('/invalid').advertise('/in', typeClass);
+    expect(() => pub.publishRaw({data: 'not serialized'})).to.throw();
+  });
+});
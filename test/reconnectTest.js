@@ -0,0 +1,127 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('Subscriber reconnection', function () {
+  this.timeout(5000);
+
+  const {createNode} = useMaster(11250);
+
+  const typeClass = TestMessages.String;
+  const topic = '/flaky';
+
+  let pubNode;
+  let subNode;
+  let pubNh;
+  let subNh;
+
+  beforeEach(() => {
+    pubNode = createNode('/flakyPub');
+    subNode = createNode('/flakySub');
+    pubNh = new NodeHandle(pubNode);
+    subNh = new NodeHandle(subNode);
+  });
+
+  function nextEvent(emitter, event) {
+    return new Promise((resolve) => emitter.once(event, (...args) => resolve(args)));
+  }
+
+  it('Reconnects when a connection drops', () => {
+    const pub = pubNh.advertise(topic, typeClass);
+    const sub = subNh.subscribe(topic, typeClass, null, {reconnectMinMs: 10});
+    let pubUri;
+
+    return nextEvent(sub, 'connection')
+    .then(() => {
+      pubUri = pubNode._getXmlrpcUri();
+      expect(sub.getPublisherStates()).to.deep.equal({[pubUri]: {state: 'connected', attempts: 0}});
+
+      // simulate the network dropping the connection
+      const clients = pubNode._publishers[topic]._subClients;
+      Object.keys(clients).forEach((clientId) => clients[clientId].destroy());
+
+      return nextEvent(sub, 'disconnect');
+    })
+    .then(() => {
+      expect(sub.getPublisherStates()[pubUri].state).to.equal('reconnecting');
+      return Promise.all([nextEvent(sub, 'reconnect'), nextEvent(sub, 'connection')]);
+    })
+    .then(([[reconnectUri, attempt]]) => {
+      expect(reconnectUri).to.equal(pubUri);
+      expect(attempt).to.equal(1);
+      expect(sub.getPublisherStates()[pubUri]).to.deep.equal({state: 'connected', attempts: 1});
+
+      const message = nextEvent(sub, 'message');
+      pub.publish({data: 'reconnected'});
+      return message;
+    })
+    .then(([msg]) => {
+      expect(msg.data).to.equal('reconnected');
+      expect(sub.getPublisherStates()[pubUri]).to.deep.equal({state: 'connected', attempts: 0});
+    });
+  });
+
+  it('Backs off from publishers that drop every connection', () => {
+    pubNh.advertise(topic, typeClass);
+    const sub = subNh.subscribe(topic, typeClass, null, {reconnectMinMs: 10});
+    const pubImpl = pubNode._publishers[topic];
+    const attempts = [];
+
+    // the publisher accepts each connection and then drops it before sending anything
+    pubImpl.on('connection', () => {
+      const clients = pubImpl._subClients;
+      Object.keys(clients).forEach((clientId) => clients[clientId].destroy());
+    });
+
+    return new Promise((resolve) => {
+      sub.on('reconnect', (uri, attempt) => {
+        attempts.push(attempt);
+        if (attempt === 3) {
+          resolve();
+        }
+      });
+    })
+    .then(() => {
+      expect(attempts).to.deep.equal([1, 2, 3]);
+    });
+  });
+
+  it('Backs off while a publisher is unreachable', () => {
+    const sub = subNh.subscribe(topic, typeClass, null, {reconnectMinMs: 10, reconnectMaxMs: 40});
+    const impl = subNode._subscribers[topic];
+    // nothing is listening on this port
+    const pubUri = 'http://localhost:1/';
+
+    const attempts = [];
+    sub.on('reconnect', (uri, attempt) => attempts.push({attempt, time: Date.now()}));
+
+    return nextEvent(sub, 'registered')
+    .then(() => {
+      impl._handlePublisherUpdate([pubUri]);
+      return new Promise((resolve) => {
+        sub.on('reconnect', (uri, attempt) => {
+          if (attempt === 4) {
+            resolve();
+          }
+        });
+      });
+    })
+    .then(() => {
+      expect(attempts.map(({attempt}) => attempt)).to.deep.equal([1, 2, 3, 4]);
+      expect(attempts[3].time - attempts[2].time).to.be.at.least(35);
+      expect(sub.getNumPublishers()).to.equal(0);
+
+      // stop retrying once the master no longer lists the publisher
+      impl._handlePublisherUpdate([]);
+      expect(sub.getPublisherStates()).to.deep.equal({});
+      return new Promise((resolve) => setTimeout(resolve, 100));
+    })
+    .then(() => {
+      expect(attempts.length).to.equal(4);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const RemapUtils = require('../src/utils/remapping_utils.js');
+
+describe('Remapping', () => {
+
+  it('Parses Arguments', () => {
+    const remappings = RemapUtils.processRemapping([
+      'node',
+      'script.js',
+      'chatter:=/other_chatter',
+      '~image:=camera/image',
+      '__name:=talker',
+      '__ns:=/robot',
+      '__master:=http://otherhost:11311',
+      '_rate:=10',
+      'not_a_remapping',
+      ':=also_not'
+    ]);
+
+    expect(remappings.names).to.deep.equal({
+      chatter: '/other_chatter',
+      '~image': 'camera/image'
+    });
+
+    expect(remappings.special).to.deep.equal({
+      __name: 'talker',
+      __ns: '/robot',
+      __master: 'http://otherhost:11311'
+    });
+
+    expect(remappings.params).to.deep.equal({
+      rate: 10
+    });
+  });
+
+  it('Handles Missing Arguments', () => {
+    const remappings = RemapUtils.processRemapping();
+    expect(remappings).to.deep.equal({names: {}, special: {}, params: {}});
+  });
+
+  it('Parses Param Values', () => {
+    expect(RemapUtils.parseParamValue('1')).to.equal(1);
+    expect(RemapUtils.parseParamValue('-12')).to.equal(-12);
+    expect(RemapUtils.parseParamValue('1.5')).to.equal(1.5);
+    expect(RemapUtils.parseParamValue('1e3')).to.equal(1000);
+    expect(RemapUtils.parseParamValue('true')).to.equal(true);
+    expect(RemapUtils.parseParamValue('false')).to.equal(false);
+    expect(RemapUtils.parseParamValue('hi')).to.equal('hi');
+    expect(RemapUtils.parseParamValue('')).to.equal('');
+    expect(RemapUtils.parseParamValue('1.2.3')).to.equal('1.2.3');
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('Concurrent service calls', function () {
+  this.timeout(5000);
+
+  const {createNode} = useMaster(11254);
+
+  const service = '/concurrent';
+  const srvType = TestMessages.Echo;
+
+  let serverNode;
+  let clientNode;
+  let clientNh;
+  let server;
+  let inProgress;
+  let maxInProgress;
+
+  beforeEach(() => {
+    serverNode = createNode('/concurrentServer');
+    clientNode = createNode('/concurrentClient');
+    clientNh = new NodeHandle(clientNode);
+
+    inProgress = 0;
+    maxInProgress = 0;
+    server = new NodeHandle(serverNode).advertiseService(service, srvType, (req, resp) => {
+      ++inProgress;
+      maxInProgress = Math.max(inProgress, maxInProgress);
+      return new Promise((resolve) => setTimeout(resolve, 30))
+      .then(() => {
+        --inProgress;
+        resp.data = req.data;
+        return true;
+      });
+    });
+    return new Promise((resolve) => server.once('registered', resolve));
+  });
+
+  function callAll(client, numCalls) {
+    const calls = [];
+    for (let i = 0; i < numCalls; ++i) {
+      calls.push(client.call({data: `call ${i}`}));
+    }
+    return Promise.all(calls)
+    .then((responses) => responses.map((resp) => resp.data));
+  }
+
+  it('Makes calls one at a time by default', () => {
+    return callAll(clientNh.serviceClient(service, srvType), 3)
+    .then((responses) => {
+      expect(responses).to.deep.equal(['call 0', 'call 1', 'call 2']);
+      expect(maxInProgress).to.equal(1);
+    });
+  });
+
+  it('Limits concurrent calls', () => {
+    const client = clientNh.serviceClient(service, srvType, {maxConcurrency: 3});
+    expect(client.getMaxConcurrency()).to.equal(3);
+
+    return callAll(client, 7)
+    .then((responses) => {
+      expect(responses).to.have.lengthOf(7);
+      expect(responses[6]).to.equal('call 6');
+      expect(maxInProgress).to.equal(3);
+    });
+  });
+
+  it('Pools persistent connections', () => {
+    const client = clientNh.serviceClient(service, srvType, {persist: true, maxConcurrency: 2});
+    let numConnections = 0;
+    server.on('connection', () => ++numConnections);
+
+    return callAll(client, 2)
+    .then(() => callAll(client, 4))
+    .then((responses) => {
+      expect(responses).to.deep.equal(['call 0', 'call 1', 'call 2', 'call 3']);
+      expect(maxInProgress).to.equal(2);
+      expect(numConnections).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const EventEmitter = require('events');
+const chai = require('chai');
+const expect = chai.expect;
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('Service call timeouts', function () {
+  this.timeout(5000);
+
+  const {createNode} = useMaster(11253);
+
+  const service = '/slow';
+  const srvType = TestMessages.Echo;
+
+  let serverNode;
+  let clientNode;
+  let clientNh;
+
+  beforeEach(() => {
+    serverNode = createNode('/slowServer');
+    clientNode = createNode('/slowClient');
+    clientNh = new NodeHandle(clientNode);
+
+    // never responds to 'hang'
+    const server = new NodeHandle(serverNode).advertiseService(service, srvType, (req, resp) => {
+      if (req.data === 'hang') {
+        return new Promise(() => {});
+      }
+      // else
+      resp.data = req.data;
+      return true;
+    });
+    return new Promise((resolve) => server.once('registered', resolve));
+  });
+
+  // minimal stand-in for an AbortSignal, which older versions of node don't have
+  function createAbortSignal(aborted=false) {
+    const emitter = new EventEmitter();
+    return {
+      aborted,
+      addEventListener: (event, listener) => emitter.on(event, listener),
+      removeEventListener: (event, listener) => emitter.removeListener(event, listener),
+      abort() {
+        this.aborted = true;
+        emitter.emit('abort');
+      }
+    };
+  }
+
+  function expectError(promise, code) {
+    return promise.then(() => {
+      throw new Error(`Call should have failed with ${code}`);
+    }, (err) => {
+      expect(err.code).to.equal(code);
+      return err;
+    });
+  }
+
+  it('Times out calls', () => {
+    const client = clientNh.serviceClient(service, srvType, {timeout: 100});
+    const hung = client.call({data: 'hang'});
+    const queued = client.call({data: 'queued'}, {timeout: 1000});
+
+    return expectError(hung, 'E_ROSSERVICETIMEOUT')
+    .then(() => queued)
+    .then((resp) => {
+      expect(resp.data).to.equal('queued');
+    });
+  });
+
+  it('Times out persistent calls and reconnects', () => {
+    const client = clientNh.serviceClient(service, srvType, {persist: true});
+
+    return client.call({data: 'first'})
+    .then(() => expectError(client.call({data: 'hang'}, {timeout: 50}), 'E_ROSSERVICETIMEOUT'))
+    .then(() => client.call({data: 'after'}))
+    .then((resp) => {
+      expect(resp.data).to.equal('after');
+    });
+  });
+
+  it('Aborts calls', () => {
+    const client = clientNh.serviceClient(service, srvType);
+    const signal = createAbortSignal();
+    const inProgress = client.call({data: 'hang'}, {signal});
+    const queued = client.call({data: 'queued'}, {signal});
+    setTimeout(() => signal.abort(), 50);
+
+    return Promise.all([
+      expectError(inProgress, 'E_ROSSERVICEABORTED'),
+      expectError(queued, 'E_ROSSERVICEABORTED'),
+      expectError(client.call({data: 'late'}, {signal: createAbortSignal(true)}), 'E_ROSSERVICEABORTED')
+    ])
+    .then(() => client.call({data: 'next'}))
+    .then((resp) => {
+      expect(resp.data).to.equal('next');
+    });
+  });
+
+  it('Distinguishes lookup and connection failures', () => {
+    const missing = clientNh.serviceClient('/missing', srvType);
+    const client = clientNh.serviceClient(service, srvType);
+
+    const connected = new Promise((resolve) => client.once('connection', resolve));
+    const hung = expectError(client.call({data: 'hang'}), 'E_ROSSERVICECONNECTIONFAILED');
+    return expectError(missing.call({data: 'nobody'}), 'E_ROSSERVICELOOKUPFAILED')
+    .then((err) => {
+      expect(err.cause.code).to.equal('EROSAPIERROR');
+      return connected;
+    })
+    .then(() => {
+      // the server going away while handling the call closes the connection
+      return serverNode.shutdown();
+    })
+    .then(() => hung);
+  });
+});
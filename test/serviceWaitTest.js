@@ -0,0 +1,89 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('Waiting for services', function () {
+  this.timeout(5000);
+
+  const {createNodeHandle} = useMaster(11255);
+
+  const service = '/eventually';
+  const srvType = TestMessages.Echo;
+
+  function advertise(nh) {
+    nh.advertiseService(service, srvType, (req, resp) => {
+      resp.data = `${nh.getNodeName()}: ${req.data}`;
+      return true;
+    });
+  }
+
+  it('Waits for the service to be registered', () => {
+    const client = createNodeHandle('/waitingClient').serviceClient(service, srvType, {waitForService: 2000});
+    const events = [];
+    client.on('available', () => events.push('available'));
+    client.on('unavailable', () => events.push('unavailable'));
+
+    setTimeout(() => advertise(createNodeHandle('/lateServer')), 200);
+
+    return client.call({data: 'hello'})
+    .then((resp) => {
+      expect(resp.data).to.equal('/lateServer: hello');
+      expect(events).to.deep.equal(['unavailable', 'available']);
+    });
+  });
+
+  it('Gives up after waiting', () => {
+    const client = createNodeHandle('/impatientClient').serviceClient(service, srvType, {waitForService: 250});
+    const start = Date.now();
+
+    return client.call({data: 'anyone?'})
+    .then(() => {
+      throw new Error('Call should have failed');
+    }, (err) => {
+      expect(err.code).to.equal('E_ROSSERVICELOOKUPFAILED');
+      expect(Date.now() - start).to.be.at.least(200);
+    });
+  });
+
+  it('Does not retry rejected connections', () => {
+    advertise(createNodeHandle('/strictServer'));
+    const wrongType = Object.assign({}, srvType, {md5sum: () => 'not the right md5sum'});
+    const client = createNodeHandle('/wrongClient').serviceClient(service, wrongType, {waitForService: 2000});
+    const start = Date.now();
+
+    return client.call({data: 'hello'})
+    .then(() => {
+      throw new Error('Call should have failed');
+    }, (err) => {
+      expect(err.code).to.equal('E_ROSSERVICEHANDSHAKEFAILED');
+      expect(Date.now() - start).to.be.below(1000);
+    });
+  });
+
+  it('Reconnects persistent clients after the server restarts', () => {
+    const client = createNodeHandle('/persistentClient').serviceClient(service, srvType,
+                                                                       {persist: true, waitForService: true});
+    const serverNh = createNodeHandle('/firstServer');
+    advertise(serverNh);
+
+    return client.call({data: 'first'})
+    .then((resp) => {
+      expect(resp.data).to.equal('/firstServer: first');
+
+      const unavailable = new Promise((resolve) => client.once('unavailable', resolve));
+      serverNh.unadvertiseService(service);
+      return unavailable;
+    })
+    .then(() => {
+      setTimeout(() => advertise(createNodeHandle('/secondServer')), 200);
+      const available = new Promise((resolve) => client.once('available', resolve));
+      return Promise.all([client.call({data: 'second'}), available]);
+    })
+    .then(([resp]) => {
+      expect(resp.data).to.equal('/secondServer: second');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('Publisher subscriber callbacks', function () {
+  this.timeout(5000);
+
+  const {createNodeHandle} = useMaster(11247);
+
+  const typeClass = TestMessages.String;
+  const topic = '/snapshots';
+
+  function nextMessage(sub) {
+    return new Promise((resolve) => sub.once('message', resolve));
+  }
+
+  it('Sends messages to a single subscriber', () => {
+    const pubNh = createNodeHandle('/snapshotPub');
+    const connected = [];
+    pubNh.advertise(topic, typeClass, {
+      onConnect: (subscriber) => {
+        expect(subscriber.getTopic()).to.equal(topic);
+        expect(subscriber.isConnected()).to.be.true;
+        connected.push(subscriber.getSubscriberName());
+        subscriber.publish({data: `snapshot for ${subscriber.getSubscriberName()}`});
+      }
+    });
+
+    const firstSub = createNodeHandle('/first').subscribe(topic, typeClass, null, {queueSize: 2});
+    const firstMessages = [];
+    firstSub.on('message', (msg) => firstMessages.push(msg.data));
+
+    return nextMessage(firstSub)
+    .then(() => {
+      const secondSub = createNodeHandle('/second').subscribe(topic, typeClass);
+      return nextMessage(secondSub);
+    })
+    .then((msg) => {
+      expect(msg.data).to.equal('snapshot for /second');
+      return new Promise((resolve) => setTimeout(resolve, 50));
+    })
+    .then(() => {
+      expect(connected).to.deep.equal(['/first', '/second']);
+      expect(firstMessages).to.deep.equal(['snapshot for /first']);
+    });
+  });
+
+  it('Reports subscribers disconnecting', () => {
+    const pubNh = createNodeHandle('/lazyPub');
+    const subNh = createNodeHandle('/lazySub');
+
+    let running = false;
+    let pub;
+    const disconnected = new Promise((resolve) => {
+      pub = pubNh.advertise(topic, typeClass, {
+        onConnect: () => {
+          running = pub.getNumSubscribers() > 0;
+        },
+        onDisconnect: (subscriber) => {
+          expect(subscriber.getSubscriberName()).to.equal('/lazySub');
+          expect(subscriber.isConnected()).to.be.false;
+          running = pub.getNumSubscribers() > 0;
+          resolve();
+        }
+      });
+    });
+
+    const sub = subNh.subscribe(topic, typeClass);
+    return new Promise((resolve) => sub.once('connection', resolve))
+    .then(() => new Promise((resolve) => setTimeout(resolve, 50)))
+    .then(() => {
+      expect(running).to.be.true;
+      return sub.shutdown();
+    })
+    .then(() => disconnected)
+    .then(() => {
+      expect(running).to.be.false;
+    });
+  });
+
+  it('Works with subscribers in the same node', () => {
+    const nh = createNodeHandle('/localSnapshot');
+    let handle;
+    nh.advertise(topic, typeClass, {
+      onConnect: (subscriber) => {
+        handle = subscriber;
+        subscriber.publish({data: 'local snapshot'});
+      }
+    });
+
+    return nextMessage(nh.subscribe(topic, typeClass))
+    .then((msg) => {
+      expect(msg.data).to.equal('local snapshot');
+      expect(handle.getSubscriberName()).to.equal('/localSnapshot');
+    });
+  });
+
+  it('Calls onConnect for subscribers that are already connected', () => {
+    const pubNh = createNodeHandle('/latePub');
+    const firstPub = pubNh.advertise(topic, typeClass);
+    const sub = createNodeHandle('/earlySub').subscribe(topic, typeClass);
+
+    return new Promise((resolve) => sub.once('connection', resolve))
+    .then(() => {
+      return new Promise((resolve) => {
+        pubNh.advertise(topic, typeClass, {onConnect: resolve});
+      });
+    })
+    .then((subscriber) => {
+      expect(subscriber.getSubscriberName()).to.equal('/earlySub');
+      expect(firstPub.getNumSubscribers()).to.equal(1);
+    });
+  });
+});
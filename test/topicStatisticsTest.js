@@ -0,0 +1,208 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const TopicStatistics = require('../src/utils/TopicStatistics.js');
+const ConnectionStats = require('../src/utils/ConnectionStats.js');
+const messages = require('../src/utils/messageGeneration/messages.js');
+const messageUtils = require('../src/utils/message_utils.js');
+const timeUtils = require('../src/utils/time_utils.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+const STAMPED_DEFINITION = [
+  'Header header',
+  'string data',
+  '='.repeat(80),
+  'MSG: std_msgs/Header',
+  'uint32 seq',
+  'time stamp',
+  'string frame_id'
+].join('\n');
+
+describe('TopicStatistics', () => {
+
+  function toSecs(duration) {
+    return timeUtils.rosTimeToSecs(duration);
+  }
+
+  it('Summarizes windows', () => {
+    const settings = Object.assign({}, TopicStatistics.DEFAULT_SETTINGS, {enabled: true, windowMinSize: 1});
+    const statistics = new TopicStatistics('/topic', '/sub', settings);
+    expect(statistics.isEnabled()).to.be.true;
+
+    const stats = new ConnectionStats('http://pub:1234');
+    const record = (time, stampAge) => {
+      stats.recordReceived(10);
+      return statistics.record('/pub', stats, time, stampAge);
+    };
+
+    expect(record(100, 0.1)).to.be.null;
+    expect(record(100.25, 0.3)).to.be.null;
+    stats.recordDrop();
+    expect(record(100.5, 0.2)).to.be.null;
+    expect(record(101, 0.2)).to.be.null;
+
+    const msg = record(101.5, 0.2);
+    expect(msg.topic).to.equal('/topic');
+    expect(msg.node_pub).to.equal('/pub');
+    expect(msg.node_sub).to.equal('/sub');
+    expect(msg.window_start).to.deep.equal({secs: 100, nsecs: 0});
+    expect(msg.window_stop).to.deep.equal({secs: 101, nsecs: 500000000});
+    expect(msg.delivered_msgs).to.equal(5);
+    expect(msg.dropped_msgs).to.equal(1);
+    expect(msg.traffic).to.equal(50);
+    expect(toSecs(msg.period_mean)).to.be.closeTo(0.375, 1e-6);
+    expect(toSecs(msg.period_max)).to.be.closeTo(0.5, 1e-6);
+    expect(toSecs(msg.period_stddev)).to.be.closeTo(0.125, 1e-6);
+    expect(toSecs(msg.stamp_age_mean)).to.be.closeTo(0.2, 1e-6);
+    expect(toSecs(msg.stamp_age_max)).to.be.closeTo(0.3, 1e-6);
+
+    // the next window only counts what happened since the last one
+    expect(record(103, 0.2)).to.be.null;
+    const next = record(103.6);
+    expect(next.delivered_msgs).to.equal(2);
+    expect(next.dropped_msgs).to.equal(0);
+    expect(next.traffic).to.equal(20);
+    expect(toSecs(next.stamp_age_mean)).to.be.closeTo(0.2, 1e-6);
+  });
+
+  it('Resizes windows', () => {
+    const settings = Object.assign({}, TopicStatistics.DEFAULT_SETTINGS, {
+      enabled: true,
+      windowMinElements: 3,
+      windowMaxElements: 4,
+      windowMinSize: 1,
+      windowMaxSize: 2
+    });
+    const statistics = new TopicStatistics('/topic', '/sub', settings);
+    const stats = new ConnectionStats('http://pub:1234');
+
+    // too few messages - the window doubles
+    expect(statistics.record('/pub', stats, 0)).to.be.null;
+    expect(statistics.record('/pub', stats, 1.5)).to.not.be.null;
+    expect(statistics.record('/pub', stats, 3)).to.be.null;
+    expect(statistics.record('/pub', stats, 3.6)).to.not.be.null;
+
+    // too many messages - it shrinks again
+    for (let time = 4; time < 5.6; time += 0.25) {
+      expect(statistics.record('/pub', stats, time)).to.be.null;
+    }
+    expect(statistics.record('/pub', stats, 5.8)).to.not.be.null;
+    expect(statistics.record('/pub', stats, 6.9)).to.not.be.null;
+  });
+
+  it('Ignores /statistics and /clock', () => {
+    const settings = Object.assign({}, TopicStatistics.DEFAULT_SETTINGS, {enabled: true});
+    expect(new TopicStatistics('/statistics', '/sub', settings).isEnabled()).to.be.false;
+    expect(new TopicStatistics('/clock', '/sub', settings).isEnabled()).to.be.false;
+
+    settings.enabled = false;
+    expect(new TopicStatistics('/topic', '/sub', settings).isEnabled()).to.be.false;
+  });
+
+  it('Finds headers', () => {
+    const Stamped = messages.getMessageFromDefinition('test_msgs/Stamped', STAMPED_DEFINITION);
+    expect(messageUtils.hasHeader(Stamped)).to.be.true;
+    expect(messageUtils.hasHeader({messageDefinition: () => 'uint8 A=1\nstd_msgs/Header header'})).to.be.true;
+    expect(messageUtils.hasHeader({messageDefinition: () => 'string data\nHeader header'})).to.be.false;
+
+    const msg = new Stamped({header: {seq: 1, stamp: {secs: 5, nsecs: 6}}});
+    const buffer = Buffer.alloc(Stamped.getMessageSize(msg));
+    Stamped.serialize(msg, buffer, 0);
+    expect(TopicStatistics.readHeaderStamp(buffer)).to.deep.equal({secs: 5, nsecs: 6});
+  });
+
+  describe('Subscribers', function () {
+    this.timeout(5000);
+
+    const {createNode} = useMaster(11246);
+
+    let pubNode;
+    let subNode;
+
+    beforeEach(() => {
+      pubNode = createNode('/statsPub');
+      subNode = createNode('/statsSub');
+    });
+
+    it('Only reads the window params once enabled', () => {
+      const pubNh = new NodeHandle(pubNode);
+
+      function waitForSubscriptions(numKeys) {
+        return new Promise((resolve) => {
+          const check = () => {
+            const keys = subNode._paramCache.getSubscribedKeys();
+            if (keys.length >= numKeys) {
+              resolve(keys);
+            }
+            else {
+              setTimeout(check, 10);
+            }
+          };
+          check();
+        });
+      }
+
+      expect(subNode.getStatisticsSettings().enabled).to.be.false;
+      return waitForSubscriptions(1)
+      .then((keys) => {
+        expect(keys).to.deep.equal(['/enable_statistics']);
+        return pubNh.setParam('/statistics_window_max_elements', 50);
+      })
+      .then(() => pubNh.setParam('/enable_statistics', true))
+      .then(() => waitForSubscriptions(5))
+      .then(() => new Promise((resolve) => setTimeout(resolve, 50)))
+      .then(() => {
+        const settings = subNode.getStatisticsSettings();
+        expect(settings.enabled).to.be.true;
+        expect(settings.windowMaxElements).to.equal(50);
+        return pubNh.deleteParam('/statistics_window_max_elements');
+      });
+    });
+
+    it('Publishes statistics for each connection', () => {
+      const Stamped = messages.getMessageFromDefinition('test_msgs/Stamped', STAMPED_DEFINITION);
+      const pubNh = new NodeHandle(pubNode);
+      const subNh = new NodeHandle(subNode);
+
+      let interval;
+      return Promise.all([
+        pubNh.setParam('/enable_statistics', true),
+        pubNh.setParam('/statistics_window_min_size', 0.1),
+        pubNh.setParam('/statistics_window_max_size', 0.1)
+      ])
+      .then(() => {
+        const statistics = new Promise((resolve) => {
+          subNode.publishStatistics = resolve;
+        });
+
+        const pub = pubNh.advertise('/stamped', Stamped);
+        const sub = subNh.subscribe('/stamped', Stamped);
+        sub.once('connection', () => {
+          interval = setInterval(() => {
+            pub.publish(new Stamped({header: {stamp: timeUtils.now()}, data: 'stats'}));
+          }, 20);
+        });
+
+        return statistics;
+      })
+      .then((msg) => {
+        clearInterval(interval);
+        expect(subNode.getStatisticsSettings().enabled).to.be.true;
+
+        expect(msg.topic).to.equal('/stamped');
+        expect(msg.node_pub).to.equal('/statsPub');
+        expect(msg.node_sub).to.equal('/statsSub');
+        expect(msg.delivered_msgs).to.be.at.least(2);
+        expect(msg.traffic).to.be.above(0);
+        expect(toSecs(msg.period_mean)).to.be.above(0);
+        expect(toSecs(msg.stamp_age_max)).to.be.below(1);
+      })
+      .catch((err) => {
+        clearInterval(interval);
+        throw err;
+      });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const NodeHandle = require('../src/lib/NodeHandle.js');
+const UdprosUtils = require('../src/utils/udpros_utils.js');
+const TcprosUtils = require('../src/utils/tcpros_utils.js');
+const TestMessages = require('./utils/TestMessages.js');
+const useMaster = require('./utils/MasterFixture.js');
+
+describe('UDPROS', function () {
+  this.timeout(5000);
+
+  const typeClass = TestMessages.String;
+
+  describe('Datagrams', () => {
+    it('Fragments and reassembles messages', () => {
+      const data = 'x'.repeat(50);
+      const serialized = TcprosUtils.serializeMessage(typeClass, {data});
+      const datagrams = UdprosUtils.createDatagrams(7, 3, serialized, 28);
+
+      // 58 bytes of message in 20 byte blocks
+      expect(datagrams).to.have.lengthOf(3);
+      expect(UdprosUtils.parseDatagramHeader(datagrams[0])).to.deep.equal(
+        {connectionId: 7, opCode: UdprosUtils.DATA0, messageId: 3, blockNumber: 3});
+      expect(UdprosUtils.parseDatagramHeader(datagrams[2])).to.deep.equal(
+        {connectionId: 7, opCode: UdprosUtils.DATAN, messageId: 3, blockNumber: 2});
+
+      const assembler = new UdprosUtils.DatagramAssembler(7);
+      expect(assembler.push(datagrams[0]).message).to.be.null;
+      expect(assembler.push(datagrams[1]).message).to.be.null;
+      const {message, dropped} = assembler.push(datagrams[2]);
+      expect(dropped).to.equal(0);
+      expect(typeClass.deserialize(message).data).to.equal(data);
+    });
+
+    it('Drops incomplete messages', () => {
+      const serialized = TcprosUtils.serializeMessage(typeClass, {data: 'y'.repeat(50)});
+      const first = UdprosUtils.createDatagrams(1, 0, serialized, 28);
+      const second = UdprosUtils.createDatagrams(1, 1, serialized, 28);
+      const other = UdprosUtils.createDatagrams(2, 0, serialized, 28);
+
+      const assembler = new UdprosUtils.DatagramAssembler(1);
+      assembler.push(first[0]);
+      // skipped a block
+      expect(assembler.push(first[2])).to.deep.equal({message: null, dropped: 1});
+
+      assembler.push(second[0]);
+      // datagrams for other connections are ignored
+      expect(assembler.push(other[1])).to.deep.equal({message: null, dropped: 0});
+      assembler.push(second[1]);
+      expect(assembler.push(second[2]).message).to.not.be.null;
+    });
+  });
+
+  describe('Topics', () => {
+    const {createNode} = useMaster(11244);
+
+    let pubNode;
+    let subNode;
+
+    beforeEach(() => {
+      pubNode = createNode('/udpPub');
+      subNode = createNode('/udpSub');
+    });
+
+    it('Sends messages over UDPROS', (done) => {
+      const pub = new NodeHandle(pubNode).advertise('/udp', typeClass);
+      const sub = new NodeHandle(subNode).subscribe('/udp', typeClass, null,
+                                                    {transport: 'udp', maxDatagramSize: 100, queueSize: 2});
+      const large = 'z'.repeat(1000);
+
+      sub.once('connection', (header) => {
+        expect(header.callerid).to.equal('/udpPub');
+        pub.publish({data: 'small'}, -1);
+        pub.publish({data: large}, -1);
+      });
+
+      const received = [];
+      sub.on('message', (msg) => {
+        received.push(msg.data);
+        if (received.length === 2) {
+          expect(received).to.deep.equal(['small', large]);
+
+          const pubStats = pubNode.getPublisherImpl('/udp').getStats();
+          expect(pubStats.connections[0].transport).to.equal('UDPROS');
+          expect(pubStats.connections[0].messagesSent).to.equal(2);
+
+          const subStats = subNode._subscribers['/udp'].getStats();
+          expect(subStats.connections[0].transport).to.equal('UDPROS');
+          expect(subStats.connections[0].messagesReceived).to.equal(2);
+          done();
+        }
+      });
+    });
+
+    it('Sends latched messages', (done) => {
+      const pub = new NodeHandle(pubNode).advertise('/udp_latched', typeClass, {latching: true});
+      pub.publish({data: 'latched'}, -1);
+
+      new NodeHandle(subNode).subscribe('/udp_latched', typeClass, (msg) => {
+        expect(msg.data).to.equal('latched');
+        done();
+      }, {transport: 'udp'});
+    });
+
+    it('Disconnects when the publisher goes away', (done) => {
+      new NodeHandle(pubNode).advertise('/udp_disconnect', typeClass);
+      const sub = new NodeHandle(subNode).subscribe('/udp_disconnect', typeClass, null, {transport: 'udp'});
+
+      sub.once('connection', () => {
+        sub.once('disconnect', () => {
+          expect(sub.getNumPublishers()).to.equal(0);
+          done();
+        });
+        pubNode.unadvertise('/udp_disconnect');
+      });
+    });
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const RosMaster = require('../../src/lib/master/RosMaster.js');
+const RosNode = require('../../src/lib/RosNode.js');
+const NodeHandle = require('../../src/lib/NodeHandle.js');
+
+/**
+ * Runs a RosMaster for the enclosing describe block. Nodes created through the fixture
+ * during a test (or a beforeEach hook) are shut down after that test, and nodes created
+ * in a before hook are shut down at the end of the block. Nodes don't monitor the master
+ * unless their options ask them to.
+ * @param port {number} port for the master to listen on
+ * @returns {object} {port, uri, createNode(name, [options]), createNodeHandle(name, [options])}
+ */
+function useMaster(port) {
+  const uri = `http://localhost:${port}`;
+
+  let master = null;
+  let suiteNodes = [];
+  let testNodes = [];
+  let inTest = false;
+
+  function shutdownNodes(nodes) {
+    return Promise.all(nodes.map((node) => node.shutdown()));
+  }
+
+  before(() => {
+    master = new RosMaster({port});
+    return master.start();
+  });
+
+  beforeEach(() => {
+    inTest = true;
+  });
+
+  afterEach(() => {
+    inTest = false;
+    const nodes = testNodes;
+    testNodes = [];
+    return shutdownNodes(nodes);
+  });
+
+  after(() => {
+    const nodes = suiteNodes;
+    suiteNodes = [];
+    return shutdownNodes(nodes)
+    .then(() => master.shutdown());
+  });
+
+  function createNode(name, options) {
+    const node = new RosNode(name, uri, Object.assign({masterMonitorMs: 0}, options));
+    (inTest ? testNodes : suiteNodes).push(node);
+    return node;
+  }
+
+  return {
+    port,
+    uri,
+    createNode,
+    createNodeHandle: (name, options) => new NodeHandle(createNode(name, options))
+  };
+}
+
+module.exports = useMaster;
@@ -2,14 +2,16 @@ const xmlrpc = require('xmlrpc');
 const EventEmitter = require('events').EventEmitter;
 
 class RosMasterStub extends EventEmitter {
-  constructor(host, port) {
+  constructor(host, port, pid=process.pid) {
     super();
 
     this._host = host;
     this._port = port;
+    this._pid = pid;
 
     this._apiMap = {
       getUri: this._onGetUri.bind(this),
+      getPid: this._onGetPid.bind(this),
       getParam: this._onGetParam.bind(this),
       registerService: this._onRegisterService.bind(this),
       unregisterService: this._onUnregisterService.bind(this),
@@ -68,6 +70,11 @@ class RosMasterStub extends EventEmitter {
     callback(null, resp);
   }
 
+  _onGetPid(err, params, callback) {
+    const resp = [ 1, '', this._pid];
+    callback(null, resp);
+  }
+
   _onGetParam(err, params, callback) {
     const resp = [0, '', 'Not implemented in stub'];
     callback(null, resp);
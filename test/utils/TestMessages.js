@@ -0,0 +1,83 @@
+'use strict';
+
+const ros_msg_utils = require('../../src/ros_msg_utils');
+const _serializer = ros_msg_utils.Serialize;
+const _deserializer = ros_msg_utils.Deserialize;
+
+// Minimal hand written message class matching the interface of generated
+// messages so that tests can run without any ROS message packages installed
+class String {
+  constructor(initObj={}) {
+    this.data = initObj.data || '';
+  }
+
+  static serialize(obj, buffer, bufferOffset) {
+    return _serializer.string(obj.data, buffer, bufferOffset);
+  }
+
+  static deserialize(buffer, bufferOffset=[0]) {
+    const data = new String();
+    data.data = _deserializer.string(buffer, bufferOffset);
+    return data;
+  }
+
+  static getMessageSize(object) {
+    return Buffer.byteLength(object.data) + 4;
+  }
+
+  static datatype() {
+    return 'test_msgs/String';
+  }
+
+  static md5sum() {
+    return '992ce8a1687cec8c8bd883ec73ca41d1';
+  }
+
+  static messageDefinition() {
+    return 'string data\n';
+  }
+
+  static Resolve(msg) {
+    return new String(msg);
+  }
+}
+
+// matches std_srvs/Empty
+class EmptyMessage {
+  static serialize(obj, buffer, bufferOffset) {
+    return bufferOffset;
+  }
+
+  static deserialize(buffer, bufferOffset=[0]) {
+    return new EmptyMessage();
+  }
+
+  static getMessageSize(object) {
+    return 0;
+  }
+
+  static Resolve(msg) {
+    return new EmptyMessage();
+  }
+}
+
+const Empty = {
+  Request: EmptyMessage,
+  Response: EmptyMessage,
+  md5sum: () => 'd41d8cd98f00b204e9800998ecf8427e',
+  datatype: () => 'test_srvs/Empty'
+};
+
+// string request and response
+const Echo = {
+  Request: String,
+  Response: String,
+  md5sum: () => 'b5b8a1e5a8d7e8ebbcf4f6b0e2b1b8c1',
+  datatype: () => 'test_srvs/Echo'
+};
+
+module.exports = {
+  String,
+  Empty,
+  Echo
+};